@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * currencyconv-proxy - run the shared rate proxy (node/rateServer.js)
+ *
+ *   currencyconv-proxy --port 8787 --bases USD,EUR --refresh-minutes 30
+ *   currencyconv-proxy --config providers.json --cache-dir /var/lib/currencyconv
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { DEFAULT_SERVER_OPTIONS, RateServer } = require('../node/rateServer');
+
+const USAGE = `Usage: currencyconv-proxy [options]
+
+Options:
+  --port N              Port to listen on (default ${DEFAULT_SERVER_OPTIONS.port}, or $PORT)
+  --host ADDRESS        Address to bind (default ${DEFAULT_SERVER_OPTIONS.host})
+  --bases A,B           Bases fetched upstream on every refresh (default ${DEFAULT_SERVER_OPTIONS.bases.join(',')})
+  --refresh-minutes N   Minutes between upstream refreshes (default ${DEFAULT_SERVER_OPTIONS.refreshMinutes})
+  --retry-minutes N     Minutes before retrying a failed refresh (default ${DEFAULT_SERVER_OPTIONS.retryMinutes})
+  --config FILE         JSON file with providers, as window.currencyConvConfig
+  --cache-dir DIR       Where snapshots are kept (default ~/.cache/currencyconv/proxy)
+  --no-cache            Keep snapshots in memory only
+  --cors-origin ORIGIN  Access-Control-Allow-Origin value (default *)
+  -h, --help            Show this help`;
+
+function fail(message) {
+  console.error(`currencyconv-proxy: ${message}`);
+  process.exit(2);
+}
+
+function readOptions(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        port: { type: 'string' },
+        host: { type: 'string' },
+        bases: { type: 'string' },
+        'refresh-minutes': { type: 'string' },
+        'retry-minutes': { type: 'string' },
+        config: { type: 'string' },
+        'cache-dir': { type: 'string' },
+        'no-cache': { type: 'boolean' },
+        'cors-origin': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (error) {
+    fail(error.message);
+  }
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    process.exit(0);
+  }
+
+  const port = values.port ?? process.env.PORT;
+  const refreshMinutes = values['refresh-minutes'];
+  const retryMinutes = values['retry-minutes'];
+  if (port !== undefined && !/^\d+$/.test(port)) fail(`Invalid port "${port}"`);
+  if (refreshMinutes !== undefined && !(Number(refreshMinutes) > 0)) fail(`Invalid refresh interval "${refreshMinutes}"`);
+  if (retryMinutes !== undefined && !(Number(retryMinutes) > 0)) fail(`Invalid retry interval "${retryMinutes}"`);
+
+  const bases = values.bases?.split(',').map(base => base.trim().toUpperCase()).filter(Boolean);
+  if (bases && (bases.length === 0 || bases.some(base => !/^[A-Z]{3}$/.test(base)))) fail(`Invalid bases "${values.bases}"`);
+
+  let config;
+  if (values.config) {
+    try {
+      config = JSON.parse(fs.readFileSync(values.config, 'utf8'));
+    } catch (error) {
+      fail(`Cannot read config ${values.config}: ${error.message}`);
+    }
+  }
+
+  return {
+    port: port === undefined ? undefined : Number(port),
+    host: values.host,
+    bases,
+    refreshMinutes: refreshMinutes === undefined ? undefined : Number(refreshMinutes),
+    retryMinutes: retryMinutes === undefined ? undefined : Number(retryMinutes),
+    config,
+    cacheDir: values['no-cache'] ? false : values['cache-dir'],
+    corsOrigin: values['cors-origin']
+  };
+}
+
+async function main() {
+  const server = new RateServer(readOptions(process.argv.slice(2)));
+  const address = await server.start();
+  server.log(`Rate proxy listening on ${address.address}:${address.port} - bases ${server.bases.join(', ')}, refresh every ${server.options.refreshMinutes} min`);
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, async () => {
+    server.log(`${signal} received, shutting down`);
+    await server.stop();
+    process.exit(0);
+  }));
+}
+
+main().catch(error => {
+  console.error(`currencyconv-proxy: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * currencyconv - the converter on the command line
+ *
+ *   currencyconv 100 USD EUR
+ *   currencyconv '2.5k GBP in yen' --json
+ *   currencyconv 100 USD --table EUR,GBP,JPY
+ *   currencyconv 100 USD EUR --date 2024-01-05
+ *   currencyconv < invoices.csv > converted.csv
+ *
+ * Amounts accept what the app's amount field does (1,299.50, 2k, 100 + 15%, €250).
+ * Batch mode reads amount/from/to[/date] rows from stdin and writes them back with
+ * rate, converted_amount, rate_timestamp, source and error columns.
+ * Exit codes: 0 converted, 1 conversion failed (or some batch rows did), 2 usage error
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createConverter, loadCore } = require('../node/core');
+
+const USAGE = `Usage:
+  currencyconv <amount> <from> <to> [options]
+  currencyconv <amount> <from> --table EUR,GBP,JPY [options]
+  currencyconv [options] < rows.csv
+
+Options:
+  --date YYYY-MM-DD   Use the rates published for that date
+  --table A,B,C       Convert into several currencies
+  --json              Print JSON
+  --locale TAG        Locale for reading amounts and formatting results (default en-US)
+  --rounding MODE     half-up (default), half-even or truncate
+  --refresh           Fetch new rates even when cached ones are fresh
+  --offline           Use cached or built-in rates only
+  --no-cache          Neither read nor write the rate cache
+  --config FILE       JSON file with providers, pivotCurrency and consensus
+  -h, --help          Show this help
+
+Environment:
+  CURRENCYCONV_CACHE_DIR  Cache directory (default ~/.cache/currencyconv)
+  CURRENCYCONV_DEBUG      Print the core's diagnostic notes to stderr`;
+
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        date: { type: 'string' },
+        table: { type: 'string' },
+        json: { type: 'boolean' },
+        locale: { type: 'string' },
+        rounding: { type: 'string' },
+        refresh: { type: 'boolean' },
+        offline: { type: 'boolean' },
+        'no-cache': { type: 'boolean' },
+        config: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function readConfig(file) {
+  if (!file) return undefined;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Cannot read config ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Amount and currencies from the positional words; "100 USD EUR" reads as "100 USD in EUR"
+ */
+function parseRequest(words, locale) {
+  const { AmountParser } = loadCore();
+  const parser = new AmountParser(locale);
+  let parsed = parser.parse(words.join(' '));
+
+  if (!parsed.ok && parsed.code === 'mixedCurrencies' && words.length > 1) {
+    parsed = parser.parse(`${words.slice(0, -1).join(' ')} in ${words[words.length - 1]}`);
+  }
+  if (!parsed.ok) {
+    throw new UsageError(parsed.error || 'Enter an amount');
+  }
+  if (!parsed.from) {
+    throw new UsageError('Name the currency to convert from, e.g. "100 USD EUR"');
+  }
+  return parsed;
+}
+
+function parseTable(text) {
+  const { currencyCatalog } = loadCore();
+  return text.split(',').map(word => word.trim()).filter(Boolean).map(word => {
+    const code = currencyCatalog.find(word);
+    if (!code) throw new UsageError(`Unknown currency "${word}"`);
+    return code;
+  });
+}
+
+function parseDate(text) {
+  if (text === undefined) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(`${text}T00:00:00Z`))) {
+    throw new UsageError(`Invalid date "${text}" (use YYYY-MM-DD)`);
+  }
+  if (text > new Date().toISOString().slice(0, 10)) {
+    throw new UsageError(`Date ${text} is in the future`);
+  }
+  return text;
+}
+
+/**
+ * Plain-data view of a conversion for --json
+ */
+function describe(amount, from, to, result) {
+  return {
+    amount,
+    from,
+    to,
+    convertedAmount: result.error ? null : String(result.convertedValue ?? result.convertedAmount),
+    rate: result.error ? null : String(result.exchangeRateValue ?? result.exchangeRate),
+    roundingMode: result.roundingMode || null,
+    rateDate: result.rateDate || null,
+    lastUpdate: result.lastUpdate || null,
+    provider: result.provider || null,
+    source: result.source || null,
+    freshness: result.provenance?.tier || null,
+    confidence: result.provenance?.confidence || null,
+    via: result.via || null,
+    consensus: result.consensus ? {
+      sources: result.consensus.sources,
+      spreadPercent: result.consensus.spreadPercent,
+      outliers: result.consensus.outliers,
+      disputed: result.consensus.disputed
+    } : null,
+    error: result.error
+  };
+}
+
+/**
+ * "ExchangeRate-API · fetched 5 min ago" / "Frankfurter · rates of 2024-01-05"
+ */
+function describeSource(result) {
+  const { RateProvenance } = loadCore();
+  const provider = result.provider || result.source;
+  if (result.rateDate) return `${provider} · rates of ${result.rateDate}`;
+  if (result.provenance?.tier === 'hardcoded') return provider;
+  return `${provider} · fetched ${RateProvenance.formatAge(result.provenance?.ageMs)}`;
+}
+
+/**
+ * "3 sources, spread 0.12%" and one line per provider left out as an outlier
+ */
+function describeConsensus(consensus) {
+  const lines = [`${consensus.sources} source${consensus.sources === 1 ? '' : 's'}, spread ${consensus.spreadPercent}%` +
+    (consensus.disputed ? ' - sources disagree, check before relying on this rate' : '')];
+  consensus.outliers.forEach(outlier => {
+    lines.push(`excluded ${outlier.provider}: ${outlier.currency} ${outlier.rate} is ${outlier.deviationPercent}% off the median`);
+  });
+  return lines.join('\n');
+}
+
+async function convertOne(converter, options, words) {
+  const parsed = parseRequest(words, converter.locale);
+  const date = parseDate(options.date);
+  const targets = options.table ? parseTable(options.table) : [parsed.to];
+
+  if (!targets[0]) {
+    throw new UsageError('Name the currency to convert to, e.g. "100 USD EUR", or use --table');
+  }
+
+  const results = await converter.convertToMany(parsed.amount, parsed.from, targets, date);
+  const described = results.map(result => describe(parsed.amount, parsed.from, result.toCurrency, result));
+
+  if (options.json) {
+    const output = options.table ? described : described[0];
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  } else if (options.table) {
+    const width = Math.max(...results.map(result => converter.formatCurrency(result.convertedValue ?? 0, result.toCurrency).length));
+    process.stdout.write(`${converter.formatCurrency(parsed.amount, parsed.from)}\n`);
+    results.forEach(result => {
+      const line = result.error
+        ? `${result.toCurrency}  ${result.error}`
+        : `${result.toCurrency}  ${converter.formatCurrency(result.convertedValue, result.toCurrency).padStart(width)}` +
+          `  @ ${converter.formatCurrency(result.exchangeRateValue)}`;
+      process.stdout.write(`${line}\n`);
+    });
+    const sourced = results.find(result => !result.error);
+    if (sourced) process.stdout.write(`${describeSource(sourced)}\n`);
+  } else {
+    const [result] = results;
+    if (!result.error) {
+      process.stdout.write(
+        `${converter.formatCurrency(parsed.amount, parsed.from)} = ${converter.formatCurrency(result.convertedValue, result.toCurrency)}\n` +
+        `1 ${parsed.from} = ${converter.formatCurrency(result.exchangeRateValue)} ${result.toCurrency} · ${describeSource(result)}\n`
+      );
+      if (result.consensus) process.stdout.write(`${describeConsensus(result.consensus)}\n`);
+    }
+  }
+
+  // The table and JSON already show per-currency errors
+  if (!options.json && !options.table && results[0].error) {
+    console.error(`currencyconv: ${results[0].error}`);
+  }
+  return results.some(result => result.error) ? 1 : 0;
+}
+
+async function convertBatch(converter, options) {
+  const { BatchConverter } = loadCore();
+  const batch = new BatchConverter(converter);
+  const parsed = batch.parse(fs.readFileSync(0, 'utf8'));
+
+  if (parsed.rows.length === 0) {
+    throw new UsageError('No rows on stdin');
+  }
+  if (['amount', 'from', 'to'].some(field => parsed.mapping[field] === undefined)) {
+    throw new UsageError('Batch input needs amount, from and to columns (header row or amount,from,to[,date] order)');
+  }
+
+  const conversion = await batch.convert(parsed);
+
+  if (options.json) {
+    const cell = (row, field) => (row[parsed.mapping[field]] || '').trim();
+    const rows = conversion.results.map(result => ({
+      line: result.line,
+      ...describe(cell(result.row, 'amount'), cell(result.row, 'from').toUpperCase(), cell(result.row, 'to').toUpperCase(), result)
+    }));
+    process.stdout.write(`${JSON.stringify({ converted: conversion.converted, invalid: conversion.invalid.length, rows }, null, 2)}\n`);
+  } else {
+    process.stdout.write(batch.toCsv(parsed, conversion));
+  }
+
+  conversion.invalid.forEach(result => console.error(`currencyconv: line ${result.line}: ${result.error}`));
+  return conversion.invalid.length > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseOptions(argv);
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const batchMode = positionals.length === 0;
+  if (batchMode && process.stdin.isTTY) {
+    throw new UsageError('Give an amount and currencies, or pipe CSV rows to stdin');
+  }
+
+  let converter;
+  try {
+    converter = createConverter({
+      cacheDir: options['no-cache'] ? false : undefined,
+      config: readConfig(options.config),
+      online: !options.offline,
+      locale: options.locale,
+      roundingMode: options.rounding
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  // Historical single conversions load their own table; everything else needs the latest
+  if (batchMode || !options.date) {
+    const result = await converter.fetchRates(converter.pivotCurrency, Boolean(options.refresh));
+    if (result?.warning) console.error(`currencyconv: ${result.warning.message}`);
+  }
+
+  return batchMode ? convertBatch(converter, options) : convertOne(converter, options, positionals);
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`currencyconv: ${error.message}`);
+    if (error instanceof UsageError) console.error('Try "currencyconv --help"');
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+  });
@@ -0,0 +1,224 @@
+/**
+ * Rate alerts panel - create/remove alerts, request notification permission
+ * and show the history of triggered alerts
+ */
+
+class AlertPanel {
+    constructor(converter, elements, manager = new RateAlertManager()) {
+        this.converter = converter;
+        this.elements = elements;
+        this.manager = manager;
+        this.changeListeners = [];
+
+        // Evaluate alerts whenever fresh rates arrive from the network
+        this.converter.apiService.onRatesFetched(table => this.manager.evaluate(table));
+        this.manager.onTrigger(() => this.render());
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Listen for alerts being added or removed (background sync watch list)
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Draw the lists once the pair selects are filled
+     */
+    initialize() {
+        this.updateNotificationButton();
+        this.updateThresholdHint();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.elements.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addAlert();
+        });
+
+        [this.elements.from, this.elements.to, this.elements.type].forEach(select => {
+            select?.addEventListener('change', () => this.updateThresholdHint());
+        });
+
+        this.elements.list?.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'remove') {
+                await this.manager.remove(button.dataset.id);
+                this.changeListeners.forEach(listener => listener());
+            } else if (button.dataset.action === 'toggle') {
+                await this.manager.setEnabled(button.dataset.id, button.dataset.enabled !== 'true');
+            }
+            this.render();
+        });
+
+        this.elements.clearHistory?.addEventListener('click', async () => {
+            await this.manager.clearHistory();
+            this.render();
+        });
+
+        this.elements.notifyButton?.addEventListener('click', async () => {
+            await Notification.requestPermission();
+            this.updateNotificationButton();
+        });
+
+        // Alerts fired by the service worker's background sync
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'ALERTS_TRIGGERED') {
+                this.render();
+            }
+        });
+
+        i18n.onChange(() => this.initialize());
+    }
+
+    /**
+     * Validate and save the form's alert
+     */
+    async addAlert() {
+        const { from, to, type, threshold, formError } = this.elements;
+
+        try {
+            await this.manager.add({
+                from: from.value,
+                to: to.value,
+                type: type.value,
+                threshold: threshold.value
+            });
+            threshold.value = '';
+            formError.textContent = '';
+            this.registerBackgroundSync();
+            this.changeListeners.forEach(listener => listener());
+            this.render();
+        } catch (error) {
+            formError.textContent = error instanceof RateAlertError ? i18n.t(error.code, error.params) : error.message;
+        }
+    }
+
+    /**
+     * Ask the service worker to re-check rates when connectivity returns
+     */
+    async registerBackgroundSync() {
+        try {
+            const registration = await navigator.serviceWorker?.ready;
+            await registration?.sync?.register(BACKGROUND_SYNC_TAGS.ONE_OFF);
+        } catch (error) {
+            console.info('Background sync registration completed:', error);
+        }
+    }
+
+    /**
+     * Show the current rate as the threshold placeholder
+     */
+    async updateThresholdHint() {
+        const { from, to, type, threshold } = this.elements;
+        if (!threshold) return;
+
+        if (type.value === ALERT_TYPES.CHANGE) {
+            threshold.placeholder = i18n.t('alerts.changeHint');
+            return;
+        }
+
+        const result = await this.converter.convertCurrency(1, from.value, to.value, null);
+        threshold.placeholder = result.exchangeRate
+            ? i18n.t('alerts.now', { rate: this.manager.formatRate(result.exchangeRate) })
+            : i18n.t('alerts.rate');
+    }
+
+    updateNotificationButton() {
+        const button = this.elements.notifyButton;
+        if (!button) return;
+
+        if (typeof Notification === 'undefined') {
+            button.hidden = true;
+            return;
+        }
+
+        button.hidden = Notification.permission === 'granted';
+        button.disabled = Notification.permission === 'denied';
+        button.textContent = Notification.permission === 'denied'
+            ? i18n.t('alerts.notificationsBlocked')
+            : i18n.t('alerts.enableNotifications');
+    }
+
+    /**
+     * Redraw alerts and history
+     */
+    async render() {
+        const [alerts, history] = await Promise.all([this.manager.list(), this.manager.getHistory(20)]);
+        this.renderAlerts(alerts);
+        this.renderHistory(history);
+    }
+
+    renderAlerts(alerts) {
+        const list = this.elements.list;
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (alerts.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'alert-empty';
+            empty.textContent = i18n.t('alerts.empty');
+            list.appendChild(empty);
+            return;
+        }
+
+
+        alerts.forEach(alert => {
+            const item = document.createElement('li');
+            item.className = `alert-item${alert.enabled ? '' : ' disabled'}${alert.triggered ? ' triggered' : ''}`;
+
+            const label = document.createElement('span');
+            label.className = 'alert-label';
+            label.textContent = `${alert.from}/${alert.to} ${i18n.t(`alerts.condition.${alert.type}`, { threshold: i18n.formatNumber(alert.threshold) })}`;
+
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'alert-btn';
+            toggle.dataset.action = 'toggle';
+            toggle.dataset.id = alert.id;
+            toggle.dataset.enabled = String(alert.enabled);
+            toggle.textContent = i18n.t(alert.enabled ? 'alerts.pause' : 'alerts.resume');
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'alert-btn remove';
+            remove.dataset.action = 'remove';
+            remove.dataset.id = alert.id;
+            remove.textContent = '✕';
+            remove.setAttribute('aria-label', i18n.t('alerts.remove', { alert: label.textContent }));
+
+            item.append(label, toggle, remove);
+            list.appendChild(item);
+        });
+    }
+
+    renderHistory(history) {
+        const list = this.elements.history;
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (this.elements.clearHistory) {
+            this.elements.clearHistory.hidden = history.length === 0;
+        }
+
+        history.forEach(entry => {
+            const item = document.createElement('li');
+            const time = document.createElement('time');
+            time.dateTime = entry.at;
+            time.textContent = i18n.formatDateTime(entry.at);
+            item.append(time, document.createTextNode(` ${this.manager.describe(entry)}`));
+            list.appendChild(item);
+        });
+    }
+}
+
+// Export for use in other modules
+window.AlertPanel = AlertPanel;
@@ -0,0 +1,312 @@
+/**
+ * Amount parser - reads what people paste into the amount field
+ * Locale-aware numbers ("1,299.50", "1.299,50", "1 299"), suffixes (2k, 1.5m, 3bn),
+ * arithmetic ("$45 + 12%", "(120 - 15) / 3") and inline currencies
+ * ("100 EUR in JPY", "¥5000") that select the from/to currencies
+ */
+
+const AMOUNT_SUFFIXES = {
+    k: 3, thousand: 3,
+    m: 6, mn: 6, mio: 6, million: 6,
+    b: 9, bn: 9, billion: 9
+};
+
+// Words that introduce the target currency: "100 EUR in JPY"
+const AMOUNT_TARGET_WORDS = ['in', 'to', 'into', 'as', '=', '->', '→'];
+
+const AMOUNT_OPERATORS = { '+': '+', '-': '-', '−': '-', '*': '*', '×': '*', 'x': '*', '/': '/', '÷': '/' };
+
+// English messages per error code; the UI shows i18n's amount.error.<code> instead
+const AMOUNT_ERRORS = {
+    empty: () => 'Enter an amount',
+    unexpected: ({ text }) => `Unexpected "${text}"`,
+    incomplete: () => 'Expression is incomplete',
+    missingParen: () => 'Missing ")"',
+    negative: () => 'Amount must be positive',
+    divideByZero: () => 'Cannot divide by zero',
+    notNumber: ({ text }) => `"${text}" is not a number`,
+    unknownWord: ({ text }) => `Unknown currency or word "${text}"`,
+    mixedCurrencies: ({ from, to }) => `Mixed currencies ${from} and ${to} - use "in" for the target`
+};
+
+class AmountParser {
+    constructor(locale = navigator.language, catalog = currencyCatalog) {
+        this.catalog = catalog;
+        this.setLocale(locale);
+    }
+
+    /**
+     * The locale decides ambiguous separators: "1,299" is 1299 in en-US, 1.299 in de-DE
+     */
+    setLocale(locale) {
+        this.locale = locale;
+        try {
+            const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+            const separator = parts.find(part => part.type === 'decimal')?.value || '.';
+            this.decimalSeparator = AmountParser.normalizeDigits(separator);
+        } catch (error) {
+            this.decimalSeparator = '.';
+        }
+    }
+
+    /**
+     * Arabic-Indic and Persian digits and separators ("١٬٢٩٩٫٥") to ASCII
+     */
+    static normalizeDigits(text) {
+        return text
+            .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[\u06f0-\u06f9]/g, digit => String(digit.charCodeAt(0) - 0x06f0))
+            .replace(/\u066b/g, '.')
+            .replace(/\u066c/g, ',')
+            .replace(/\u066a/g, '%');
+    }
+
+    /**
+     * Error with a code and params, so callers can show it in the UI language
+     */
+    static error(code, params = {}) {
+        return Object.assign(new Error(AMOUNT_ERRORS[code](params)), { code, params });
+    }
+
+    /**
+     * Parse input into { ok, amount, from, to, expression, preview }
+     * amount is an exact decimal string; from/to are null when not given.
+     * Failures return { ok: false, error, code, params }.
+     */
+    parse(input) {
+        const text = AmountParser.normalizeDigits((input || '').trim());
+        if (!text) {
+            return { ok: false, empty: true, error: null };
+        }
+
+        try {
+            const { tokens, from, to } = this.tokenize(text);
+            if (tokens.length === 0) {
+                throw AmountParser.error('empty');
+            }
+
+            this.tokens = tokens;
+            this.position = 0;
+            const value = this.parseSum();
+            if (this.position < tokens.length) {
+                throw AmountParser.error('unexpected', { text: tokens[this.position].text });
+            }
+            if (value.isNegative()) {
+                throw AmountParser.error('negative');
+            }
+
+            const amount = AmountParser.trim(value);
+            const expression = tokens.map(token => token.text).join(' ')
+                .replace(/\( /g, '(').replace(/ (\)|%)/g, '$1');
+            return {
+                ok: true,
+                amount,
+                from,
+                to,
+                expression,
+                preview: this.describe(expression, amount, tokens.length > 1 || tokens[0].text !== amount, from, to)
+            };
+        } catch (error) {
+            return { ok: false, error: error.message, code: error.code, params: error.params };
+        }
+    }
+
+    /**
+     * Split input into number/operator/percent/paren tokens and pull out currencies
+     */
+    tokenize(text) {
+        const tokens = [];
+        let from = null;
+        let to = null;
+        let expectTarget = false;
+        let rest = text;
+
+        const take = (pattern) => {
+            const match = pattern.exec(rest);
+            if (match) rest = rest.slice(match[0].length);
+            return match;
+        };
+
+        while (rest.length > 0) {
+            let match;
+
+            if (take(/^\s+/)) continue;
+
+            if ((match = take(/^(?:\d{1,3}(?:[ \u00a0\u202f\u2009']\d{3})+(?:[.,]\d+)?|\d[\d.,]*|[.,]\d+)/))) {
+                const number = this.normalizeNumber(match[0]);
+                const suffix = take(/^\s?(thousand|million|billion|mio|mn|bn|k|m|b)\b/i);
+                const exponent = suffix ? AMOUNT_SUFFIXES[suffix[1].toLowerCase()] : 0;
+                const value = Decimal.from(`${number}e${exponent}`);
+                tokens.push({ type: 'number', value, text: suffix ? `${match[0]}${suffix[0]}` : AmountParser.trim(value) });
+                continue;
+            }
+
+            if ((match = take(/^(->|→|=)/))) {
+                expectTarget = true;
+                continue;
+            }
+
+            if ((match = take(/^[-+−*×x/÷]/)) && !(match[0] === 'x' && /^[a-z]/i.test(rest))) {
+                tokens.push({ type: 'operator', value: AMOUNT_OPERATORS[match[0]], text: AMOUNT_OPERATORS[match[0]] });
+                continue;
+            } else if (match) {
+                rest = match[0] + rest; // "x" starting a word such as "xau"
+            }
+
+            if ((match = take(/^[%()]/))) {
+                const type = match[0] === '%' ? 'percent' : 'paren';
+                tokens.push({ type, value: match[0], text: match[0] });
+                continue;
+            }
+
+            if ((match = take(/^(?:\p{L}+\p{Sc}?|\p{Sc}+)/u))) {
+                const word = match[0];
+                if (AMOUNT_TARGET_WORDS.includes(word.toLowerCase())) {
+                    expectTarget = true;
+                    continue;
+                }
+
+                // "US$" falls back to its symbol
+                const currency = this.catalog.find(word) || this.catalog.find(word.replace(/^\p{L}+(?=\p{Sc})/u, ''));
+                if (!currency) {
+                    throw AmountParser.error('unknownWord', { text: word });
+                }
+
+                if (expectTarget) {
+                    to = currency;
+                    expectTarget = false;
+                } else if (from && from !== currency) {
+                    throw AmountParser.error('mixedCurrencies', { from, to: currency });
+                } else {
+                    from = currency;
+                }
+                continue;
+            }
+
+            throw AmountParser.error('unexpected', { text: rest[0] });
+        }
+
+        return { tokens, from, to };
+    }
+
+    /**
+     * "1,299.50" / "1.299,50" / "1 299" -> "1299.50" / "1299.50" / "1299"
+     * With a single separator followed by exactly three digits, the locale decides
+     */
+    normalizeNumber(raw) {
+        let value = raw.replace(/[ \u00a0\u202f\u2009']/g, '');
+        const lastSeparator = Math.max(value.lastIndexOf(','), value.lastIndexOf('.'));
+        if (lastSeparator === -1) return value;
+
+        const separator = value[lastSeparator];
+        const decimals = value.slice(lastSeparator + 1);
+        const occurrences = value.split(separator).length - 1;
+
+        let isDecimal;
+        if (value.includes(',') && value.includes('.')) {
+            isDecimal = true;
+        } else if (occurrences > 1) {
+            isDecimal = false;
+        } else if (decimals.length !== 3) {
+            isDecimal = true;
+        } else {
+            isDecimal = separator === this.decimalSeparator;
+        }
+
+        const integer = isDecimal ? value.slice(0, lastSeparator) : value;
+        const cleaned = isDecimal
+            ? `${integer.replace(/[.,]/g, '') || '0'}.${decimals}`
+            : integer.replace(/[.,]/g, '');
+
+        if (!/^\d+(\.\d+)?$/.test(cleaned)) {
+            throw AmountParser.error('notNumber', { text: raw });
+        }
+        return cleaned;
+    }
+
+    // sum := product (('+' | '-') product)*   "a + 12%" adds 12% of a
+    parseSum() {
+        let value = this.parseProduct().value;
+
+        while (this.peek('operator', '+') || this.peek('operator', '-')) {
+            const operator = this.next().value;
+            const operand = this.parseProduct();
+            const change = operand.percent ? value.multiply(operand.value) : operand.value;
+            value = operator === '+' ? value.add(change) : value.subtract(change);
+        }
+        return value;
+    }
+
+    // product := factor (('*' | '/') factor)*   -> { value, percent }
+    parseProduct() {
+        let term = this.parseFactor();
+
+        while (this.peek('operator', '*') || this.peek('operator', '/')) {
+            const operator = this.next().value;
+            const factor = this.parseFactor();
+            if (operator === '/' && factor.value.isZero()) {
+                throw AmountParser.error('divideByZero');
+            }
+            const value = operator === '*' ? term.value.multiply(factor.value) : term.value.divide(factor.value);
+            term = { value, percent: false };
+        }
+        return term;
+    }
+
+    // factor := '-' factor | (number | '(' sum ')') '%'?
+    parseFactor() {
+        if (this.peek('operator', '-')) {
+            this.next();
+            return { value: this.parseFactor().value.negate(), percent: false };
+        }
+
+        let value;
+        if (this.peek('number')) {
+            value = this.next().value;
+        } else if (this.peek('paren', '(')) {
+            this.next();
+            value = this.parseSum();
+            if (!this.peek('paren', ')')) throw AmountParser.error('missingParen');
+            this.next();
+        } else {
+            const token = this.tokens[this.position];
+            throw token ? AmountParser.error('unexpected', { text: token.text }) : AmountParser.error('incomplete');
+        }
+
+        if (this.peek('percent')) {
+            this.next();
+            return { value: value.divide(Decimal.from(100)), percent: true };
+        }
+        return { value, percent: false };
+    }
+
+    peek(type, value) {
+        const token = this.tokens[this.position];
+        return Boolean(token) && token.type === type && (value === undefined || token.value === value);
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    /**
+     * "45 + 12% = 50.4 USD → JPY"
+     */
+    describe(expression, amount, computed, from, to) {
+        const parts = [computed ? `${expression} = ${amount}` : amount];
+        if (from) parts.push(from);
+        if (to) parts.push(`→ ${to}`);
+        return parts.join(' ');
+    }
+
+    /**
+     * Decimal string without trailing fraction zeros ("50.400" -> "50.4")
+     */
+    static trim(value) {
+        const text = value.toString();
+        return text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+    }
+}
+
+// Export for the page and the Node core (self is window in the page)
+self.AmountParser = AmountParser;
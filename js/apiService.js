@@ -3,15 +3,47 @@
  * Implements caching, error handling, fallback systems, and performance monitoring
  */
 
+// English text per warning code, with the table's age; the UI shows the catalog's text for the code
+const RATE_WARNINGS = {
+    'rates.warning.offline': ({ age }) => `Offline - showing rates fetched ${age}`,
+    'rates.warning.providersUnavailable': ({ age }) => `Rate providers unavailable - showing rates fetched ${age}`,
+    'rates.warning.updating': ({ age }) => `Updating - showing rates fetched ${age}`,
+    'rates.warning.builtIn': ({ date }) => `No connection to rate providers - using built-in rates from ${date}`
+};
+
 class ExchangeRateAPIService {
-    constructor() {
-        this.baseUrl = 'https://api.exchangerate-api.com/v4/latest';
-        this.fallbackUrl = 'https://open.er-api.com/v6/latest';
-        this.cacheKey = 'exchangeRates';
-        this.cacheTimestampKey = 'exchangeRatesTimestamp';
-        this.cacheDuration = 5 * 60 * 1000; // 5 minutes
+    /**
+     * options: { environment, providers, rateStore, consensus, validation }
+     * environment (storage, network, connectivity, config) defaults to the browser's;
+     * consensus (true or { tolerancePercent, minSources }) asks every provider at once;
+     * validation ({ maxJumpPercent, jumpWindowHours, minRates }) tunes the payload checks
+     */
+    constructor(options = {}) {
+        this.environment = options.environment || RuntimeEnvironment.browser();
+        // Thresholds every fetched table is checked against before it is cached
+        this.validation = RateValidator.options(options.validation ?? this.environment.config.validation);
+        
+        // Rate providers, in priority order. Config comes from (highest wins):
+        // constructor options, a saved user config, the environment config
+        // (window.currencyConvConfig in the page), defaults
+        this.providerConfigKey = 'rateProviderConfig';
+        this.providerConfig = this.loadProviderConfig(options.providers); // Also handed to background sync
+        this.providers = this.createProviders(this.providerConfig);
+        // Consensus mode: median of all providers, outliers flagged (off by default)
+        this.consensus = RateConsensus.options(options.consensus ?? this.environment.config.consensus);
+        this.historicalStartDate = '1999-01-04'; // First ECB reference rate publication
+        this.cacheDuration = RATE_STORE_POLICY.freshTtl; // Same TTL as the service worker
+        
+        // Rate tables, offline archive and historical entries live in IndexedDB
+        // (shared with the service worker); retention and quotas are store policy
+        this.rateStore = options.rateStore || new RateStore();
+        this.historicalCacheKey = 'historicalRates';
+        this.timeSeriesCacheKey = 'rateTimeSeries';
         this.requestQueue = [];
-        this.isOnline = navigator.onLine;
+        this.rateListeners = [];
+        this.updateListeners = [];
+        this.revalidating = new Map(); // SW cache URL -> base, for stale tables being refreshed
+        this.isOnline = this.environment.isOnline;
         this.metrics = new PerformanceMetrics();
         
         // Rate limiting
@@ -21,30 +53,46 @@ class ExchangeRateAPIService {
         // Initialize event listeners
         this.initializeEventListeners();
         
-        // Initialize fallback rates (updated June 2025)
-        this.fallbackRates = {
-            'EUR': 0.876, 'GBP': 0.738, 'JPY': 156.2, 'AUD': 1.542,
-            'CAD': 1.384, 'CHF': 0.891, 'CNY': 7.245, 'INR': 83.12, 
-            'KRW': 1398.5, 'MXN': 18.75, 'SGD': 1.348, 'HKD': 7.785,
-            'NOK': 10.85, 'SEK': 10.42, 'DKK': 6.53, 'PLN': 4.12,
-            'CZK': 23.15, 'HUF': 385.2, 'RUB': 89.5, 'BRL': 5.48,
-            'ZAR': 18.25, 'TRY': 32.85, 'ILS': 3.68, 'AED': 3.673,
-            'SAR': 3.751, 'THB': 36.45, 'MYR': 4.685, 'IDR': 16125,
-            'PHP': 58.25, 'VND': 24850, 'EGP': 49.15, 'NGN': 1545,
-            'KES': 129.5, 'GHS': 15.85, 'MAD': 9.82
-        };
+        // Built-in USD rates (snapshot dated FALLBACK_RATES_DATE)
+        this.fallbackRates = currencyCatalog.fallbackRates();
     }
 
     initializeEventListeners() {
         // Monitor online/offline status
-        window.addEventListener('online', () => {
-            this.isOnline = true;
-            this.processRequestQueue();
+        this.environment.onConnectivityChange(online => {
+            this.isOnline = online;
+            if (online) this.processRequestQueue();
         });
         
-        window.addEventListener('offline', () => {
-            this.isOnline = false;
+        // The service worker refreshed a stale table it served earlier
+        self.navigator?.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'RATES_UPDATED') {
+                this.handleRatesUpdated(event.data);
+            }
         });
+        
+        // The worker caches rate requests of the provider chain it was told about
+        self.navigator?.serviceWorker?.addEventListener('controllerchange', () => this.postProviderConfig());
+        this.postProviderConfig();
+    }
+
+    /**
+     * Hand the provider chain to the controlling service worker, so custom
+     * providers' responses are cached for offline use like the built-in ones
+     */
+    postProviderConfig() {
+        try {
+            self.navigator?.serviceWorker?.controller?.postMessage({ type: 'RATE_PROVIDERS', providers: this.providerConfig });
+        } catch (error) {
+            console.info('Provider config post completed:', error);
+        }
+    }
+
+    /**
+     * Whether a service worker answers rate requests (and so owns the fresh cache)
+     */
+    isServiceWorkerControlled() {
+        return Boolean(self.navigator?.serviceWorker?.controller);
     }
 
     /**
@@ -54,40 +102,24 @@ class ExchangeRateAPIService {
         const startTime = performance.now();
         
         try {
-            // Check cache first (unless force refresh)
-            if (!forceRefresh) {
-                const cachedRates = this.getCachedRates(baseCurrency);
+            // Check cache first (unless force refresh); under a service worker the
+            // worker's stale-while-revalidate cache answers instead
+            if (!forceRefresh && !this.isServiceWorkerControlled()) {
+                const cachedRates = await this.getCachedRates(baseCurrency);
                 if (cachedRates) {
                     this.metrics.recordCacheHit(performance.now() - startTime);
-                    return {
-                        success: true,
-                        rates: cachedRates.rates,
-                        timestamp: cachedRates.timestamp,
-                        source: 'cache'
-                    };
+                    return this.buildRatesResult(cachedRates, 'cache');
                 }
             }
 
-            // If offline, return cached data or fallback
-            if (!this.isOnline) {
-                const cachedRates = this.getCachedRates(baseCurrency, true); // Allow stale cache
+            // If offline, return cached data or fallback (a service worker can still answer from its cache)
+            if (!this.isOnline && !this.isServiceWorkerControlled()) {
+                const cachedRates = await this.getCachedRates(baseCurrency, true); // Last known good
                 if (cachedRates) {
-                    return {
-                        success: true,
-                        rates: cachedRates.rates,
-                        timestamp: cachedRates.timestamp,
-                        source: 'offline_cache',
-                        warning: 'Last Refreshed Rate'
-                    };
+                    return this.buildRatesResult(cachedRates, 'offline_cache', 'rates.warning.offline');
                 }
                 
-                return {
-                    success: true,
-                    rates: this.fallbackRates,
-                    timestamp: new Date().toISOString(),
-                    source: 'fallback',
-                    warning: 'Last Refreshed Rate'
-                };
+                return this.buildFallbackResult('fallback');
             }
 
             // Rate limiting check
@@ -98,93 +130,196 @@ class ExchangeRateAPIService {
                 );
             }
 
-            // Fetch from API with retry logic
-            const result = await this.fetchWithRetry(baseCurrency);
+            // Fetch from API with retry logic (offline, the service worker answers or fails at once)
+            const result = await this.fetchWithRetry(baseCurrency, this.isOnline ? 3 : 1, { refresh: forceRefresh });
             this.lastRequestTime = Date.now();
             
-            // Cache the successful result
-            this.cacheRates(baseCurrency, result.rates);
+            // Cache the successful result under the base it is actually quoted in
+            const cache = result.cache;
+            const table = {
+                base: result.base || baseCurrency,
+                rates: result.rates,
+                provider: result.provider,
+                publishedAt: result.publishedAt || null,
+                fetchedAt: cache?.fetchedAt || new Date().toISOString(),
+                consensus: result.consensus || null
+            };
+            await this.cacheRates(table.base, table);
+            
+            if (cache && cache.status !== 'network') {
+                this.metrics.recordCacheHit(performance.now() - startTime);
+                return this.buildServiceWorkerResult(table, cache);
+            }
             
             this.metrics.recordApiSuccess(performance.now() - startTime);
             
-            return {
-                success: true,
-                rates: result.rates,
-                timestamp: new Date().toISOString(),
-                source: 'api'
-            };
+            this.notifyRateListeners({ base: table.base, rates: table.rates, timestamp: table.fetchedAt });
+            
+            return this.buildRatesResult(table, 'api');
 
         } catch (error) {
             this.metrics.recordApiError(performance.now() - startTime, error.message);
             
             // Try cached data as fallback
-            const cachedRates = this.getCachedRates(baseCurrency, true);
+            const cachedRates = await this.getCachedRates(baseCurrency, true);
             if (cachedRates) {
-                return {
-                    success: true,
-                    rates: cachedRates.rates,
-                    timestamp: cachedRates.timestamp,
-                    source: 'error_fallback_cache',
-                    warning: 'Last Refreshed Rate'
-                };
+                return this.isOnline
+                    ? this.buildRatesResult(cachedRates, 'error_fallback_cache', 'rates.warning.providersUnavailable')
+                    : this.buildRatesResult(cachedRates, 'offline_cache', 'rates.warning.offline');
             }
             
             // Final fallback to hardcoded rates
-            return {
-                success: true,
-                rates: this.fallbackRates,
-                timestamp: new Date().toISOString(),
-                source: 'error_fallback_hardcoded',
-                warning: 'Last Refreshed Rate'
-            };
+            return this.buildFallbackResult(this.isOnline ? 'error_fallback_hardcoded' : 'fallback');
         }
     }
 
     /**
-     * Fetch with retry logic and multiple endpoints
+     * Shape a rate table { base, rates, provider, publishedAt, fetchedAt } as a result with provenance
+     * A warning code (RATE_WARNINGS) becomes a { code, params, message, transient } warning with the table's age
      */
-    async fetchWithRetry(baseCurrency, maxRetries = 3) {
-        const urls = [
-            `${this.baseUrl}/${baseCurrency}`,
-            `${this.fallbackUrl}/${baseCurrency}`
-        ];
+    buildRatesResult(table, source, warningCode = null, transient = false) {
+        const provenance = RateProvenance.describe({ ...table, source });
+        const result = {
+            success: true,
+            base: table.base,
+            rates: table.rates,
+            timestamp: table.fetchedAt || table.publishedAt,
+            publishedAt: table.publishedAt || null,
+            fetchedAt: table.fetchedAt || null,
+            source,
+            provider: table.provider || null,
+            consensus: table.consensus || null,
+            provenance
+        };
+
+        if (warningCode) {
+            result.warning = ExchangeRateAPIService.warning(warningCode, { ageMs: provenance.ageMs }, transient);
+        }
+        return result;
+    }
+
+    /**
+     * A table the service worker served from its cache: fresh, or stale while it revalidates
+     */
+    buildServiceWorkerResult(table, cache) {
+        if (cache.status !== 'stale') {
+            return this.buildRatesResult(table, 'sw_cache');
+        }
         
+        if (!this.isOnline) {
+            return this.buildRatesResult(table, 'offline_cache', 'rates.warning.offline');
+        }
+        
+        this.revalidating.set(cache.url, table.base);
+        return this.buildRatesResult(table, 'sw_stale', 'rates.warning.updating', true);
+    }
+
+    /**
+     * The built-in USD table, dated to its snapshot rather than to now
+     */
+    buildFallbackResult(source) {
+        const result = this.buildRatesResult({
+            base: 'USD',
+            rates: this.fallbackRates,
+            provider: 'Built-in rates',
+            publishedAt: FALLBACK_RATES_DATE,
+            fetchedAt: null
+        }, source);
+
+        result.warning = ExchangeRateAPIService.warning('rates.warning.builtIn', { date: FALLBACK_RATES_DATE.slice(0, 10) });
+        return result;
+    }
+
+    /**
+     * { code, params, message, transient }: the i18n key and its params, the English text
+     * (ageMs is written out as {age}) and whether it is a passing status the page hides again
+     */
+    static warning(code, params, transient = false) {
+        const age = 'ageMs' in params ? RateProvenance.formatAge(params.ageMs) : undefined;
+        return { code, params, message: RATE_WARNINGS[code]({ ...params, age }), transient };
+    }
+
+    /**
+     * Listen for freshly fetched (non-cached) rate tables
+     */
+    onRatesFetched(callback) {
+        this.rateListeners.push(callback);
+        return () => {
+            this.rateListeners = this.rateListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    notifyRateListeners(table) {
+        this.rateListeners.forEach(listener => {
+            try {
+                listener(table);
+            } catch (error) {
+                console.info('Rate listener completed:', error);
+            }
+        });
+    }
+
+    /**
+     * Listen for tables replaced in the background (results shaped like getExchangeRates)
+     */
+    onRatesUpdated(callback) {
+        this.updateListeners.push(callback);
+        return () => {
+            this.updateListeners = this.updateListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Re-read a table the service worker has just revalidated and pass it on
+     */
+    async handleRatesUpdated({ url }) {
+        const base = this.revalidating.get(url);
+        if (!base) return;
+        
+        this.revalidating.delete(url);
+        const result = await this.getExchangeRates(base);
+        if (result.source !== 'sw_cache') return;
+        
+        this.notifyRateListeners({ base: result.base, rates: result.rates, timestamp: result.fetchedAt });
+        this.updateListeners.forEach(listener => {
+            try {
+                listener(result);
+            } catch (error) {
+                console.info('Rate listener completed:', error);
+            }
+        });
+    }
+
+    /**
+     * Fetch with retry logic across the configured providers
+     */
+    async fetchWithRetry(baseCurrency, maxRetries = 3, options = {}) {
+        const providers = this.providers.filter(provider => provider.supports(baseCurrency));
+        if (providers.length === 0) {
+            throw new Error(`No rate provider supports ${baseCurrency}`);
+        }
+        
+        if (this.consensus) {
+            return this.fetchConsensus(providers, baseCurrency, options);
+        }
+        
+        const previous = await this.getCachedRates(baseCurrency, true);
+        let refresh = Boolean(options.refresh);
         let lastError;
         
         for (let attempt = 0; attempt < maxRetries; attempt++) {
-            for (const url of urls) {
+            for (const provider of providers) {
                 try {
-                    const controller = new AbortController();
-                    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s timeout
-                    
-                    const response = await fetch(url, {
-                        signal: controller.signal,
-                        headers: {
-                            'Accept': 'application/json',
-                            'Cache-Control': 'no-cache'
-                        }
-                    });
-                    
-                    clearTimeout(timeoutId);
-                    
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    }
-                    
-                    const data = await response.json();
-                    
-                    if (!data.rates && !data.conversion_rates) {
-                        throw new Error('Invalid API response format');
-                    }
-                    
-                    return {
-                        rates: data.rates || data.conversion_rates,
-                        base: data.base || baseCurrency
-                    };
-                    
+                    const result = await provider.fetchLatest(baseCurrency, { ...options, refresh });
+                    return this.screenRates(result, previous);
                 } catch (error) {
                     lastError = error;
-                    console.info(`API attempt completed (${url}):`, error.message);
+                    if (error instanceof RateValidationError) {
+                        await this.recordRejection(error);
+                        refresh = true; // Past the service worker, in case it cached the bad payload
+                    } else {
+                        console.info(`API attempt completed (${provider.name}):`, error.message);
+                    }
                     
                     if (attempt < maxRetries - 1) {
                         await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1))); // Exponential backoff
@@ -197,34 +332,231 @@ class ExchangeRateAPIService {
     }
 
     /**
-     * Get cached rates with TTL check
+     * Ask every provider at once and combine their tables (consensus mode)
+     */
+    async fetchConsensus(providers, baseCurrency, options = {}) {
+        const previous = await this.getCachedRates(baseCurrency, true);
+        const settled = await Promise.allSettled(
+            providers.map(async provider => this.screenRates(await provider.fetchLatest(baseCurrency, options), previous))
+        );
+        
+        const results = [];
+        for (const [index, outcome] of settled.entries()) {
+            if (outcome.status === 'fulfilled') {
+                results.push(outcome.value);
+            } else if (outcome.reason instanceof RateValidationError) {
+                await this.recordRejection(outcome.reason);
+            } else {
+                console.info(`API attempt completed (${providers[index].name}):`, outcome.reason?.message);
+            }
+        }
+        
+        if (results.length === 0) {
+            throw settled.find(outcome => outcome.status === 'rejected')?.reason ||
+                new Error(`No rate provider answered for ${baseCurrency}`);
+        }
+        
+        const combined = RateConsensus.combine(results, baseCurrency, this.consensus, previous);
+        combined.consensus.outliers.forEach(outlier => {
+            console.info(`Rate outlier excluded (${outlier.provider}):`,
+                `${outlier.currency} ${outlier.rate} is ${outlier.deviationPercent}% from the median ${outlier.median}`);
+        });
+        return combined;
+    }
+
+    /**
+     * Quarantine a fetched table whose rates jumped implausibly far from the last known good one
      */
-    getCachedRates(baseCurrency, allowStale = false) {
+    screenRates(result, previous) {
         try {
-            const cacheKey = `${this.cacheKey}_${baseCurrency}`;
-            const timestampKey = `${this.cacheTimestampKey}_${baseCurrency}`;
-            
-            const cachedData = localStorage.getItem(cacheKey);
-            const cachedTimestamp = localStorage.getItem(timestampKey);
-            
-            if (!cachedData || !cachedTimestamp) {
-                return null;
+            return RateValidator.checkJumps(result, previous, this.validation);
+        } catch (error) {
+            error.message = `${result.provider}: ${error.message}`;
+            error.provider = result.provider;
+            throw error;
+        }
+    }
+
+    /**
+     * Log a payload that failed validation and keep it for inspection (getRejectedPayloads)
+     */
+    async recordRejection(error) {
+        console.info(`Rate payload rejected (${error.provider}):`, error.issues.join('; '));
+        await this.rateStore.putRejected(RateValidator.describeRejection(error));
+    }
+
+    /**
+     * Recently rejected payloads { rejectedAt, provider, base, reason, issues, payload }, newest first
+     */
+    getRejectedPayloads() {
+        return this.rateStore.getRejected();
+    }
+
+    /**
+     * Resolve provider config from options, saved config, page config or defaults
+     */
+    loadProviderConfig(config) {
+        if (Array.isArray(config)) {
+            return config;
+        }
+        
+        const saved = this.readStorage(this.providerConfigKey);
+        if (Array.isArray(saved)) {
+            return saved;
+        }
+        
+        const pageConfig = this.environment.config.providers;
+        return Array.isArray(pageConfig) ? pageConfig : DEFAULT_PROVIDER_CONFIG;
+    }
+
+    /**
+     * Provider adapters for a config, fetching through the environment's network layer
+     * and validating with this service's thresholds
+     */
+    createProviders(config) {
+        return rateProviderRegistry.create(config, { fetch: this.environment.fetch, validation: this.validation });
+    }
+
+    /**
+     * Replace the provider chain, optionally saving it for future sessions
+     */
+    configureProviders(config, persist = false) {
+        this.providerConfig = config;
+        this.providers = this.createProviders(config);
+        this.postProviderConfig();
+        
+        if (persist) {
+            this.writeStorage(this.providerConfigKey, config);
+        }
+        
+        return this.providers.map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            priority: provider.priority,
+            historical: provider.supportsHistorical
+        }));
+    }
+
+    /**
+     * Drop a saved provider config and return to page/default config
+     */
+    resetProviders() {
+        this.environment.removeItem(this.providerConfigKey);
+        this.providerConfig = this.loadProviderConfig();
+        this.providers = this.createProviders(this.providerConfig);
+        this.postProviderConfig();
+    }
+
+    /**
+     * Get rates for a single past date (YYYY-MM-DD)
+     */
+    async getHistoricalRates(baseCurrency = 'USD', date) {
+        const cacheKey = `${this.historicalCacheKey}_${baseCurrency}_${date}`;
+        
+        // Dates before today are final, so cached entries never expire
+        if (date < this.formatDate(new Date())) {
+            const cached = await this.rateStore.getEntry(cacheKey);
+            if (cached) {
+                return { success: true, ...cached, source: 'cache' };
             }
-            
-            const timestamp = new Date(cachedTimestamp);
-            const now = new Date();
-            const age = now.getTime() - timestamp.getTime();
-            
-            // Check if cache is still valid or if stale data is allowed
-            if (allowStale || age < this.cacheDuration) {
-                return {
-                    rates: JSON.parse(cachedData),
-                    timestamp: cachedTimestamp,
-                    age: age
+        }
+        
+        if (!this.isOnline) {
+            return { success: false, error: 'Historical rates are unavailable offline' };
+        }
+        
+        const providers = this.providers.filter(provider =>
+            provider.supportsHistorical && provider.supports(baseCurrency)
+        );
+        let lastError = new Error(`No historical rate provider supports ${baseCurrency}`);
+        
+        for (const provider of providers) {
+            try {
+                const data = await provider.fetchHistorical(baseCurrency, date);
+                const result = {
+                    base: data.base || baseCurrency,
+                    date: data.date || date, // Weekends resolve to the previous business day
+                    requestedDate: date,
+                    rates: data.rates,
+                    provider: data.provider,
+                    publishedAt: data.publishedAt || null,
+                    fetchedAt: new Date().toISOString()
                 };
+                await this.rateStore.putEntry(cacheKey, 'historical', result);
+                
+                return { success: true, ...result, source: 'api' };
+            } catch (error) {
+                lastError = error;
+                if (error instanceof RateValidationError) {
+                    await this.recordRejection(error);
+                } else {
+                    console.info(`Historical API attempt completed (${provider.name}):`, error.message);
+                }
             }
+        }
+        
+        this.metrics.recordApiError(0, lastError.message);
+        return { success: false, error: lastError.message };
+    }
+
+    /**
+     * Get daily rates for a currency pair between two dates (YYYY-MM-DD, inclusive)
+     */
+    async getTimeSeries(baseCurrency, quoteCurrency, startDate, endDate) {
+        const cacheKey = `${this.timeSeriesCacheKey}_${baseCurrency}_${quoteCurrency}_${startDate}_${endDate}`;
+        const cached = await this.rateStore.getEntry(cacheKey);
+        
+        // Closed ranges are final; ranges ending today are refreshed after the normal TTL
+        if (cached) {
+            const isClosedRange = endDate < this.formatDate(new Date());
+            const age = Date.now() - new Date(cached.fetchedAt).getTime();
+            if (isClosedRange || age < this.cacheDuration || !this.isOnline) {
+                return { success: true, ...cached, source: 'cache' };
+            }
+        }
+        
+        if (!this.isOnline) {
+            return { success: false, error: 'Historical rates are unavailable offline' };
+        }
+        
+        const provider = this.providers.find(candidate =>
+            candidate.supportsTimeSeries && candidate.supports(baseCurrency) && candidate.supports(quoteCurrency)
+        );
+        if (!provider) {
+            return { success: false, error: `No history provider supports ${baseCurrency}/${quoteCurrency}` };
+        }
+        
+        try {
+            const series = await provider.fetchTimeSeries(baseCurrency, quoteCurrency, startDate, endDate);
             
-            return null;
+            const result = {
+                base: baseCurrency,
+                quote: quoteCurrency,
+                startDate,
+                endDate,
+                points: series.points,
+                provider: series.provider,
+                fetchedAt: new Date().toISOString()
+            };
+            await this.rateStore.putEntry(cacheKey, 'timeSeries', result);
+            
+            return { success: true, ...result, source: 'api' };
+        } catch (error) {
+            this.metrics.recordApiError(0, error.message);
+            if (cached) {
+                return { success: true, ...cached, source: 'error_fallback_cache' };
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Read a JSON value from the environment's storage
+     */
+    readStorage(key) {
+        try {
+            const value = this.environment.getItem(key);
+            return value ? JSON.parse(value) : null;
         } catch (error) {
             console.info('Cache read completed:', error);
             return null;
@@ -232,47 +564,55 @@ class ExchangeRateAPIService {
     }
 
     /**
-     * Cache rates with timestamp
+     * Write a JSON value to the environment's storage
      */
-    cacheRates(baseCurrency, rates) {
+    writeStorage(key, value) {
+        this.environment.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Format a Date as YYYY-MM-DD (UTC)
+     */
+    formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get cached rates: within the TTL, or the last known good table when stale is allowed
+     */
+    async getCachedRates(baseCurrency, allowStale = false) {
         try {
-            const cacheKey = `${this.cacheKey}_${baseCurrency}`;
-            const timestampKey = `${this.cacheTimestampKey}_${baseCurrency}`;
-            const timestamp = new Date().toISOString();
+            const record = allowStale
+                ? await this.rateStore.getLastKnownGood(baseCurrency)
+                : await this.rateStore.getLatest(baseCurrency, this.cacheDuration);
             
-            localStorage.setItem(cacheKey, JSON.stringify(rates));
-            localStorage.setItem(timestampKey, timestamp);
+            if (!record) {
+                return null;
+            }
             
-            // Clean old cache entries to prevent storage bloat
-            this.cleanOldCache();
+            return {
+                base: record.base || baseCurrency,
+                rates: record.rates,
+                provider: record.provider || null,
+                publishedAt: record.publishedAt || null,
+                fetchedAt: record.fetchedAt,
+                timestamp: record.fetchedAt,
+                age: Date.now() - new Date(record.fetchedAt).getTime()
+            };
         } catch (error) {
-            console.info('Cache operation completed:', error);
+            console.info('Cache read completed:', error);
+            return null;
         }
     }
 
     /**
-     * Clean old cache entries
+     * Cache a rate table { base, rates, provider, publishedAt, fetchedAt } with its fetch time
      */
-    cleanOldCache() {
+    async cacheRates(baseCurrency, table) {
         try {
-            const keys = Object.keys(localStorage);
-            const now = new Date().getTime();
-            
-            keys.forEach(key => {
-                if (key.startsWith(this.cacheTimestampKey)) {
-                    const timestamp = localStorage.getItem(key);
-                    if (timestamp) {
-                        const age = now - new Date(timestamp).getTime();
-                        if (age > this.cacheDuration * 2) { // Remove cache older than 2x TTL
-                            const dataKey = key.replace(this.cacheTimestampKey, this.cacheKey);
-                            localStorage.removeItem(key);
-                            localStorage.removeItem(dataKey);
-                        }
-                    }
-                }
-            });
+            await this.rateStore.putLatest({ ...table, base: table.base || baseCurrency });
         } catch (error) {
-            console.info('Cache cleanup completed:', error);
+            console.info('Cache operation completed:', error);
         }
     }
 
@@ -295,35 +635,14 @@ class ExchangeRateAPIService {
      * Get cache statistics
      */
     getCacheStats() {
-        const keys = Object.keys(localStorage);
-        const cacheKeys = keys.filter(key => key.startsWith(this.cacheKey));
-        const timestampKeys = keys.filter(key => key.startsWith(this.cacheTimestampKey));
-        
-        return {
-            totalEntries: cacheKeys.length,
-            totalSize: cacheKeys.reduce((size, key) => {
-                return size + (localStorage.getItem(key)?.length || 0);
-            }, 0),
-            oldestEntry: timestampKeys.reduce((oldest, key) => {
-                const timestamp = localStorage.getItem(key);
-                if (timestamp && (!oldest || new Date(timestamp) < new Date(oldest))) {
-                    return timestamp;
-                }
-                return oldest;
-            }, null)
-        };
+        return this.rateStore.stats();
     }
 
     /**
      * Clear all cached data
      */
     clearCache() {
-        const keys = Object.keys(localStorage);
-        keys.forEach(key => {
-            if (key.startsWith(this.cacheKey) || key.startsWith(this.cacheTimestampKey)) {
-                localStorage.removeItem(key);
-            }
-        });
+        return this.rateStore.clear();
     }
 }
 
@@ -392,5 +711,5 @@ class PerformanceMetrics {
     }
 }
 
-// Export for use in other modules
-window.ExchangeRateAPIService = ExchangeRateAPIService;
+// Export for the page and the Node core (self is window in the page)
+self.ExchangeRateAPIService = ExchangeRateAPIService;
@@ -0,0 +1,137 @@
+/**
+ * Background rate sync - keeps rate tables for the currencies the user watches
+ * (favorites, the multi-currency table, alerts) current while the app is closed
+ * Shared by the page and the service worker (loaded there with importScripts):
+ * the page saves the watch list and settings, the worker runs the sync
+ */
+
+const BACKGROUND_SYNC_TAGS = {
+    ONE_OFF: 'background-sync-rates',      // Runs once connectivity returns
+    PERIODIC: 'periodic-sync-rates'        // Runs roughly every configured interval
+};
+
+const BACKGROUND_SYNC_HOUR_MS = 60 * 60 * 1000;
+
+const BACKGROUND_SYNC_DEFAULTS = {
+    enabled: true,
+    interval: 3 * BACKGROUND_SYNC_HOUR_MS,
+    intervals: [1, 3, 6, 12, 24].map(hours => hours * BACKGROUND_SYNC_HOUR_MS),
+    retryDelay: 5 * 60 * 1000   // First retry after a failed run, doubled per failure up to the interval
+};
+
+class BackgroundRateSync {
+    constructor(store = new RateStore()) {
+        this.store = store;
+        this.keys = { watchList: 'syncWatchList', settings: 'syncSettings', status: 'syncStatus' };
+    }
+
+    /**
+     * Bases to fetch and the pairs that need them: { bases, pairs, providers, validation, locale }
+     */
+    async getWatchList() {
+        return (await this.store.getMeta(this.keys.watchList)) || { bases: [], pairs: [], providers: null, validation: null, locale: null };
+    }
+
+    /**
+     * Save the watch list; pairs add their base currency to the bases fetched
+     */
+    async saveWatchList({ bases = [], pairs = [], providers = null, validation = null, locale = null }) {
+        const allBases = [...new Set([...bases, ...pairs.map(pair => pair.split('/')[0])])];
+        const watchList = { bases: allBases, pairs: [...new Set(pairs)], providers, validation, locale };
+        await this.store.putMeta(this.keys.watchList, watchList);
+        return watchList;
+    }
+
+    async getSettings() {
+        const saved = await this.store.getMeta(this.keys.settings);
+        return {
+            enabled: saved?.enabled ?? BACKGROUND_SYNC_DEFAULTS.enabled,
+            interval: saved?.interval || BACKGROUND_SYNC_DEFAULTS.interval
+        };
+    }
+
+    async saveSettings(settings) {
+        const merged = { ...(await this.getSettings()), ...settings };
+        await this.store.putMeta(this.keys.settings, merged);
+        return merged;
+    }
+
+    /**
+     * { lastAttemptAt, lastSuccessAt, failures, nextAttemptAt, synced, failed, error }
+     */
+    async getStatus() {
+        return (await this.store.getMeta(this.keys.status)) || {
+            lastAttemptAt: null,
+            lastSuccessAt: null,
+            failures: 0,
+            nextAttemptAt: null,
+            synced: [],
+            failed: [],
+            error: null
+        };
+    }
+
+    /**
+     * Delay before retrying after consecutive failures: 5 min, 10 min, 20 min ... capped at the interval
+     */
+    static backoffDelay(failures, interval) {
+        if (failures <= 0) return 0;
+        return Math.min(BACKGROUND_SYNC_DEFAULTS.retryDelay * 2 ** (failures - 1), interval);
+    }
+
+    /**
+     * Fetch every watched base with fetchTable(base, providers, validation) -> { base, rates, ... },
+     * store the tables and record the outcome. Periodic runs respect the failure backoff.
+     * Resolves with { status, tables, skipped }
+     */
+    async run(fetchTable, { periodic = false, now = Date.now() } = {}) {
+        const [settings, status, watchList] = await Promise.all([
+            this.getSettings(),
+            this.getStatus(),
+            this.getWatchList()
+        ]);
+
+        const waiting = status.nextAttemptAt && now < new Date(status.nextAttemptAt).getTime();
+        if (!settings.enabled || watchList.bases.length === 0 || (periodic && waiting)) {
+            return { status, tables: [], skipped: true };
+        }
+
+        const tables = [];
+        const failed = [];
+        let lastError = null;
+
+        for (const base of watchList.bases) {
+            try {
+                const table = await fetchTable(base, watchList.providers, watchList.validation);
+                await this.store.putLatest(table);
+                tables.push(table);
+            } catch (error) {
+                lastError = error;
+                failed.push(base);
+                console.info(`Background sync for ${base} completed:`, error.message);
+            }
+        }
+
+        const attemptAt = new Date(now).toISOString();
+        const failures = tables.length === 0 ? status.failures + 1 : 0;
+        const delay = BackgroundRateSync.backoffDelay(failures, settings.interval);
+        const nextStatus = {
+            lastAttemptAt: attemptAt,
+            lastSuccessAt: tables.length > 0 ? attemptAt : status.lastSuccessAt,
+            failures,
+            nextAttemptAt: delay ? new Date(now + delay).toISOString() : null,
+            synced: tables.length > 0 ? tables.map(table => table.base) : status.synced,
+            failed,
+            error: failed.length > 0 ? lastError.message : null
+        };
+
+        await this.store.putMeta(this.keys.status, nextStatus);
+        return { status: nextStatus, tables, skipped: false };
+    }
+}
+
+// Export for the page and the service worker (self is window in the page)
+self.BACKGROUND_SYNC_TAGS = BACKGROUND_SYNC_TAGS;
+self.BACKGROUND_SYNC_HOUR_MS = BACKGROUND_SYNC_HOUR_MS;
+self.BACKGROUND_SYNC_DEFAULTS = BACKGROUND_SYNC_DEFAULTS;
+self.BackgroundRateSync = BackgroundRateSync;
@@ -0,0 +1,345 @@
+/**
+ * Batch conversion of CSV / spreadsheet rows
+ * Parses delimited text, maps columns, validates each row and converts it through
+ * CurrencyConverter. Invalid rows are reported with a reason instead of being zeroed.
+ */
+
+const BATCH_COLUMN_ALIASES = {
+    amount: ['amount', 'value', 'sum', 'total', 'betrag', 'montant', 'importe'],
+    from: ['from', 'from_currency', 'source_currency', 'currency', 'ccy', 'src'],
+    to: ['to', 'to_currency', 'target_currency', 'target', 'dest'],
+    date: ['date', 'transaction_date', 'tx_date', 'invoice_date', 'as_of', 'datum']
+};
+
+const BATCH_OUTPUT_COLUMNS = ['rate', 'converted_amount', 'rate_timestamp', 'source', 'error'];
+
+class BatchConverter {
+    constructor(converter) {
+        this.converter = converter;
+    }
+
+    /**
+     * Parse CSV text and guess delimiter, decimal separator and column mapping
+     * options.delimiter / options.decimalSeparator override detection
+     */
+    parse(text, options = {}) {
+        const clean = text.replace(/^\uFEFF/, '');
+        const delimiter = options.delimiter || this.detectDelimiter(clean);
+        const rows = this.parseRows(clean, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+
+        if (rows.length === 0) {
+            return { delimiter, decimalSeparator: '.', header: [], rows: [], mapping: {}, hasHeader: false };
+        }
+
+        const hasHeader = this.looksLikeHeader(rows[0]);
+        const header = hasHeader ? rows[0] : rows[0].map((_, index) => `Column ${index + 1}`);
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+        const mapping = this.guessMapping(header, dataRows);
+        const decimalSeparator = options.decimalSeparator ||
+            this.detectDecimalSeparator(dataRows.map(row => row[mapping.amount] || ''), delimiter);
+
+        return { delimiter, decimalSeparator, header, rows: dataRows, mapping, hasHeader };
+    }
+
+    /**
+     * Pick the delimiter that splits the first lines most consistently
+     */
+    detectDelimiter(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+        const candidates = ['\t', ';', ',', '|'];
+
+        let best = ',';
+        let bestScore = 0;
+        candidates.forEach(candidate => {
+            const counts = lines.map(line => this.parseRows(line, candidate)[0].length - 1);
+            const consistent = counts.every(count => count === counts[0]);
+            const score = consistent ? counts[0] : 0;
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * RFC 4180 style parser: quoted fields, escaped quotes, newlines in quotes
+     */
+    parseRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        rows.push(row);
+        return rows;
+    }
+
+    /**
+     * A header row names a known column or contains no digits at all
+     */
+    looksLikeHeader(row) {
+        const names = row.map(cell => this.normalizeHeader(cell));
+        const known = Object.values(BATCH_COLUMN_ALIASES).flat();
+        return names.some(name => known.includes(name)) || row.every(cell => !/\d/.test(cell));
+    }
+
+    normalizeHeader(cell) {
+        return cell.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    }
+
+    /**
+     * Map amount/from/to/date to column indexes from header names, then from content
+     */
+    guessMapping(header, rows) {
+        const mapping = {};
+        const names = header.map(cell => this.normalizeHeader(cell));
+
+        Object.keys(BATCH_COLUMN_ALIASES).forEach(field => {
+            const index = names.findIndex(name => BATCH_COLUMN_ALIASES[field].includes(name));
+            if (index !== -1 && !Object.values(mapping).includes(index)) {
+                mapping[field] = index;
+            }
+        });
+
+        // Fall back to content: currency codes, dates and numbers
+        const sample = rows.slice(0, 20);
+        const columnMatches = (index, pattern) =>
+            sample.length > 0 && sample.every(row => pattern.test((row[index] || '').trim()));
+        const unused = (index) => !Object.values(mapping).includes(index);
+
+        header.forEach((_, index) => {
+            if (!unused(index)) return;
+            if (mapping.date === undefined && columnMatches(index, /^\d{4}-\d{2}-\d{2}$|^\d{2}\.\d{2}\.\d{4}$/)) {
+                mapping.date = index;
+            } else if (columnMatches(index, /^[A-Za-z]{3}$/)) {
+                if (mapping.from === undefined) mapping.from = index;
+                else if (mapping.to === undefined) mapping.to = index;
+            } else if (mapping.amount === undefined && columnMatches(index, /^[^A-Za-z]*\d[^A-Za-z]*$/)) {
+                mapping.amount = index;
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Decide whether amounts use "." or "," as decimal separator
+     */
+    detectDecimalSeparator(values, delimiter) {
+        let commaVotes = 0;
+        let dotVotes = 0;
+
+        values.forEach(raw => {
+            const value = raw.replace(/[^\d.,]/g, '');
+            const lastComma = value.lastIndexOf(',');
+            const lastDot = value.lastIndexOf('.');
+
+            if (lastComma > -1 && lastDot > -1) {
+                // Whichever comes last is the decimal separator: 1.234,56 vs 1,234.56
+                lastComma > lastDot ? commaVotes++ : dotVotes++;
+            } else if (lastComma > -1) {
+                // 12,5 or 12,50 reads as decimal; 1,234 is ambiguous and treated as grouping
+                /,\d{1,2}$/.test(value) ? commaVotes++ : dotVotes++;
+            } else if (lastDot > -1) {
+                /\.\d{3}$/.test(value) && (value.match(/\./g) || []).length > 1 ? commaVotes++ : dotVotes++;
+            }
+        });
+
+        if (commaVotes === dotVotes) {
+            // Semicolon-separated files usually come from comma-decimal locales
+            return delimiter === ';' ? ',' : '.';
+        }
+        return commaVotes > dotVotes ? ',' : '.';
+    }
+
+    /**
+     * Turn a locale-formatted amount ("1.234,56", "$1,234.56") into a plain decimal string
+     */
+    normalizeAmount(raw, decimalSeparator) {
+        const value = (raw || '').trim().replace(/[\s '’]/g, '');
+        const negative = /^\(.*\)$/.test(value) || value.startsWith('-');
+        const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+
+        if (this.usesOtherSeparator(value, decimalSeparator)) {
+            return null;
+        }
+
+        const digits = value
+            .replace(/[^\d.,]/g, '')
+            .split(groupSeparator).join('')
+            .replace(decimalSeparator, '.');
+
+        if (!/^\d+(\.\d+)?$/.test(digits)) {
+            return null;
+        }
+        return negative ? `-${digits}` : digits;
+    }
+
+    /**
+     * Group separators may only split the whole part into thousands ("1,234.5");
+     * "12,5" in a "." file or "1.5" in a "," file uses the other decimal separator
+     */
+    usesOtherSeparator(raw, decimalSeparator) {
+        const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+        const [whole, ...fraction] = (raw || '').replace(/[^\d.,]/g, '').split(decimalSeparator);
+        const grouping = new RegExp(`^\\d{1,3}(\\${groupSeparator}\\d{3})+$`);
+
+        return fraction.join('').includes(groupSeparator) ||
+            (whole.includes(groupSeparator) && !grouping.test(whole));
+    }
+
+    /**
+     * Normalize YYYY-MM-DD or DD.MM.YYYY dates, null when empty, false when invalid
+     */
+    normalizeDate(raw) {
+        const value = (raw || '').trim();
+        if (!value) return null;
+
+        let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const iso = match
+            ? value
+            : ((match = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(value)) ? `${match[3]}-${match[2]}-${match[1]}` : null);
+
+        if (!iso || isNaN(new Date(`${iso}T00:00:00Z`).getTime())) return false;
+        return iso;
+    }
+
+    /**
+     * Validate one row; returns { amount, from, to, date } or { error }
+     */
+    validateRow(row, mapping, decimalSeparator) {
+        const errors = [];
+        const cell = (field) => (mapping[field] === undefined ? '' : (row[mapping[field]] || '').trim());
+
+        const amount = this.normalizeAmount(cell('amount'), decimalSeparator);
+        if (amount === null && this.usesOtherSeparator(cell('amount'), decimalSeparator)) {
+            errors.push(`amount "${cell('amount')}" does not use the file's decimal separator "${decimalSeparator}"`);
+        } else if (amount === null) {
+            errors.push(`invalid amount "${cell('amount')}"`);
+        } else if (Number(amount) <= 0) {
+            errors.push('amount must be greater than zero');
+        }
+
+        const from = cell('from').toUpperCase();
+        const to = cell('to').toUpperCase();
+        [['from', from], ['to', to]].forEach(([field, code]) => {
+            if (!/^[A-Z]{3}$/.test(code)) {
+                errors.push(`invalid ${field} currency "${code}"`);
+            }
+        });
+
+        const date = this.normalizeDate(cell('date'));
+        if (date === false) {
+            errors.push(`invalid date "${cell('date')}" (use YYYY-MM-DD)`);
+        } else if (date && date > new Date().toISOString().slice(0, 10)) {
+            errors.push(`date ${date} is in the future`);
+        }
+
+        return errors.length ? { error: errors.join('; ') } : { amount, from, to, date };
+    }
+
+    /**
+     * Convert every row sequentially; onProgress(done, total) after each row
+     */
+    async convert(parsed, options = {}) {
+        const { mapping, decimalSeparator, rows } = parsed;
+        const results = [];
+
+        if (mapping.amount === undefined || mapping.from === undefined || mapping.to === undefined) {
+            throw new Error('Map the amount, from and to columns before converting');
+        }
+
+        for (let index = 0; index < rows.length; index++) {
+            const row = rows[index];
+            const validated = this.validateRow(row, mapping, decimalSeparator);
+            let outcome;
+
+            if (validated.error) {
+                outcome = { error: validated.error };
+            } else if (!validated.date && (!this.converter.hasRate(validated.from) || !this.converter.hasRate(validated.to))) {
+                const missing = [validated.from, validated.to].filter(code => !this.converter.hasRate(code));
+                outcome = { error: `no rate available for ${missing.join(', ')}` };
+            } else {
+                const result = await this.converter.convertCurrency(
+                    validated.amount, validated.from, validated.to, validated.date
+                );
+                outcome = result.error ? { error: result.error } : result;
+            }
+
+            results.push({ line: index + 1 + (parsed.hasHeader ? 1 : 0), row, ...outcome });
+            options.onProgress?.(index + 1, rows.length);
+        }
+
+        return {
+            results,
+            converted: results.filter(result => !result.error).length,
+            invalid: results.filter(result => result.error)
+        };
+    }
+
+    /**
+     * Build the enriched CSV in the input's delimiter and decimal format
+     */
+    toCsv(parsed, conversion) {
+        const { delimiter, decimalSeparator, header, hasHeader } = parsed;
+        const localize = (value) => (decimalSeparator === ',' ? String(value).replace('.', ',') : String(value));
+        const quote = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [];
+        if (hasHeader) {
+            lines.push([...header, ...BATCH_OUTPUT_COLUMNS].map(quote).join(delimiter));
+        }
+
+        conversion.results.forEach(result => {
+            const extra = result.error
+                ? ['', '', '', '', result.error]
+                : [
+                    localize(result.exchangeRateValue ?? result.exchangeRate),
+                    localize(result.convertedValue ?? result.convertedAmount),
+                    result.rateDate || result.lastUpdate || '',
+                    result.source || '',
+                    ''
+                ];
+            lines.push([...result.row, ...extra].map(quote).join(delimiter));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+}
+
+// Export for the page and the Node core (self is window in the page)
+self.BatchConverter = BatchConverter;
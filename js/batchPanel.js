@@ -0,0 +1,192 @@
+/**
+ * Batch mode panel - paste or upload a CSV, check the column mapping,
+ * convert every row and download the enriched file
+ */
+
+class BatchPanel {
+    constructor(converter, elements) {
+        this.batch = new BatchConverter(converter);
+        this.elements = elements;
+        this.parsed = null;
+        this.conversion = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.elements.file?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            if (!file) return;
+            this.elements.input.value = await file.text();
+            this.fileName = file.name.replace(/\.[^.]+$/, '');
+            this.analyze();
+        });
+
+        this.elements.input?.addEventListener('input', this.debounce(() => this.analyze(), 400));
+        this.elements.convertButton?.addEventListener('click', () => this.convert());
+        this.elements.downloadButton?.addEventListener('click', () => this.download());
+
+        ['delimiter', 'decimalSeparator'].forEach(setting => {
+            this.elements[setting]?.addEventListener('change', () => this.analyze(true));
+        });
+
+        i18n.onChange(() => {
+            if (this.parsed) {
+                this.elements.rowCount.textContent = i18n.plural('batch.rowsDetected', this.parsed.rows.length);
+                this.renderMapping();
+            }
+            this.renderResults();
+        });
+    }
+
+    /**
+     * Parse the input and show detected settings and column mapping
+     */
+    analyze(keepSettings = false) {
+        const text = this.elements.input?.value || '';
+        this.conversion = null;
+        this.renderResults();
+
+        if (!text.trim()) {
+            this.parsed = null;
+            this.elements.settings.hidden = true;
+            return;
+        }
+
+        this.parsed = this.batch.parse(text, keepSettings ? {
+            delimiter: this.elements.delimiter.value,
+            decimalSeparator: this.elements.decimalSeparator.value
+        } : {});
+
+        this.elements.delimiter.value = this.parsed.delimiter;
+        this.elements.decimalSeparator.value = this.parsed.decimalSeparator;
+        this.renderMapping();
+        this.elements.settings.hidden = false;
+        this.elements.rowCount.textContent = i18n.plural('batch.rowsDetected', this.parsed.rows.length);
+    }
+
+    /**
+     * One select per field listing the file's columns
+     */
+    renderMapping() {
+        const container = this.elements.mapping;
+        container.innerHTML = '';
+
+        const labels = {
+            amount: i18n.t('batch.field.amount'),
+            from: i18n.t('batch.field.from'),
+            to: i18n.t('batch.field.to'),
+            date: i18n.t('batch.field.date')
+        };
+        Object.keys(labels).forEach(field => {
+            const id = `batchMap-${field}`;
+            const wrapper = document.createElement('div');
+            wrapper.className = 'batch-map-field';
+
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = labels[field];
+
+            const select = document.createElement('select');
+            select.id = id;
+            select.appendChild(new Option(i18n.t('batch.none'), ''));
+            this.parsed.header.forEach((name, index) => {
+                select.appendChild(new Option(name || i18n.t('batch.column', { number: index + 1 }), String(index)));
+            });
+            select.value = this.parsed.mapping[field] === undefined ? '' : String(this.parsed.mapping[field]);
+            select.addEventListener('change', () => {
+                if (select.value === '') {
+                    delete this.parsed.mapping[field];
+                } else {
+                    this.parsed.mapping[field] = Number(select.value);
+                }
+            });
+
+            wrapper.append(label, select);
+            container.appendChild(wrapper);
+        });
+    }
+
+    /**
+     * Convert all rows with progress feedback
+     */
+    async convert() {
+        if (!this.parsed || this.parsed.rows.length === 0) return;
+
+        this.elements.convertButton.disabled = true;
+        this.elements.status.textContent = i18n.t('batch.converting');
+
+        try {
+            this.conversion = await this.batch.convert(this.parsed, {
+                onProgress: (done, total) => {
+                    this.elements.status.textContent = i18n.t('batch.progress', {
+                        done: i18n.formatNumber(done),
+                        total: i18n.formatNumber(total)
+                    });
+                }
+            });
+            this.renderResults();
+        } catch (error) {
+            this.elements.status.textContent = error.message;
+        } finally {
+            this.elements.convertButton.disabled = false;
+        }
+    }
+
+    /**
+     * Summary line and list of rejected rows
+     */
+    renderResults() {
+        const { status, errors, downloadButton } = this.elements;
+        errors.innerHTML = '';
+
+        if (!this.conversion) {
+            status.textContent = '';
+            downloadButton.hidden = true;
+            return;
+        }
+
+        const { converted, invalid } = this.conversion;
+        status.textContent = i18n.t('batch.summary', {
+            converted: i18n.formatNumber(converted),
+            invalid: i18n.formatNumber(invalid.length)
+        });
+        downloadButton.hidden = false;
+
+        invalid.forEach(result => {
+            const item = document.createElement('li');
+            item.textContent = i18n.t('batch.lineError', { line: result.line, error: result.error });
+            errors.appendChild(item);
+        });
+    }
+
+    /**
+     * Download the enriched CSV
+     */
+    download() {
+        if (!this.conversion) return;
+
+        const csv = this.batch.toCsv(this.parsed, this.conversion);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.fileName || 'conversions'}-converted.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    debounce(func, wait) {
+        let timeout;
+        return (...args) => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func(...args), wait);
+        };
+    }
+}
+
+// Export for use in other modules
+window.BatchPanel = BatchPanel;
@@ -0,0 +1,347 @@
+/**
+ * <currency-converter> custom element - the converter for other pages
+ * Attributes: from, to, amount, theme (light | dark | auto), locale (BCP 47 tag).
+ * Fires `conversion` (detail: the result) and `conversion-error` (detail: { error }),
+ * both bubbling out of the shadow root. All elements on a page share one CurrencyConverter
+ * unless one is assigned to the element's `converter` property before it connects.
+ * Styling hooks: --cc-accent, --cc-background, --cc-text, --cc-muted, --cc-border,
+ * --cc-radius, --cc-font and the parts form, input, select, swap, result, rate, preview
+ */
+
+const CONVERTER_WIDGET_STYLES = `
+    :host {
+        --cc-accent: #667eea;
+        --cc-background: #ffffff;
+        --cc-text: #333333;
+        --cc-muted: #6c757d;
+        --cc-border: #e9ecef;
+        --cc-radius: 10px;
+        --cc-font: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+        display: block;
+        max-width: 420px;
+        font-family: var(--cc-font);
+        color: var(--cc-text);
+    }
+    :host([hidden]) { display: none; }
+    :host([theme="dark"]) {
+        --cc-background: #1f2330;
+        --cc-text: #f1f3f5;
+        --cc-muted: #adb5bd;
+        --cc-border: #3a4050;
+    }
+    @media (prefers-color-scheme: dark) {
+        :host([theme="auto"]) {
+            --cc-background: #1f2330;
+            --cc-text: #f1f3f5;
+            --cc-muted: #adb5bd;
+            --cc-border: #3a4050;
+        }
+    }
+    form {
+        display: grid;
+        gap: 10px;
+        padding: 16px;
+        background: var(--cc-background);
+        border: 1px solid var(--cc-border);
+        border-radius: var(--cc-radius);
+    }
+    label {
+        display: grid;
+        gap: 4px;
+        font-size: 13px;
+        color: var(--cc-muted);
+    }
+    input, select {
+        font: inherit;
+        font-size: 15px;
+        color: var(--cc-text);
+        background: var(--cc-background);
+        border: 1px solid var(--cc-border);
+        border-radius: calc(var(--cc-radius) * 0.6);
+        padding: 8px;
+        min-width: 0;
+    }
+    input:focus, select:focus, button:focus {
+        outline: 2px solid var(--cc-accent);
+        outline-offset: 1px;
+    }
+    input[aria-invalid="true"] { border-color: #dc3545; }
+    .pair {
+        display: grid;
+        grid-template-columns: 1fr auto 1fr;
+        gap: 8px;
+        align-items: end;
+    }
+    button {
+        font-size: 18px;
+        width: 38px;
+        height: 38px;
+        border: none;
+        border-radius: 50%;
+        background: var(--cc-accent);
+        color: white;
+        cursor: pointer;
+    }
+    .preview { font-size: 12px; color: var(--cc-muted); min-height: 1em; }
+    .preview.invalid { color: #dc3545; }
+    output {
+        font-size: 26px;
+        font-weight: 700;
+        color: var(--cc-accent);
+        font-variant-numeric: tabular-nums;
+    }
+    .rate { font-size: 13px; color: var(--cc-muted); }
+`;
+
+class CurrencyConverterElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['from', 'to', 'amount', 'locale'];
+    }
+
+    /**
+     * One converter (one rate table, one cache) for every element on the page
+     */
+    static sharedConverter() {
+        if (!CurrencyConverterElement.converter) {
+            CurrencyConverterElement.converter = new CurrencyConverter();
+        }
+        return CurrencyConverterElement.converter;
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.text = new I18n();
+        this.parser = new AmountParser();
+        this.result = null;
+        this.requestId = 0;
+        this.ratesVersion = null;
+    }
+
+    connectedCallback() {
+        this.converter = this.converter || CurrencyConverterElement.sharedConverter();
+        if (!this.controls) this.build();
+
+        this.applyLocale();
+        this.populateCurrencies();
+
+        // Re-convert once (new) rates arrive
+        this.unsubscribe = this.converter.subscribe(state => {
+            if (state.loading || state.lastUpdate === this.ratesVersion) return;
+            this.ratesVersion = state.lastUpdate;
+            this.populateCurrencies();
+            this.convert();
+        });
+        this.convert();
+    }
+
+    disconnectedCallback() {
+        this.unsubscribe?.();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.controls || oldValue === value) return;
+
+        if (name === 'locale') {
+            this.applyLocale();
+            this.populateCurrencies();
+        } else if (name === 'amount') {
+            this.controls.amount.value = value ?? '1';
+        } else {
+            this.selectCurrency(this.controls[name], value);
+        }
+        this.convert();
+    }
+
+    get amount() {
+        return this.controls ? this.controls.amount.value : (this.getAttribute('amount') ?? '1');
+    }
+
+    set amount(value) {
+        this.setAttribute('amount', value);
+    }
+
+    get from() {
+        return this.controls?.from.value || (this.getAttribute('from') || 'USD').toUpperCase();
+    }
+
+    set from(value) {
+        this.setAttribute('from', value);
+    }
+
+    get to() {
+        return this.controls?.to.value || (this.getAttribute('to') || 'EUR').toUpperCase();
+    }
+
+    set to(value) {
+        this.setAttribute('to', value);
+    }
+
+    /**
+     * Shadow DOM form; labels are filled in by applyLocale
+     */
+    build() {
+        this.shadowRoot.innerHTML = `
+            <style>${CONVERTER_WIDGET_STYLES}</style>
+            <form part="form" novalidate>
+                <label><span data-text="amount.label"></span>
+                    <input part="input" name="amount" type="text" dir="auto" autocomplete="off" spellcheck="false">
+                </label>
+                <small part="preview" class="preview" aria-live="polite"></small>
+                <div class="pair">
+                    <label><span data-text="currency.from"></span><select part="select" name="from"></select></label>
+                    <button part="swap" type="button" name="swap">⇄</button>
+                    <label><span data-text="currency.to"></span><select part="select" name="to"></select></label>
+                </div>
+                <output part="result" aria-live="polite"></output>
+                <div part="rate" class="rate"></div>
+            </form>
+        `;
+
+        const root = this.shadowRoot;
+        this.controls = {
+            form: root.querySelector('form'),
+            amount: root.querySelector('input[name="amount"]'),
+            preview: root.querySelector('.preview'),
+            from: root.querySelector('select[name="from"]'),
+            to: root.querySelector('select[name="to"]'),
+            swap: root.querySelector('button[name="swap"]'),
+            result: root.querySelector('output'),
+            rate: root.querySelector('.rate')
+        };
+        this.controls.amount.value = this.getAttribute('amount') ?? '1';
+
+        this.controls.form.addEventListener('submit', (e) => e.preventDefault());
+        this.controls.amount.addEventListener('input', () => this.convert());
+        this.controls.from.addEventListener('change', () => this.convert());
+        this.controls.to.addEventListener('change', () => this.convert());
+        this.controls.swap.addEventListener('click', () => {
+            const { from, to } = this.controls;
+            [from.value, to.value] = [to.value, from.value];
+            this.convert();
+        });
+    }
+
+    /**
+     * The locale attribute, else the app's saved language, else the browser's
+     */
+    applyLocale() {
+        this.text.locale = I18n.resolve(this.getAttribute('locale') || this.text.preference);
+        this.parser.setLocale(this.text.locale);
+
+        this.controls.form.lang = this.text.locale;
+        this.controls.form.dir = this.text.dir;
+        this.shadowRoot.querySelectorAll('[data-text]').forEach(element => {
+            element.textContent = this.text.t(element.dataset.text);
+        });
+        this.controls.swap.title = this.text.t('currency.swap');
+        this.controls.swap.setAttribute('aria-label', this.controls.swap.title);
+        this.controls.amount.placeholder = this.text.t('amount.placeholder');
+    }
+
+    /**
+     * Popular currencies first, then every other currency the loaded rates quote
+     */
+    populateCurrencies() {
+        const available = this.converter.getAvailableCurrencies();
+        const popular = currencyCatalog.popular().filter(code => available.includes(code));
+        const others = currencyCatalog.list({ codes: available })
+            .map(currency => currency.code)
+            .filter(code => !popular.includes(code));
+
+        [['from', 'USD'], ['to', 'EUR']].forEach(([name, fallback]) => {
+            const select = this.controls[name];
+            const selected = select.value || (this.getAttribute(name) || fallback).toUpperCase();
+
+            select.replaceChildren(...[...popular, ...others].map(code => new Option(currencyCatalog.label(code), code)));
+            this.selectCurrency(select, selected);
+        });
+    }
+
+    /**
+     * Select a code, adding it when the rates have not listed it yet
+     */
+    selectCurrency(select, code) {
+        const value = (code || '').toUpperCase();
+        if (!value) return;
+        if (![...select.options].some(option => option.value === value)) {
+            select.add(new Option(currencyCatalog.label(value), value));
+        }
+        select.value = value;
+    }
+
+    /**
+     * Convert the current input and announce the result
+     */
+    async convert() {
+        const { amount, preview, from, to, result: output, rate } = this.controls;
+        const parsed = this.parser.parse(amount.value);
+        const invalid = !parsed.ok && !parsed.empty;
+
+        if (parsed.ok) {
+            if (parsed.from) this.selectCurrency(from, parsed.from);
+            if (parsed.to) this.selectCurrency(to, parsed.to);
+        }
+        amount.setAttribute('aria-invalid', invalid);
+        preview.classList.toggle('invalid', invalid);
+        preview.textContent = invalid
+            ? this.text.t(`amount.error.${parsed.code}`, parsed.params)
+            : (parsed.ok && parsed.preview !== amount.value.trim() ? `= ${parsed.preview}` : '');
+
+        const requestId = ++this.requestId;
+        if (invalid) {
+            this.result = null;
+            output.textContent = this.converter.formatCurrency(0, to.value, this.text.locale);
+            rate.textContent = '';
+            return null;
+        }
+
+        const value = parsed.ok ? parsed.amount : '0';
+        const conversion = await this.converter.convertCurrency(value, from.value, to.value);
+
+        // A newer input arrived while this one was converting
+        if (requestId !== this.requestId) return this.result;
+
+        const locale = this.text.locale;
+        output.textContent = this.converter.formatCurrency(conversion.convertedValue ?? conversion.convertedAmount, to.value, locale);
+        rate.textContent = conversion.exchangeRate
+            ? this.text.t('result.rate', {
+                from: from.value,
+                rate: this.converter.formatCurrency(conversion.exchangeRateValue, null, locale),
+                to: to.value
+            })
+            : '';
+
+        if (conversion.error) {
+            this.result = null;
+            this.dispatchEvent(new CustomEvent('conversion-error', {
+                bubbles: true,
+                composed: true,
+                detail: { error: conversion.error }
+            }));
+            return null;
+        }
+
+        this.result = {
+            amount: value,
+            from: from.value,
+            to: to.value,
+            convertedAmount: conversion.convertedAmount,
+            convertedValue: conversion.convertedValue?.toString() ?? '0',
+            exchangeRate: conversion.exchangeRate,
+            rateDate: conversion.rateDate || null,
+            lastUpdate: conversion.lastUpdate || null,
+            provider: conversion.provider || null,
+            source: conversion.source || null
+        };
+        this.dispatchEvent(new CustomEvent('conversion', { bubbles: true, composed: true, detail: this.result }));
+        return this.result;
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('currency-converter')) {
+    customElements.define('currency-converter', CurrencyConverterElement);
+}
+
+// Export for use in other modules
+window.CurrencyConverterElement = CurrencyConverterElement;
@@ -0,0 +1,250 @@
+/**
+ * Payment route comparison - the single conversion priced with each cost profile
+ * next to mid-market, cheapest first, plus a form to add and remove profiles
+ */
+
+class CostPanel {
+    constructor(converter, elements, manager = new CostProfileManager()) {
+        this.converter = converter;
+        this.elements = elements;
+        this.manager = manager;
+        this.source = null;
+        this.comparison = null;
+        this.updateId = 0;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.elements.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addProfile();
+        });
+
+        this.elements.body?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (!button) return;
+
+            this.manager.remove(button.dataset.id);
+            this.refresh();
+        });
+
+        this.elements.resetButton?.addEventListener('click', () => {
+            this.manager.reset();
+            this.refresh();
+        });
+
+        i18n.onChange(() => this.render());
+    }
+
+    /**
+     * Fee currency choices: the source currency, then the usual popular/all groups
+     */
+    populateFeeCurrencies(popular, others) {
+        const select = this.elements.fixedFeeCurrency;
+        if (!select) return;
+        const selected = select.value;
+
+        select.replaceChildren(new Option(i18n.t('costs.sourceCurrency'), ''));
+        [[i18n.t('picker.popular'), popular], [i18n.t('picker.all'), others]].forEach(([label, codes]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            codes.forEach(code => group.appendChild(new Option(code, code)));
+            select.appendChild(group);
+        });
+        select.value = selected;
+    }
+
+    /**
+     * Validate and save the form's profile
+     */
+    addProfile() {
+        const { name, spread, percentFee, fixedFee, fixedFeeCurrency, formError } = this.elements;
+
+        try {
+            this.manager.add({
+                name: name.value,
+                spreadPercent: spread.value,
+                feePercent: percentFee.value,
+                fixedFee: fixedFee.value,
+                fixedFeeCurrency: fixedFeeCurrency.value
+            });
+            [name, spread, percentFee, fixedFee].forEach(input => { input.value = ''; });
+            formError.textContent = '';
+            this.refresh();
+        } catch (error) {
+            formError.textContent = error.code ? i18n.t(`costs.error.${error.code}`, error.params) : error.message;
+        }
+    }
+
+    /**
+     * Price a conversion; `conversion` is the mid-market result the converter returned
+     */
+    async update(amount, fromCurrency, toCurrency, conversion) {
+        this.source = { amount, fromCurrency, toCurrency, conversion };
+        await this.refresh();
+    }
+
+    /**
+     * Re-price the last conversion, e.g. after the profiles changed
+     */
+    async refresh() {
+        if (!this.source) return;
+        const { amount, fromCurrency, toCurrency, conversion } = this.source;
+        const updateId = ++this.updateId;
+
+        const comparison = await this.manager.compare(this.converter, amount, fromCurrency, toCurrency, conversion);
+
+        // A newer update started while this one was converting fees
+        if (updateId !== this.updateId) return;
+        this.comparison = { ...comparison, fromCurrency, toCurrency };
+        this.render();
+    }
+
+    /**
+     * Draw the mid-market row and one row per profile
+     */
+    render() {
+        const body = this.elements.body;
+        if (!body || !this.comparison) return;
+        const { midMarket, results, fromCurrency, toCurrency } = this.comparison;
+
+        body.innerHTML = '';
+
+        if (!midMarket) {
+            this.addMessageRow(i18n.t('costs.noRate'));
+            return;
+        }
+
+        this.addRow({
+            className: 'cost-mid',
+            name: i18n.t('costs.midMarket'),
+            pay: this.format(midMarket.amount, fromCurrency),
+            receive: this.format(midMarket.received, toCurrency),
+            rate: this.formatRate(midMarket.rate, fromCurrency, toCurrency),
+            fees: this.format(0, fromCurrency)
+        });
+
+        results.forEach(result => {
+            if (result.error) {
+                this.addRow({
+                    className: 'cost-unavailable',
+                    name: result.profile.name,
+                    pay: i18n.t('costs.unavailable'),
+                    title: result.error,
+                    profile: result.profile
+                });
+                return;
+            }
+
+            this.addRow({
+                className: result.cheapest ? 'cost-cheapest' : '',
+                name: result.profile.name,
+                badge: result.cheapest ? i18n.t('costs.cheapest') : '',
+                details: result.breakdown.map(item => this.describeFee(item, fromCurrency)).join(' · '),
+                pay: this.format(result.totalCost, fromCurrency),
+                receive: this.format(result.received, toCurrency),
+                rate: this.formatRate(result.effectiveRate, fromCurrency, toCurrency),
+                fees: this.format(result.totalFees, fromCurrency),
+                markup: i18n.t('costs.markup', { percent: this.formatPercent(result.markupPercent) }),
+                profile: result.profile
+            });
+        });
+
+        if (results.length === 0) {
+            this.addMessageRow(i18n.t('costs.empty'));
+        }
+    }
+
+    addRow({ className, name, badge, details, pay, receive, rate, fees, markup, title, profile }) {
+        const row = this.elements.body.insertRow();
+        if (className) row.className = className;
+
+        const nameCell = row.insertCell();
+        nameCell.className = 'cost-name';
+        nameCell.textContent = name;
+        if (badge) {
+            const label = document.createElement('span');
+            label.className = 'cost-badge';
+            label.textContent = badge;
+            nameCell.append(' ', label);
+        }
+        if (details) {
+            const small = document.createElement('small');
+            small.className = 'cost-details';
+            small.textContent = details;
+            nameCell.appendChild(small);
+        }
+
+        const payCell = row.insertCell();
+        payCell.className = 'cost-amount';
+        payCell.textContent = pay;
+        if (title) payCell.title = title;
+
+        const receiveCell = row.insertCell();
+        receiveCell.className = 'cost-amount';
+        receiveCell.textContent = receive || '';
+
+        const rateCell = row.insertCell();
+        rateCell.className = 'cost-rate';
+        rateCell.textContent = rate || '';
+
+        const feesCell = row.insertCell();
+        feesCell.className = 'cost-amount';
+        feesCell.textContent = fees || '';
+        if (markup) {
+            const small = document.createElement('small');
+            small.className = 'cost-details';
+            small.textContent = markup;
+            feesCell.appendChild(small);
+        }
+
+        const actionsCell = row.insertCell();
+        actionsCell.className = 'cost-actions';
+        if (profile) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'multi-btn remove';
+            remove.dataset.action = 'remove';
+            remove.dataset.id = profile.id;
+            remove.textContent = '✕';
+            remove.title = i18n.t('costs.remove', { name: profile.name });
+            remove.setAttribute('aria-label', remove.title);
+            actionsCell.appendChild(remove);
+        }
+    }
+
+    addMessageRow(text) {
+        const cell = this.elements.body.insertRow().insertCell();
+        cell.colSpan = 6;
+        cell.className = 'multi-empty';
+        cell.textContent = text;
+    }
+
+    /**
+     * "Spread 0.5%: $0.50", "Fixed fee €25.00: $27.12"
+     */
+    describeFee(item, fromCurrency) {
+        const amount = this.format(item.amount, fromCurrency);
+        if (item.type === 'fixedFee') {
+            const original = item.currency !== fromCurrency ? ` ${this.format(item.original, item.currency)}` : '';
+            return i18n.t('costs.breakdown.fixedFee', { original, amount });
+        }
+        return i18n.t(`costs.breakdown.${item.type}`, { percent: this.formatPercent(item.percent), amount });
+    }
+
+    format(amount, currency) {
+        return this.converter.formatCurrency(amount, currency);
+    }
+
+    formatRate(rate, fromCurrency, toCurrency) {
+        return i18n.t('result.rate', { from: fromCurrency, rate: this.converter.formatCurrency(rate), to: toCurrency });
+    }
+
+    formatPercent(percent) {
+        return i18n.formatNumber(percent.divide(100, 8).toNumber(), { style: 'percent', maximumFractionDigits: 3 });
+    }
+}
+
+// Export for use in other modules
+window.CostPanel = CostPanel;
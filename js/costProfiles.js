@@ -0,0 +1,225 @@
+/**
+ * Payment cost profiles - what a card or bank really charges on top of the mid-market rate
+ * A profile combines a spread (margin built into the rate), a percentage FX fee (card
+ * markup) and a fixed fee in any currency. Comparing profiles for one conversion gives
+ * the all-in cost, effective rate and fee breakdown of each payment route.
+ */
+
+const DEFAULT_COST_PROFILES = [
+    { id: 'corporate-visa', name: 'Corporate Visa', spreadPercent: '0', feePercent: '2.75', fixedFee: '0', fixedFeeCurrency: null },
+    { id: 'bank-wire', name: 'Bank wire', spreadPercent: '0.5', feePercent: '0', fixedFee: '25', fixedFeeCurrency: 'USD' },
+    { id: 'money-transfer', name: 'Online money transfer', spreadPercent: '0', feePercent: '0.45', fixedFee: '1', fixedFeeCurrency: 'EUR' }
+];
+
+// English messages per error code; the UI shows i18n's costs.error.<code> instead
+const COST_PROFILE_ERRORS = {
+    name: () => 'Enter a name for the route',
+    spread: () => 'Spread must be a percentage from 0 to 100',
+    percentFee: () => 'FX fee must be a percentage from 0 to 100',
+    fixedFee: () => 'Fixed fee must be zero or a positive amount',
+    currency: ({ code }) => `Unknown fee currency ${code}`
+};
+
+class CostProfileManager {
+    constructor(storageKey = 'costProfiles') {
+        this.storageKey = storageKey;
+        this.profiles = this.loadProfiles();
+    }
+
+    /**
+     * Saved profiles, or the defaults on first use
+     */
+    loadProfiles() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : DEFAULT_COST_PROFILES.map(profile => ({ ...profile }));
+        } catch (error) {
+            return DEFAULT_COST_PROFILES.map(profile => ({ ...profile }));
+        }
+    }
+
+    saveProfiles() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profiles));
+        } catch (error) {
+            console.info('Preference save completed:', error);
+        }
+    }
+
+    list() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * Error with a code and params, so callers can show it in the UI language
+     */
+    static error(code, params = {}) {
+        return Object.assign(new Error(COST_PROFILE_ERRORS[code](params)), { code, params });
+    }
+
+    /**
+     * Add a profile: { name, spreadPercent, feePercent, fixedFee, fixedFeeCurrency }
+     * Percentages and the fee are decimal strings; a null fee currency means the source currency
+     */
+    add({ name, spreadPercent, feePercent, fixedFee, fixedFeeCurrency }) {
+        const label = String(name || '').trim();
+        if (!label) {
+            throw CostProfileManager.error('name');
+        }
+
+        const spread = CostProfileManager.readPercent(spreadPercent, 'spread');
+        const fee = CostProfileManager.readPercent(feePercent, 'percentFee');
+
+        const fixed = CostProfileManager.readDecimal(fixedFee);
+        if (!fixed || fixed.isNegative()) {
+            throw CostProfileManager.error('fixedFee');
+        }
+
+        const currency = fixedFeeCurrency || null;
+        if (currency && !currencyCatalog.has(currency)) {
+            throw CostProfileManager.error('currency', { code: currency });
+        }
+
+        const profile = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: label,
+            spreadPercent: spread.toString(),
+            feePercent: fee.toString(),
+            fixedFee: fixed.toString(),
+            fixedFeeCurrency: fixed.isZero() ? null : currency
+        };
+
+        this.profiles.push(profile);
+        this.saveProfiles();
+        return { ...profile };
+    }
+
+    remove(id) {
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        this.saveProfiles();
+    }
+
+    /**
+     * Bring back the built-in profiles
+     */
+    reset() {
+        this.profiles = DEFAULT_COST_PROFILES.map(profile => ({ ...profile }));
+        this.saveProfiles();
+    }
+
+    /**
+     * Decimal from a form value ("" is zero), or null when it is not a number
+     */
+    static readDecimal(value) {
+        const text = String(value ?? '').trim() || '0';
+        try {
+            return Decimal.from(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static readPercent(value, code) {
+        const percent = CostProfileManager.readDecimal(value);
+        if (!percent || percent.isNegative() || percent.compare(100) >= 0) {
+            throw CostProfileManager.error(code);
+        }
+        return percent;
+    }
+
+    /**
+     * Price one conversion with every profile. `conversion` is the converter's mid-market
+     * result for the amount; fixed fees in other currencies are converted at mid-market
+     * too. Results are ordered cheapest first (best effective rate).
+     */
+    async compare(converter, amount, fromCurrency, toCurrency, conversion) {
+        const midRate = conversion.exchangeRateValue;
+        if (conversion.error || !midRate || Number(amount) <= 0) {
+            return { midMarket: null, results: [] };
+        }
+
+        const roundingMode = conversion.roundingMode || ROUNDING_MODES.HALF_UP;
+        const results = await Promise.all(this.profiles.map(async profile => {
+            try {
+                const fixedFee = await this.fixedFeeIn(converter, profile, fromCurrency);
+                return {
+                    profile,
+                    ...CostProfileManager.calculate(profile, { amount, fromCurrency, toCurrency, midRate, fixedFee, roundingMode })
+                };
+            } catch (error) {
+                return { profile, error: error.message };
+            }
+        }));
+
+        const priced = results.filter(result => !result.error);
+        priced.sort((a, b) => b.effectiveRate.compare(a.effectiveRate));
+        if (priced.length > 1) priced[0].cheapest = true;
+
+        return {
+            midMarket: {
+                amount: Decimal.from(amount),
+                received: conversion.convertedValue,
+                rate: midRate
+            },
+            results: [...priced, ...results.filter(result => result.error)]
+        };
+    }
+
+    /**
+     * A profile's fixed fee in the source currency
+     */
+    async fixedFeeIn(converter, profile, fromCurrency) {
+        const fee = Decimal.from(profile.fixedFee || '0');
+        const currency = profile.fixedFeeCurrency || fromCurrency;
+        if (fee.isZero() || currency === fromCurrency) {
+            return { amount: Money.round(fee, fromCurrency), original: fee, currency };
+        }
+
+        const result = await converter.convertCurrency(fee, currency, fromCurrency);
+        if (result.error || !result.convertedValue) {
+            throw new Error(result.error || `No ${currency}/${fromCurrency} rate available`);
+        }
+        return { amount: result.convertedValue, original: fee, currency };
+    }
+
+    /**
+     * All-in cost of sending `amount` of the source currency through a profile:
+     * the spread lowers the rate, the percentage and fixed fees are charged on top.
+     * Fees are in the source currency; markupPercent is how far the effective rate
+     * lies below mid-market
+     */
+    static calculate(profile, { amount, fromCurrency, toCurrency, midRate, fixedFee, roundingMode }) {
+        const value = Decimal.from(amount);
+        const spread = Decimal.from(profile.spreadPercent || '0');
+        const feePercent = Decimal.from(profile.feePercent || '0');
+
+        const rate = midRate.multiply(Decimal.from(100).subtract(spread)).divide(100, RATE_SCALE);
+        const received = Money.convert(value, rate, toCurrency, roundingMode);
+
+        const spreadCost = Money.round(value.multiply(spread).divide(100, RATE_SCALE), fromCurrency);
+        const percentFee = Money.round(value.multiply(feePercent).divide(100, RATE_SCALE), fromCurrency);
+
+        const totalCost = value.add(percentFee).add(fixedFee.amount);
+        const totalFees = spreadCost.add(percentFee).add(fixedFee.amount);
+        const effectiveRate = received.divide(totalCost, RATE_SCALE);
+        const markupPercent = midRate.subtract(effectiveRate).multiply(100).divide(midRate, 4);
+
+        return {
+            rate,
+            received,
+            totalCost,
+            totalFees,
+            effectiveRate,
+            markupPercent,
+            breakdown: [
+                { type: 'spread', percent: spread, amount: spreadCost },
+                { type: 'percentFee', percent: feePercent, amount: percentFee },
+                { type: 'fixedFee', amount: fixedFee.amount, original: fixedFee.original, currency: fixedFee.currency }
+            ].filter(item => !item.amount.isZero())
+        };
+    }
+}
+
+// Export for use in other modules
+window.DEFAULT_COST_PROFILES = DEFAULT_COST_PROFILES;
+window.CostProfileManager = CostProfileManager;
@@ -1,24 +1,56 @@
 /**
  * Enhanced Currency Converter with React-like hooks pattern
- * Provides loading states, error handling, and offline support
+ * Provides loading states, error handling, and offline support.
+ * It never touches the document: pages, the <currency-converter> element and
+ * embeds drive it through its methods and subscribe() to its state
  */
 
+// English text per message code; the UI shows the i18n catalog's text for the code instead
+const CONVERTER_MESSAGES = {
+    'converter.error.update': ({ message }) => `Updating exchange rates: ${message}`,
+    'converter.error.historical': ({ date, message }) => `Loading rates for ${date}: ${message}`,
+    'converter.error.noRate': ({ from, to }) => `No ${from}/${to} rate available`,
+    'converter.error.historicalUnavailable': ({ date, message }) => `Rates for ${date} unavailable: ${message}`,
+    'converter.error.noHistoricalRate': ({ from, to, date }) => `No ${from}/${to} rate published for ${date}`,
+    'converter.refreshing': () => 'Refreshing with latest rates...'
+};
+
 class CurrencyConverter {
-    constructor() {
-        this.apiService = new ExchangeRateAPIService();
+    /**
+     * options: { apiService, environment, providers, rateStore, consensus, validation, pivotCurrency, locale, autoLoad }
+     * apiService defaults to an ExchangeRateAPIService built from environment/providers/rateStore;
+     * autoLoad: false skips fetching the pivot table on construction
+     */
+    constructor(options = {}) {
+        this.apiService = options.apiService || new ExchangeRateAPIService(options);
+        this.environment = this.apiService.environment;
+        // Currency used to triangulate pairs no single rate table quotes
+        this.pivotCurrency = options.pivotCurrency || this.environment.config.pivotCurrency || 'USD';
+        // Locale for formatted amounts and rates (separators, symbols, digits)
+        this.locale = options.locale || 'en-US';
         this.state = {
             loading: false,
             error: null,
             rates: {},
+            base: null,
+            rateTables: {},
             lastUpdate: null,
-            isOffline: !navigator.onLine
+            isOffline: !this.environment.isOnline,
+            asOfDate: null,
+            historical: null,
+            roundingMode: this.loadRoundingMode()
         };
         this.subscribers = [];
+        this.historicalTables = {}; // Rate tables keyed by requested date
         this.debounceTimer = null;
+        this.debounceWaiters = []; // Callers of fetchRates waiting on the pending debounced fetch
+        this.ratesLoading = null; // Pivot table load shared by conversions made before any table is in
         
         // Initialize
         this.initializeEventListeners();
-        this.loadInitialRates();
+        if (options.autoLoad !== false) {
+            this.loadInitialRates();
+        }
     }
 
     /**
@@ -43,25 +75,36 @@ class CurrencyConverter {
      * Initialize event listeners
      */
     initializeEventListeners() {
-        window.addEventListener('online', () => {
-            this.setState({ isOffline: false });
-            this.refreshRates();
+        this.environment.onConnectivityChange(online => {
+            this.setState({ isOffline: !online });
+            if (online) this.refreshRates();
         });
         
-        window.addEventListener('offline', () => {
-            this.setState({ isOffline: true });
-        });
+        // Stale tables the service worker refreshed in the background
+        this.apiService.onRatesUpdated(result => this.applyRatesResult(result));
     }
 
     /**
      * Load initial exchange rates
      */
     async loadInitialRates() {
-        await this.fetchRates('USD');
+        await this.fetchRates(this.pivotCurrency);
+    }
+
+    /**
+     * Load the pivot table once, however many conversions are waiting for a first table
+     */
+    ensureRates() {
+        this.ratesLoading ??= this.loadInitialRates().finally(() => {
+            this.ratesLoading = null;
+        });
+        return this.ratesLoading;
     }
 
     /**
      * Fetch exchange rates with debouncing
+     * A call made within the debounce window supersedes the pending one; callers of
+     * superseded calls resolve with the result of the fetch that does run
      */
     async fetchRates(baseCurrency = 'USD', forceRefresh = false) {
         // Clear existing debounce timer
@@ -71,37 +114,241 @@ class CurrencyConverter {
 
         // Debounce the API call
         return new Promise((resolve) => {
+            this.debounceWaiters.push(resolve);
             this.debounceTimer = setTimeout(async () => {
+                const waiters = this.debounceWaiters;
+                this.debounceWaiters = [];
+                this.debounceTimer = null;
+                let result = null;
+                
                 try {
                     this.setState({ loading: true, error: null });
                     
-                    const result = await this.apiService.getExchangeRates(baseCurrency, forceRefresh);
-                    
-                    this.setState({
-                        loading: false,
-                        rates: result.rates,
-                        lastUpdate: result.timestamp,
-                        error: result.warning || null,
-                        source: result.source
-                    });
+                    result = await this.apiService.getExchangeRates(baseCurrency, forceRefresh);
                     
-                    resolve(result);
+                    this.applyRatesResult(result, true);
                 } catch (error) {
                     this.setState({
                         loading: false,
-                        error: `Updating exchange rates: ${error.message}`
+                        error: CurrencyConverter.message('converter.error.update', { message: error.message }, true)
                     });
-                    resolve(null);
                 }
+                
+                waiters.forEach(waiter => waiter(result));
             }, 300); // 300ms debounce
         });
     }
 
+    /**
+     * Store a fetched table; it becomes the active one when requested as such or already active
+     */
+    applyRatesResult(result, activate = false) {
+        // Make every currency the provider quotes selectable
+        currencyCatalog.registerAll(Object.keys(result.rates || {}));
+        
+        const rateTables = { ...this.state.rateTables, [result.base]: this.toRateTable(result) };
+        
+        if (!activate && result.base !== this.state.base) {
+            this.setState({ rateTables });
+            return;
+        }
+        
+        this.setState({
+            loading: false,
+            rates: result.rates,
+            base: result.base,
+            rateTables,
+            lastUpdate: result.timestamp,
+            error: result.warning || null,
+            source: result.source,
+            provider: result.provider || null
+        });
+    }
+
+    /**
+     * Keep what is needed to convert and to explain where the rates came from
+     */
+    toRateTable(result) {
+        return {
+            base: result.base,
+            rates: result.rates,
+            timestamp: result.timestamp,
+            source: result.source,
+            provider: result.provider || null,
+            publishedAt: result.publishedAt || null,
+            fetchedAt: result.fetchedAt || null,
+            consensus: result.consensus || null
+        };
+    }
+
+    /**
+     * Load a rate table for another base without changing the active one
+     * (used to triangulate through the pivot currency)
+     */
+    async loadRateTable(baseCurrency) {
+        if (this.state.rateTables[baseCurrency]) {
+            return this.state.rateTables[baseCurrency];
+        }
+
+        const result = await this.apiService.getExchangeRates(baseCurrency);
+        const table = this.toRateTable(result);
+        this.setState({ rateTables: { ...this.state.rateTables, [result.base]: table } });
+        return table;
+    }
+
+    /**
+     * Select the calendar date conversions run against (null for latest rates)
+     */
+    async setAsOfDate(date) {
+        if (!date) {
+            this.setState({ asOfDate: null, historical: null, error: null });
+            return null;
+        }
+
+        this.setState({ loading: true, error: null });
+        const table = await this.loadHistoricalRates(date);
+
+        if (!table.success) {
+            this.setState({
+                loading: false,
+                asOfDate: null,
+                historical: null,
+                error: CurrencyConverter.message('converter.error.historical', { date, message: table.error })
+            });
+            return table;
+        }
+
+        this.setState({ loading: false, asOfDate: date, historical: table });
+        return table;
+    }
+
+    /**
+     * Load (and memoize) the pivot-based rate table for a past date
+     */
+    async loadHistoricalRates(date) {
+        if (this.historicalTables[date]) {
+            return this.historicalTables[date];
+        }
+
+        const result = await this.apiService.getHistoricalRates(this.pivotCurrency, date);
+        if (result.success) {
+            this.historicalTables[date] = result;
+        }
+
+        return result;
+    }
+
+    /**
+     * Exact rate (Decimal) for one unit of fromCurrency in toCurrency from a table
+     * { base, rates }; null unless the table quotes both currencies
+     */
+    getRateFromTable(table, fromCurrency, toCurrency) {
+        if (fromCurrency === toCurrency) return Decimal.from(1);
+        if (!table || !table.rates) return null;
+
+        const fromRate = fromCurrency === table.base ? 1 : table.rates[fromCurrency];
+        const toRate = toCurrency === table.base ? 1 : table.rates[toCurrency];
+
+        if (!fromRate || !toRate) return null;
+        return Money.crossRate(fromRate, toRate);
+    }
+
+    /**
+     * Latest rate for a pair from the loaded tables: directly from the active table
+     * (whatever its base), then any other loaded table, then triangulated through the pivot
+     * Returns { rate, base, via, tables } or null; tables are the ones the rate was read from
+     */
+    getCrossRate(fromCurrency, toCurrency) {
+        const active = this.state.rateTables[this.state.base];
+        const tables = [active, ...Object.values(this.state.rateTables).filter(table => table !== active)]
+            .filter(Boolean);
+
+        for (const table of tables) {
+            const rate = this.getRateFromTable(table, fromCurrency, toCurrency);
+            if (rate) return { rate, base: table.base, via: null, tables: [table] };
+        }
+
+        // Two legs through the pivot, possibly from different tables
+        const pivot = this.pivotCurrency;
+        const leg = (from, to) => {
+            for (const table of tables) {
+                const rate = this.getRateFromTable(table, from, to);
+                if (rate) return { rate, table };
+            }
+            return null;
+        };
+        const fromLeg = leg(fromCurrency, pivot);
+        const toLeg = leg(pivot, toCurrency);
+
+        if (!fromLeg || !toLeg) return null;
+        return {
+            rate: fromLeg.rate.multiply(toLeg.rate).round(RATE_SCALE, ROUNDING_MODES.HALF_EVEN),
+            base: pivot,
+            via: pivot,
+            tables: [fromLeg.table, toLeg.table]
+        };
+    }
+
+    /**
+     * How far the providers behind a cross rate agreed (null unless fetched in consensus mode)
+     */
+    describeConsensus(crossRate, fromCurrency, toCurrency) {
+        const [first, second] = crossRate.tables;
+        if (!crossRate.via) {
+            return RateConsensus.forPair(first.consensus, first.base, fromCurrency, toCurrency);
+        }
+
+        return RateConsensus.join([
+            RateConsensus.forPair(first.consensus, first.base, fromCurrency, crossRate.via),
+            RateConsensus.forPair(second.consensus, second.base, crossRate.via, toCurrency)
+        ]);
+    }
+
+    /**
+     * Apply an exact rate and round to the target currency's minor unit
+     */
+    buildConversion(amount, exchangeRate, toCurrency) {
+        const convertedValue = Money.convert(amount, exchangeRate, toCurrency, this.state.roundingMode);
+
+        return {
+            convertedAmount: convertedValue.toNumber(),
+            convertedValue,
+            exchangeRate: exchangeRate.toNumber(),
+            exchangeRateValue: exchangeRate,
+            currency: toCurrency,
+            roundingMode: this.state.roundingMode
+        };
+    }
+
+    /**
+     * Select how converted amounts are rounded to minor units
+     */
+    setRoundingMode(mode) {
+        if (!Object.values(ROUNDING_MODES).includes(mode)) {
+            throw new Error(`Unknown rounding mode: ${mode}`);
+        }
+
+        this.environment.setItem('roundingMode', mode);
+        this.setState({ roundingMode: mode });
+    }
+
+    /**
+     * Saved rounding mode, half-up by default
+     */
+    loadRoundingMode() {
+        const saved = this.environment.getItem('roundingMode');
+        return Object.values(ROUNDING_MODES).includes(saved) ? saved : ROUNDING_MODES.HALF_UP;
+    }
+
     /**
      * Convert currency with caching and error handling
+     * Uses the rates for asOfDate (YYYY-MM-DD) when given, latest rates otherwise.
+     * amount may be a number, a numeric string or a Decimal; results are exact and
+     * rounded to the target currency's ISO 4217 minor unit.
+     * Failures return { error, code, params } (CONVERTER_MESSAGES) with zero amounts
      */
-    async convertCurrency(amount, fromCurrency, toCurrency) {
-        if (!amount || amount <= 0) {
+    async convertCurrency(amount, fromCurrency, toCurrency, asOfDate = this.state.asOfDate) {
+        if (!amount || Number(amount) <= 0) {
             return {
                 convertedAmount: 0,
                 exchangeRate: 0,
@@ -110,47 +357,104 @@ class CurrencyConverter {
         }
 
         try {
-            // Ensure we have rates for the base currency
-            if (!this.state.rates || Object.keys(this.state.rates).length === 0) {
-                await this.fetchRates(fromCurrency);
+            if (asOfDate) {
+                return await this.convertAsOf(amount, fromCurrency, toCurrency, asOfDate);
             }
 
-            let convertedAmount = 0;
-            let exchangeRate = 0;
-
-            if (fromCurrency === 'USD') {
-                exchangeRate = this.state.rates[toCurrency] || 1;
-                convertedAmount = amount * exchangeRate;
-            } else if (toCurrency === 'USD') {
-                exchangeRate = 1 / (this.state.rates[fromCurrency] || 1);
-                convertedAmount = amount * exchangeRate;
-            } else {
-                // Convert through USD
-                const fromRate = this.state.rates[fromCurrency] || 1;
-                const toRate = this.state.rates[toCurrency] || 1;
-                exchangeRate = toRate / fromRate;
-                convertedAmount = amount * exchangeRate;
+            // Ensure we have a rate table to work from
+            if (!this.state.base) {
+                await this.ensureRates();
             }
 
+            let crossRate = this.getCrossRate(fromCurrency, toCurrency);
+
+            // Missing from the loaded tables: bring in the pivot table and triangulate
+            if (!crossRate && !this.state.rateTables[this.pivotCurrency]) {
+                await this.loadRateTable(this.pivotCurrency);
+                crossRate = this.getCrossRate(fromCurrency, toCurrency);
+            }
+
+            if (!crossRate) {
+                throw CurrencyConverter.error('converter.error.noRate', { from: fromCurrency, to: toCurrency });
+            }
+
+            // A triangulated rate is only as good as its weakest leg
+            const consensus = this.describeConsensus(crossRate, fromCurrency, toCurrency);
+            const provenance = RateConsensus.adjustConfidence(
+                RateProvenance.worst(crossRate.tables.map(table => RateProvenance.describe(table))),
+                consensus
+            );
             return {
-                convertedAmount,
-                exchangeRate,
+                ...this.buildConversion(amount, crossRate.rate, toCurrency),
                 error: null,
-                source: this.state.source,
-                lastUpdate: this.state.lastUpdate
+                source: provenance.source,
+                provider: provenance.provider,
+                lastUpdate: provenance.fetchedAt || provenance.publishedAt,
+                provenance,
+                consensus,
+                rateBase: crossRate.base,
+                via: crossRate.via,
+                rateDate: null
             };
 
         } catch (error) {
             return {
                 convertedAmount: 0,
                 exchangeRate: 0,
-                error: error.message
+                error: error.message,
+                code: error.code,
+                params: error.params
             };
         }
     }
 
     /**
-     * Get popular exchange rates
+     * Whether the loaded latest rates can quote a currency
+     */
+    hasRate(currency) {
+        return Object.values(this.state.rateTables).some(table =>
+            currency === table.base || Boolean(table.rates?.[currency])
+        );
+    }
+
+    /**
+     * Convert one amount into several target currencies
+     */
+    async convertToMany(amount, fromCurrency, toCurrencies, asOfDate = this.state.asOfDate) {
+        return Promise.all(toCurrencies.map(async (toCurrency) => ({
+            toCurrency,
+            ...(await this.convertCurrency(amount, fromCurrency, toCurrency, asOfDate))
+        })));
+    }
+
+    /**
+     * Convert using the published rates for a past date
+     */
+    async convertAsOf(amount, fromCurrency, toCurrency, asOfDate) {
+        const table = await this.loadHistoricalRates(asOfDate);
+        if (!table.success) {
+            throw CurrencyConverter.error('converter.error.historicalUnavailable', { date: asOfDate, message: table.error });
+        }
+
+        const exchangeRate = this.getRateFromTable(table, fromCurrency, toCurrency);
+        if (exchangeRate === null) {
+            throw CurrencyConverter.error('converter.error.noHistoricalRate', { from: fromCurrency, to: toCurrency, date: asOfDate });
+        }
+
+        return {
+            ...this.buildConversion(amount, exchangeRate, toCurrency),
+            error: null,
+            source: `historical_${table.source}`,
+            provider: table.provider,
+            lastUpdate: table.date,
+            provenance: RateProvenance.describe({ ...table, source: `historical_${table.source}` }),
+            rateDate: table.date,
+            requestedDate: asOfDate
+        };
+    }
+
+    /**
+     * Get popular exchange rates (for asOfDate when one is selected)
      */
     getPopularRates() {
         const popularPairs = [
@@ -161,46 +465,97 @@ class CurrencyConverter {
             { from: 'GBP', to: 'USD', id: 'gbpusd' }
         ];
 
+        if (this.state.asOfDate && this.state.historical) {
+            return popularPairs.map(pair => {
+                const rate = this.getRateFromTable(this.state.historical, pair.from, pair.to);
+                return {
+                    ...pair,
+                    rate: rate === null ? 'N/A' : this.formatCurrency(rate),
+                    rateDate: this.state.historical.date
+                };
+            });
+        }
+
         return popularPairs.map(pair => {
-            let rate = 0;
-            
-            if (pair.from === 'USD') {
-                rate = this.state.rates[pair.to] || 0;
-            } else if (pair.to === 'USD') {
-                rate = 1 / (this.state.rates[pair.from] || 1);
-            } else {
-                const fromRate = this.state.rates[pair.from] || 1;
-                const toRate = this.state.rates[pair.to] || 1;
-                rate = toRate / fromRate;
-            }
+            const crossRate = this.getCrossRate(pair.from, pair.to);
 
             return {
                 ...pair,
-                rate: this.formatCurrency(rate)
+                rate: crossRate ? this.formatCurrency(crossRate.rate) : 'N/A'
             };
         });
     }
 
     /**
-     * Refresh rates manually
+     * Get the daily rate history of a pair for a chart range (7D, 1M, 3M, 1Y)
      */
-    async refreshRates() {
-        const fromCurrency = document.getElementById('fromCurrency')?.value || 'USD';
-        await this.fetchRates(fromCurrency, true);
+    async getRateHistory(fromCurrency, toCurrency, range = '7D') {
+        const rangeDays = { '7D': 7, '1M': 30, '3M': 91, '1Y': 365 };
+        const days = rangeDays[range] || rangeDays['7D'];
+        
+        const end = new Date();
+        const start = new Date(end.getTime() - days * 24 * 60 * 60 * 1000);
+        
+        if (fromCurrency === toCurrency) {
+            return { success: false, error: 'Select two different currencies to see their history' };
+        }
+        
+        return this.apiService.getTimeSeries(
+            fromCurrency,
+            toCurrency,
+            this.apiService.formatDate(start),
+            this.apiService.formatDate(end)
+        );
     }
 
     /**
-     * Format currency with proper decimal places
+     * Refresh rates manually, for a base currency or the active table's
      */
-    formatCurrency(amount) {
-        if (typeof amount !== 'number' || isNaN(amount)) {
-            return '0.00';
+    async refreshRates(baseCurrency = this.state.base || this.pivotCurrency) {
+        await this.fetchRates(baseCurrency, true);
+    }
+
+    /**
+     * Use a locale tag for formatCurrency ("ar-EG" gives Arabic-Indic digits)
+     */
+    setLocale(locale) {
+        this.locale = locale;
+    }
+
+    /**
+     * Format currency with proper decimal places in the converter's locale
+     * With a currency code, shows its symbol and exactly its ISO 4217 minor units
+     * (¥156, KWD 0.841); without one (rates), shows 2-6 fraction digits.
+     * A locale argument overrides the converter's for one call
+     */
+    formatCurrency(amount, currency = null, locale = this.locale) {
+        const value = amount instanceof Decimal ? amount.toString() : amount;
+        const isNumeric = typeof value === 'number' ? !isNaN(value) : /^-?\d+(\.\d+)?$/.test(value || '');
+        const digits = currency ? Money.minorUnits(currency) : null;
+        const options = currency
+            ? { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits }
+            : { minimumFractionDigits: 2, maximumFractionDigits: 6 };
+
+        // Intl formats numeric strings exactly in current engines
+        const number = isNumeric ? value : 0;
+        try {
+            return new Intl.NumberFormat(locale, options).format(number);
+        } catch (error) {
+            // Codes Intl rejects as a currency keep the plain number and the code
+            const plain = new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+            return `${plain.format(number)} ${currency}`;
         }
-        
-        return new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 6
-        }).format(amount);
+    }
+
+    /**
+     * Codes that can be converted right now: every loaded table (or the fallback table) plus their bases
+     */
+    getAvailableCurrencies() {
+        const tables = Object.values(this.state.rateTables);
+        if (tables.length === 0) {
+            return ['USD', ...Object.keys(this.apiService.fallbackRates)];
+        }
+        return Array.from(new Set(tables.flatMap(table => [table.base, ...Object.keys(table.rates)])));
     }
 
     /**
@@ -217,19 +572,37 @@ class CurrencyConverter {
         return this.apiService.metrics.getMetrics();
     }
 
+    /**
+     * { code, params, message, transient }: the i18n key and its params, the English text and
+     * whether it is a passing status (state.error holds these, like the rate warnings it also shows)
+     */
+    static message(code, params = {}, transient = false) {
+        return { code, params, message: CONVERTER_MESSAGES[code](params), transient };
+    }
+
+    /**
+     * An Error carrying the message's code and params; failed conversions return them
+     */
+    static error(code, params = {}) {
+        return Object.assign(new Error(CONVERTER_MESSAGES[code](params)), { code, params });
+    }
+
     /**
      * Clear cache
      */
-    clearCache() {
-        this.apiService.clearCache();
+    async clearCache() {
+        await this.apiService.clearCache();
+        // Drop every loaded table, so no cross rate comes from the old ones while reloading
         this.setState({
             rates: {},
+            base: null,
+            rateTables: {},
             lastUpdate: null,
-            error: 'Refreshing with latest rates...'
+            error: CurrencyConverter.message('converter.refreshing', {}, true)
         });
         this.loadInitialRates();
     }
 }
 
-// Export for global use
-window.CurrencyConverter = CurrencyConverter;
+// Export for the page and the Node core (self is window in the page)
+self.CurrencyConverter = CurrencyConverter;
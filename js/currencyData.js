@@ -0,0 +1,461 @@
+/**
+ * Currency catalog - ISO 4217 metadata shared by the selects, formatting and the fallback table
+ * Entries: [name, symbol, minor units, countries (ISO 3166 alpha-2, primary first)]
+ */
+
+const CURRENCY_DATA = {
+    AED: ['UAE Dirham', 'د.إ', 2, 'AE'],
+    AFN: ['Afghan Afghani', '؋', 2, 'AF'],
+    ALL: ['Albanian Lek', 'L', 2, 'AL'],
+    AMD: ['Armenian Dram', '֏', 2, 'AM'],
+    AOA: ['Angolan Kwanza', 'Kz', 2, 'AO'],
+    ARS: ['Argentine Peso', '$', 2, 'AR'],
+    AUD: ['Australian Dollar', 'A$', 2, 'AU KI NR TV'],
+    AWG: ['Aruban Florin', 'ƒ', 2, 'AW'],
+    AZN: ['Azerbaijani Manat', '₼', 2, 'AZ'],
+    BAM: ['Bosnia-Herzegovina Convertible Mark', 'KM', 2, 'BA'],
+    BBD: ['Barbadian Dollar', 'Bds$', 2, 'BB'],
+    BDT: ['Bangladeshi Taka', '৳', 2, 'BD'],
+    BHD: ['Bahraini Dinar', '.د.ب', 3, 'BH'],
+    BIF: ['Burundian Franc', 'FBu', 0, 'BI'],
+    BMD: ['Bermudian Dollar', '$', 2, 'BM'],
+    BND: ['Brunei Dollar', 'B$', 2, 'BN'],
+    BOB: ['Bolivian Boliviano', 'Bs', 2, 'BO'],
+    BRL: ['Brazilian Real', 'R$', 2, 'BR'],
+    BSD: ['Bahamian Dollar', 'B$', 2, 'BS'],
+    BTN: ['Bhutanese Ngultrum', 'Nu.', 2, 'BT'],
+    BWP: ['Botswana Pula', 'P', 2, 'BW'],
+    BYN: ['Belarusian Ruble', 'Br', 2, 'BY'],
+    BZD: ['Belize Dollar', 'BZ$', 2, 'BZ'],
+    CAD: ['Canadian Dollar', 'C$', 2, 'CA'],
+    CDF: ['Congolese Franc', 'FC', 2, 'CD'],
+    CHF: ['Swiss Franc', 'CHF', 2, 'CH LI'],
+    CLF: ['Chilean Unit of Account (UF)', 'UF', 4, 'CL'],
+    CLP: ['Chilean Peso', '$', 0, 'CL'],
+    CNY: ['Chinese Yuan', '¥', 2, 'CN'],
+    COP: ['Colombian Peso', '$', 2, 'CO'],
+    CRC: ['Costa Rican Colón', '₡', 2, 'CR'],
+    CUP: ['Cuban Peso', '$', 2, 'CU'],
+    CVE: ['Cape Verdean Escudo', 'Esc', 2, 'CV'],
+    CZK: ['Czech Koruna', 'Kč', 2, 'CZ'],
+    DJF: ['Djiboutian Franc', 'Fdj', 0, 'DJ'],
+    DKK: ['Danish Krone', 'kr', 2, 'DK GL'],
+    DOP: ['Dominican Peso', 'RD$', 2, 'DO'],
+    DZD: ['Algerian Dinar', 'د.ج', 2, 'DZ'],
+    EGP: ['Egyptian Pound', 'E£', 2, 'EG'],
+    ERN: ['Eritrean Nakfa', 'Nfk', 2, 'ER'],
+    ETB: ['Ethiopian Birr', 'Br', 2, 'ET'],
+    EUR: ['Euro', '€', 2, 'EU DE FR IT ES NL BE AT PT IE FI GR SK SI LT LV EE CY MT LU HR BG'],
+    FJD: ['Fijian Dollar', 'FJ$', 2, 'FJ'],
+    FKP: ['Falkland Islands Pound', '£', 2, 'FK'],
+    FOK: ['Faroese Króna', 'kr', 2, 'FO'],
+    GBP: ['British Pound', '£', 2, 'GB'],
+    GEL: ['Georgian Lari', '₾', 2, 'GE'],
+    GGP: ['Guernsey Pound', '£', 2, 'GG'],
+    GHS: ['Ghanaian Cedi', 'GH₵', 2, 'GH'],
+    GIP: ['Gibraltar Pound', '£', 2, 'GI'],
+    GMD: ['Gambian Dalasi', 'D', 2, 'GM'],
+    GNF: ['Guinean Franc', 'FG', 0, 'GN'],
+    GTQ: ['Guatemalan Quetzal', 'Q', 2, 'GT'],
+    GYD: ['Guyanese Dollar', 'G$', 2, 'GY'],
+    HKD: ['Hong Kong Dollar', 'HK$', 2, 'HK'],
+    HNL: ['Honduran Lempira', 'L', 2, 'HN'],
+    HTG: ['Haitian Gourde', 'G', 2, 'HT'],
+    HUF: ['Hungarian Forint', 'Ft', 2, 'HU'],
+    IDR: ['Indonesian Rupiah', 'Rp', 2, 'ID'],
+    ILS: ['Israeli Shekel', '₪', 2, 'IL PS'],
+    IMP: ['Manx Pound', '£', 2, 'IM'],
+    INR: ['Indian Rupee', '₹', 2, 'IN'],
+    IQD: ['Iraqi Dinar', 'ع.د', 3, 'IQ'],
+    IRR: ['Iranian Rial', '﷼', 2, 'IR'],
+    ISK: ['Icelandic Króna', 'kr', 0, 'IS'],
+    JEP: ['Jersey Pound', '£', 2, 'JE'],
+    JMD: ['Jamaican Dollar', 'J$', 2, 'JM'],
+    JOD: ['Jordanian Dinar', 'JD', 3, 'JO'],
+    JPY: ['Japanese Yen', '¥', 0, 'JP'],
+    KES: ['Kenyan Shilling', 'KSh', 2, 'KE'],
+    KGS: ['Kyrgyzstani Som', 'с', 2, 'KG'],
+    KHR: ['Cambodian Riel', '៛', 2, 'KH'],
+    KID: ['Kiribati Dollar', '$', 2, 'KI'],
+    KMF: ['Comorian Franc', 'CF', 0, 'KM'],
+    KPW: ['North Korean Won', '₩', 2, 'KP'],
+    KRW: ['South Korean Won', '₩', 0, 'KR'],
+    KWD: ['Kuwaiti Dinar', 'KD', 3, 'KW'],
+    KYD: ['Cayman Islands Dollar', 'CI$', 2, 'KY'],
+    KZT: ['Kazakhstani Tenge', '₸', 2, 'KZ'],
+    LAK: ['Lao Kip', '₭', 2, 'LA'],
+    LBP: ['Lebanese Pound', 'L£', 2, 'LB'],
+    LKR: ['Sri Lankan Rupee', 'Rs', 2, 'LK'],
+    LRD: ['Liberian Dollar', 'L$', 2, 'LR'],
+    LSL: ['Lesotho Loti', 'L', 2, 'LS'],
+    LYD: ['Libyan Dinar', 'LD', 3, 'LY'],
+    MAD: ['Moroccan Dirham', 'DH', 2, 'MA'],
+    MDL: ['Moldovan Leu', 'L', 2, 'MD'],
+    MGA: ['Malagasy Ariary', 'Ar', 2, 'MG'],
+    MKD: ['Macedonian Denar', 'ден', 2, 'MK'],
+    MMK: ['Myanmar Kyat', 'K', 2, 'MM'],
+    MNT: ['Mongolian Tögrög', '₮', 2, 'MN'],
+    MOP: ['Macanese Pataca', 'MOP$', 2, 'MO'],
+    MRU: ['Mauritanian Ouguiya', 'UM', 2, 'MR'],
+    MUR: ['Mauritian Rupee', 'Rs', 2, 'MU'],
+    MVR: ['Maldivian Rufiyaa', 'Rf', 2, 'MV'],
+    MWK: ['Malawian Kwacha', 'MK', 2, 'MW'],
+    MXN: ['Mexican Peso', 'MX$', 2, 'MX'],
+    MYR: ['Malaysian Ringgit', 'RM', 2, 'MY'],
+    MZN: ['Mozambican Metical', 'MT', 2, 'MZ'],
+    NAD: ['Namibian Dollar', 'N$', 2, 'NA'],
+    NGN: ['Nigerian Naira', '₦', 2, 'NG'],
+    NIO: ['Nicaraguan Córdoba', 'C$', 2, 'NI'],
+    NOK: ['Norwegian Krone', 'kr', 2, 'NO SJ BV'],
+    NPR: ['Nepalese Rupee', 'Rs', 2, 'NP'],
+    NZD: ['New Zealand Dollar', 'NZ$', 2, 'NZ CK NU PN TK'],
+    OMR: ['Omani Rial', 'ر.ع.', 3, 'OM'],
+    PAB: ['Panamanian Balboa', 'B/.', 2, 'PA'],
+    PEN: ['Peruvian Sol', 'S/', 2, 'PE'],
+    PGK: ['Papua New Guinean Kina', 'K', 2, 'PG'],
+    PHP: ['Philippine Peso', '₱', 2, 'PH'],
+    PKR: ['Pakistani Rupee', 'Rs', 2, 'PK'],
+    PLN: ['Polish Zloty', 'zł', 2, 'PL'],
+    PYG: ['Paraguayan Guaraní', '₲', 0, 'PY'],
+    QAR: ['Qatari Riyal', 'QR', 2, 'QA'],
+    RON: ['Romanian Leu', 'lei', 2, 'RO'],
+    RSD: ['Serbian Dinar', 'дин', 2, 'RS'],
+    RUB: ['Russian Ruble', '₽', 2, 'RU'],
+    RWF: ['Rwandan Franc', 'FRw', 0, 'RW'],
+    SAR: ['Saudi Riyal', '﷼', 2, 'SA'],
+    SBD: ['Solomon Islands Dollar', 'SI$', 2, 'SB'],
+    SCR: ['Seychellois Rupee', 'SRe', 2, 'SC'],
+    SDG: ['Sudanese Pound', 'ج.س.', 2, 'SD'],
+    SEK: ['Swedish Krona', 'kr', 2, 'SE'],
+    SGD: ['Singapore Dollar', 'S$', 2, 'SG'],
+    SHP: ['Saint Helena Pound', '£', 2, 'SH'],
+    SLE: ['Sierra Leonean Leone', 'Le', 2, 'SL'],
+    SOS: ['Somali Shilling', 'Sh', 2, 'SO'],
+    SRD: ['Surinamese Dollar', 'Sr$', 2, 'SR'],
+    SSP: ['South Sudanese Pound', 'SS£', 2, 'SS'],
+    STN: ['São Tomé and Príncipe Dobra', 'Db', 2, 'ST'],
+    SVC: ['Salvadoran Colón', '₡', 2, 'SV'],
+    SYP: ['Syrian Pound', 'LS', 2, 'SY'],
+    SZL: ['Swazi Lilangeni', 'E', 2, 'SZ'],
+    THB: ['Thai Baht', '฿', 2, 'TH'],
+    TJS: ['Tajikistani Somoni', 'SM', 2, 'TJ'],
+    TMT: ['Turkmenistani Manat', 'm', 2, 'TM'],
+    TND: ['Tunisian Dinar', 'DT', 3, 'TN'],
+    TOP: ['Tongan Paʻanga', 'T$', 2, 'TO'],
+    TRY: ['Turkish Lira', '₺', 2, 'TR'],
+    TTD: ['Trinidad and Tobago Dollar', 'TT$', 2, 'TT'],
+    TVD: ['Tuvaluan Dollar', '$', 2, 'TV'],
+    TWD: ['New Taiwan Dollar', 'NT$', 2, 'TW'],
+    TZS: ['Tanzanian Shilling', 'TSh', 2, 'TZ'],
+    UAH: ['Ukrainian Hryvnia', '₴', 2, 'UA'],
+    UGX: ['Ugandan Shilling', 'USh', 0, 'UG'],
+    USD: ['US Dollar', '$', 2, 'US EC SV PA PR TL ZW'],
+    UYI: ['Uruguay Peso en Unidades Indexadas', 'UI', 0, 'UY'],
+    UYU: ['Uruguayan Peso', '$U', 2, 'UY'],
+    UYW: ['Uruguay Nominal Wage Index Unit', 'UW', 4, 'UY'],
+    UZS: ['Uzbekistani Som', 'soʻm', 2, 'UZ'],
+    VES: ['Venezuelan Bolívar', 'Bs.', 2, 'VE'],
+    VND: ['Vietnamese Dong', '₫', 0, 'VN'],
+    VUV: ['Vanuatu Vatu', 'VT', 0, 'VU'],
+    WST: ['Samoan Tālā', 'WS$', 2, 'WS'],
+    XAF: ['Central African CFA Franc', 'FCFA', 0, 'CM CF TD CG GQ GA'],
+    XCD: ['East Caribbean Dollar', 'EC$', 2, 'AG DM GD KN LC VC AI MS'],
+    XCG: ['Caribbean Guilder', 'Cg', 2, 'CW SX'],
+    XDR: ['IMF Special Drawing Rights', 'SDR', 2, ''],
+    XOF: ['West African CFA Franc', 'CFA', 0, 'BJ BF CI GW ML NE SN TG'],
+    XPF: ['CFP Franc', '₣', 0, 'PF NC WF'],
+    YER: ['Yemeni Rial', '﷼', 2, 'YE'],
+    ZAR: ['South African Rand', 'R', 2, 'ZA LS NA SZ'],
+    ZMW: ['Zambian Kwacha', 'ZK', 2, 'ZM'],
+    ZWG: ['Zimbabwe Gold', 'ZiG', 2, 'ZW']
+};
+
+/**
+ * Withdrawn currencies, kept for historical conversions: [..., replaced by]
+ */
+const HISTORIC_CURRENCY_DATA = {
+    ANG: ['Netherlands Antillean Guilder', 'ƒ', 2, 'CW SX', 'XCG'],
+    ATS: ['Austrian Schilling', 'öS', 2, 'AT', 'EUR'],
+    BEF: ['Belgian Franc', 'fr', 0, 'BE', 'EUR'],
+    BGN: ['Bulgarian Lev', 'лв', 2, 'BG', 'EUR'],
+    BYR: ['Belarusian Ruble (2000–2016)', 'Br', 0, 'BY', 'BYN'],
+    CUC: ['Cuban Convertible Peso', 'CUC$', 2, 'CU', 'CUP'],
+    CYP: ['Cypriot Pound', '£', 2, 'CY', 'EUR'],
+    DEM: ['German Mark', 'DM', 2, 'DE', 'EUR'],
+    EEK: ['Estonian Kroon', 'kr', 2, 'EE', 'EUR'],
+    ESP: ['Spanish Peseta', 'Pts', 0, 'ES', 'EUR'],
+    FIM: ['Finnish Markka', 'mk', 2, 'FI', 'EUR'],
+    FRF: ['French Franc', 'F', 2, 'FR', 'EUR'],
+    GRD: ['Greek Drachma', '₯', 0, 'GR', 'EUR'],
+    HRK: ['Croatian Kuna', 'kn', 2, 'HR', 'EUR'],
+    IEP: ['Irish Pound', 'IR£', 2, 'IE', 'EUR'],
+    ITL: ['Italian Lira', '₤', 0, 'IT', 'EUR'],
+    LTL: ['Lithuanian Litas', 'Lt', 2, 'LT', 'EUR'],
+    LUF: ['Luxembourgish Franc', 'F', 0, 'LU', 'EUR'],
+    LVL: ['Latvian Lats', 'Ls', 2, 'LV', 'EUR'],
+    MRO: ['Mauritanian Ouguiya (1973–2017)', 'UM', 2, 'MR', 'MRU'],
+    MTL: ['Maltese Lira', 'Lm', 2, 'MT', 'EUR'],
+    NLG: ['Dutch Guilder', 'ƒ', 2, 'NL', 'EUR'],
+    PTE: ['Portuguese Escudo', 'Esc', 0, 'PT', 'EUR'],
+    SIT: ['Slovenian Tolar', 'SIT', 2, 'SI', 'EUR'],
+    SKK: ['Slovak Koruna', 'Sk', 2, 'SK', 'EUR'],
+    SLL: ['Sierra Leonean Leone (1964–2022)', 'Le', 2, 'SL', 'SLE'],
+    STD: ['São Tomé and Príncipe Dobra (1977–2017)', 'Db', 2, 'ST', 'STN'],
+    VEF: ['Venezuelan Bolívar Fuerte', 'Bs.F', 2, 'VE', 'VES'],
+    ZMK: ['Zambian Kwacha (1968–2012)', 'ZK', 2, 'ZM', 'ZMW'],
+    ZWL: ['Zimbabwean Dollar (2009–2024)', 'Z$', 2, 'ZW', 'ZWG']
+};
+
+/**
+ * Everyday names and symbols users type instead of ISO codes
+ */
+const CURRENCY_ALIASES = {
+    USD: ['dollar', 'dollars', 'us dollar', 'us dollars', 'buck', 'bucks', 'us$'],
+    EUR: ['euro', 'euros'],
+    GBP: ['pound', 'pounds', 'sterling', 'pound sterling', 'quid'],
+    JPY: ['yen', '円'],
+    CNY: ['yuan', 'renminbi', 'rmb', '元'],
+    INR: ['rupee', 'rupees'],
+    KRW: ['won'],
+    CHF: ['franc', 'francs', 'swiss franc'],
+    CAD: ['canadian dollar', 'loonie'],
+    AUD: ['aussie dollar'],
+    MXN: ['peso', 'pesos', 'mexican peso'],
+    BRL: ['real', 'reais'],
+    RUB: ['ruble', 'rouble', 'rubles'],
+    TRY: ['lira'],
+    ILS: ['shekel', 'shekels', 'nis'],
+    THB: ['baht'],
+    PLN: ['zloty', 'zlotys'],
+    SEK: ['swedish krona', 'kronor'],
+    NOK: ['norwegian krone'],
+    DKK: ['danish krone'],
+    ZAR: ['rand'],
+    VND: ['dong'],
+    TWD: ['nt dollar', 'taiwan dollar'],
+    ARS: ['argentine peso'],
+    KWD: ['kuwaiti dinar'],
+    NGN: ['naira'],
+    UAH: ['hryvnia']
+};
+
+const POPULAR_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY', 'INR', 'KRW'];
+
+/**
+ * Last refreshed USD-based rates, used when no provider is reachable
+ */
+const FALLBACK_RATES_DATE = '2025-06-01T00:00:00.000Z';
+
+const FALLBACK_USD_RATES = {
+    'EUR': 0.876, 'GBP': 0.738, 'JPY': 156.2, 'AUD': 1.542,
+    'CAD': 1.384, 'CHF': 0.891, 'CNY': 7.245, 'INR': 83.12,
+    'KRW': 1398.5, 'MXN': 18.75, 'SGD': 1.348, 'HKD': 7.785,
+    'NOK': 10.85, 'SEK': 10.42, 'DKK': 6.53, 'PLN': 4.12,
+    'CZK': 23.15, 'HUF': 385.2, 'RUB': 89.5, 'BRL': 5.48,
+    'ZAR': 18.25, 'TRY': 32.85, 'ILS': 3.68, 'AED': 3.673,
+    'SAR': 3.751, 'THB': 36.45, 'MYR': 4.685, 'IDR': 16125,
+    'PHP': 58.25, 'VND': 24850, 'EGP': 49.15, 'NGN': 1545,
+    'KES': 129.5, 'GHS': 15.85, 'MAD': 9.82
+};
+
+class CurrencyCatalog {
+    constructor() {
+        this.currencies = new Map();
+        this.aliasIndex = new Map();
+
+        Object.entries(CURRENCY_DATA).forEach(([code, entry]) => this.add(code, entry, 'active'));
+        Object.entries(HISTORIC_CURRENCY_DATA).forEach(([code, entry]) => this.add(code, entry, 'historic'));
+        Object.entries(CURRENCY_ALIASES).forEach(([code, aliases]) => {
+            aliases.forEach(alias => this.aliasIndex.set(alias.toLowerCase(), code));
+            this.currencies.get(code).aliases.push(...aliases);
+        });
+    }
+
+    add(code, [name, symbol, minorUnits, countries, replacedBy = null], status) {
+        const countryList = countries ? countries.split(' ') : [];
+        this.currencies.set(code, {
+            code,
+            name,
+            symbol,
+            minorUnits,
+            countries: countryList,
+            flag: CurrencyCatalog.flagFor(code, countryList),
+            aliases: [],
+            status,
+            replacedBy
+        });
+    }
+
+    /**
+     * Emoji flag for the primary country; none for multi-country X-codes (XAF, XDR...)
+     */
+    static flagFor(code, countries) {
+        const country = countries[0];
+        if (!country || (code.startsWith('X') && countries.length !== 1)) return '';
+        return String.fromCodePoint(...[...country].map(char => 0x1F1A5 + char.charCodeAt(0)));
+    }
+
+    get(code) {
+        return this.currencies.get(code) || null;
+    }
+
+    has(code) {
+        return this.currencies.has(code);
+    }
+
+    name(code) {
+        return this.get(code)?.name || code;
+    }
+
+    symbol(code) {
+        return this.get(code)?.symbol || code;
+    }
+
+    /**
+     * ISO 4217 minor units; 2 for unknown codes
+     */
+    minorUnits(code) {
+        return this.get(code)?.minorUnits ?? 2;
+    }
+
+    flag(code) {
+        return this.get(code)?.flag || '';
+    }
+
+    /**
+     * Option label: "🇯🇵 JPY - Japanese Yen"
+     */
+    label(code) {
+        const flag = this.flag(code);
+        return `${flag ? `${flag} ` : ''}${code} - ${this.name(code)}`;
+    }
+
+    isHistoric(code) {
+        return this.get(code)?.status === 'historic';
+    }
+
+    /**
+     * Currencies sorted by code; `codes` limits the list, historic ones are skipped unless asked for
+     */
+    list({ codes = null, includeHistoric = false } = {}) {
+        const wanted = codes ? new Set(codes) : null;
+        return Array.from(this.currencies.values())
+            .filter(currency => !wanted || wanted.has(currency.code))
+            .filter(currency => includeHistoric || currency.status === 'active' || wanted?.has(currency.code))
+            .sort((a, b) => a.code.localeCompare(b.code));
+    }
+
+    popular() {
+        return [...POPULAR_CURRENCIES];
+    }
+
+    /**
+     * Add codes a provider returned that the catalog does not know yet
+     * Returns the newly added codes
+     */
+    registerAll(codes) {
+        const added = codes.filter(code => /^[A-Z]{3}$/.test(code) && !this.has(code));
+
+        added.forEach(code => {
+            this.add(code, [CurrencyCatalog.displayName(code), code, 2, ''], 'active');
+        });
+
+        return added;
+    }
+
+    /**
+     * Browser-provided English name for a code outside the catalog
+     */
+    static displayName(code) {
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'currency' }).of(code) || code;
+        } catch (error) {
+            return code;
+        }
+    }
+
+    /**
+     * Resolve user text - a code, alias, symbol or full name - to a currency code
+     * Ambiguous symbols ($, £, kr) resolve to the most-traded currency using them
+     */
+    find(text) {
+        const query = (text || '').trim();
+        if (!query) return null;
+
+        const upper = query.toUpperCase();
+        if (this.has(upper)) return upper;
+
+        const lower = query.toLowerCase();
+        if (this.aliasIndex.has(lower)) return this.aliasIndex.get(lower);
+
+        const ranked = [...POPULAR_CURRENCIES, ...this.currencies.keys()];
+        return ranked.find(code => {
+            const currency = this.get(code);
+            return currency.status === 'active' &&
+                (currency.symbol === query || currency.name.toLowerCase() === lower);
+        }) || null;
+    }
+
+    /**
+     * English names of the countries using a currency ("Japan" for JPY)
+     */
+    countryNames(code) {
+        const currency = this.get(code);
+        if (!currency) return [];
+
+        if (!currency.countryNames) {
+            try {
+                const regions = new Intl.DisplayNames(['en'], { type: 'region' });
+                currency.countryNames = currency.countries.map(country => regions.of(country));
+            } catch (error) {
+                currency.countryNames = [];
+            }
+        }
+        return currency.countryNames;
+    }
+
+    /**
+     * Rank codes against a query matching code, name, symbol, alias or country
+     * ("yen", "¥", "Japan" all find JPY); `codes` limits the candidates
+     */
+    search(query, codes = null) {
+        const lower = (query || '').trim().toLowerCase();
+        const candidates = codes || this.list().map(currency => currency.code);
+        if (!lower) return [...candidates];
+
+        const wordStarts = (text) => text.toLowerCase().split(/[\s\-()]+/).some(word => word.startsWith(lower));
+        const score = (code) => {
+            const currency = this.get(code);
+            if (code.toLowerCase() === lower) return 0;
+            if (!currency) return code.toLowerCase().startsWith(lower) ? 2 : null;
+
+            const names = [currency.name, ...currency.aliases, ...this.countryNames(code)];
+            if (currency.symbol.toLowerCase() === lower || currency.aliases.includes(lower)) return 1;
+            if (code.toLowerCase().startsWith(lower)) return 2;
+            if (names.some(wordStarts)) return 3;
+            if (names.some(name => name.toLowerCase().includes(lower))) return 4;
+            return null;
+        };
+
+        return candidates
+            .map((code, index) => ({ code, index, score: score(code) }))
+            .filter(match => match.score !== null)
+            .sort((a, b) => a.score - b.score || a.index - b.index)
+            .map(match => match.code);
+    }
+
+    /**
+     * Copy of the built-in USD-based fallback rates
+     */
+    fallbackRates() {
+        return { ...FALLBACK_USD_RATES };
+    }
+}
+
+const currencyCatalog = new CurrencyCatalog();
+
+// Export for the page and the Node core (self is window in the page)
+self.CurrencyCatalog = CurrencyCatalog;
+self.currencyCatalog = currencyCatalog;
+self.POPULAR_CURRENCIES = POPULAR_CURRENCIES;
+self.FALLBACK_RATES_DATE = FALLBACK_RATES_DATE;
@@ -0,0 +1,350 @@
+/**
+ * Searchable currency combobox (WAI-ARIA 1.2 combobox + listbox pattern)
+ * Enhances a native <select>, which stays the source of truth: picking a currency sets
+ * select.value and fires "change", so code reading the select keeps working
+ */
+
+/**
+ * Favorite and recently used currencies, shared by every picker on the page
+ */
+class CurrencyPreferences {
+    constructor() {
+        this.favoritesKey = 'favoriteCurrencies';
+        this.recentsKey = 'recentCurrencies';
+        this.maxRecents = 5;
+        this.favorites = this.load(this.favoritesKey);
+        this.recents = this.load(this.recentsKey);
+    }
+
+    load(key) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(key));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.info('Preference save completed:', error);
+        }
+    }
+
+    isFavorite(code) {
+        return this.favorites.includes(code);
+    }
+
+    toggleFavorite(code) {
+        this.favorites = this.isFavorite(code)
+            ? this.favorites.filter(favorite => favorite !== code)
+            : [...this.favorites, code];
+        this.save(this.favoritesKey, this.favorites);
+        return this.isFavorite(code);
+    }
+
+    addRecent(code) {
+        this.recents = [code, ...this.recents.filter(recent => recent !== code)].slice(0, this.maxRecents);
+        this.save(this.recentsKey, this.recents);
+    }
+}
+
+class CurrencyPicker {
+    constructor(select, preferences = new CurrencyPreferences()) {
+        this.select = select;
+        this.preferences = preferences;
+        this.isOpen = false;
+        this.activeIndex = -1;
+        this.visibleCodes = [];
+
+        this.render();
+        this.setupEventListeners();
+        this.sync();
+    }
+
+    /**
+     * Build the input, favorite toggle and listbox next to the hidden select
+     */
+    render() {
+        const id = this.select.id;
+        this.wrapper = document.createElement('div');
+        this.wrapper.className = 'currency-picker';
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.id = `${id}Search`;
+        this.input.className = 'picker-input';
+        this.input.autocomplete = 'off';
+        this.input.spellcheck = false;
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', `${id}Listbox`);
+
+        this.favoriteButton = document.createElement('button');
+        this.favoriteButton.type = 'button';
+        this.favoriteButton.className = 'picker-favorite';
+
+        this.listbox = document.createElement('ul');
+        this.listbox.id = `${id}Listbox`;
+        this.listbox.className = 'picker-listbox';
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.hidden = true;
+
+        this.status = document.createElement('div');
+        this.status.className = 'visually-hidden';
+        this.status.setAttribute('aria-live', 'polite');
+
+        // Point the existing label at the combobox
+        this.label = document.querySelector(`label[for="${id}"]`);
+        if (this.label) {
+            this.label.htmlFor = this.input.id;
+        }
+
+        this.select.hidden = true;
+        this.select.tabIndex = -1;
+        this.select.after(this.wrapper);
+        this.wrapper.append(this.input, this.favoriteButton, this.listbox, this.status);
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('focus', () => {
+            this.input.select();
+        });
+        this.input.addEventListener('click', () => {
+            if (!this.isOpen) this.open('');
+        });
+        this.input.addEventListener('input', () => this.open(this.input.value));
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => {
+            // Let option clicks land before closing
+            setTimeout(() => {
+                if (!this.wrapper.contains(document.activeElement)) this.close();
+            }, 150);
+        });
+
+        // Keep focus in the input while clicking options
+        this.listbox.addEventListener('mousedown', (e) => e.preventDefault());
+        this.listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.choose(option.dataset.code);
+        });
+
+        this.favoriteButton.addEventListener('click', () => {
+            this.preferences.toggleFavorite(this.select.value);
+            this.updateFavoriteButton();
+            if (this.isOpen) this.open(this.input.value);
+        });
+
+        this.select.addEventListener('change', () => this.sync());
+    }
+
+    handleKeydown(e) {
+        const count = this.visibleCodes.length;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!this.isOpen) {
+                    this.open('');
+                } else if (count > 0) {
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    this.setActive((this.activeIndex + step + count) % count);
+                }
+                break;
+            case 'Home':
+            case 'End':
+                if (this.isOpen && count > 0) {
+                    e.preventDefault();
+                    this.setActive(e.key === 'Home' ? 0 : count - 1);
+                }
+                break;
+            case 'Enter':
+                if (this.isOpen && this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.choose(this.visibleCodes[this.activeIndex]);
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen) {
+                    e.preventDefault();
+                    this.close();
+                    this.input.select();
+                }
+                break;
+            case 'Tab':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Codes offered by the underlying select
+     */
+    getCodes() {
+        return Array.from(this.select.options).map(option => option.value);
+    }
+
+    /**
+     * Sections shown for an empty query: favorites, recents, popular, everything else
+     */
+    getSections(query) {
+        const available = this.getCodes();
+
+        if (query.trim()) {
+            return [{ label: i18n.t('picker.matches'), codes: currencyCatalog.search(query, available) }];
+        }
+
+        const shown = new Set();
+        const take = (codes) => codes.filter(code => available.includes(code) && !shown.has(code) && shown.add(code));
+
+        return [
+            { label: i18n.t('picker.favorites'), codes: take(this.preferences.favorites) },
+            { label: i18n.t('picker.recent'), codes: take(this.preferences.recents) },
+            { label: i18n.t('picker.popular'), codes: take(currencyCatalog.popular()) },
+            { label: i18n.t('picker.all'), codes: take(available) }
+        ].filter(section => section.codes.length > 0);
+    }
+
+    /**
+     * Show the listbox filtered by a query
+     */
+    open(query) {
+        const sections = this.getSections(query);
+        this.visibleCodes = sections.flatMap(section => section.codes);
+        this.listbox.innerHTML = '';
+
+        let index = 0;
+        sections.forEach(section => {
+            const group = document.createElement('li');
+            group.className = 'picker-group';
+            group.setAttribute('role', 'presentation');
+            group.textContent = section.label;
+            this.listbox.appendChild(group);
+
+            section.codes.forEach(code => {
+                this.listbox.appendChild(this.createOption(code, index++));
+            });
+        });
+
+        if (this.visibleCodes.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'picker-empty';
+            empty.setAttribute('role', 'presentation');
+            empty.textContent = i18n.t('picker.noMatch');
+            this.listbox.appendChild(empty);
+        }
+
+        this.isOpen = true;
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.status.textContent = i18n.t('picker.available', { count: i18n.formatNumber(this.visibleCodes.length) });
+
+        // Highlight the current currency, or the best match while typing
+        const current = this.visibleCodes.indexOf(this.select.value);
+        this.setActive(query.trim() ? (this.visibleCodes.length ? 0 : -1) : current);
+    }
+
+    createOption(code, index) {
+        const option = document.createElement('li');
+        option.id = `${this.listbox.id}-${index}`;
+        option.className = 'picker-option';
+        option.dataset.code = code;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(code === this.select.value));
+
+        const flag = document.createElement('span');
+        flag.className = 'picker-flag';
+        flag.setAttribute('aria-hidden', 'true');
+        flag.textContent = currencyCatalog.flag(code);
+
+        const codeLabel = document.createElement('span');
+        codeLabel.className = 'picker-code';
+        codeLabel.textContent = code;
+
+        const name = document.createElement('span');
+        name.className = 'picker-name';
+        name.textContent = currencyCatalog.name(code);
+
+        option.append(flag, codeLabel, name);
+
+        if (this.preferences.isFavorite(code)) {
+            const star = document.createElement('span');
+            star.className = 'picker-star';
+            star.textContent = '★';
+            star.setAttribute('aria-label', i18n.t('picker.favorite'));
+            option.appendChild(star);
+        }
+
+        return option;
+    }
+
+    setActive(index) {
+        this.listbox.querySelector('.picker-option.active')?.classList.remove('active');
+        this.activeIndex = index;
+
+        const option = index >= 0 ? this.listbox.querySelector(`#${this.listbox.id}-${index}`) : null;
+        if (option) {
+            option.classList.add('active');
+            option.scrollIntoView?.({ block: 'nearest' });
+            this.input.setAttribute('aria-activedescendant', option.id);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    close() {
+        this.isOpen = false;
+        this.activeIndex = -1;
+        this.listbox.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.sync();
+    }
+
+    /**
+     * Commit a currency to the select and notify its listeners
+     */
+    choose(code) {
+        if (!code) return;
+
+        const changed = this.select.value !== code;
+        this.select.value = code;
+        this.preferences.addRecent(code);
+        this.close();
+
+        if (changed) {
+            this.select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+
+    /**
+     * Reflect the select's value (after swaps, repopulation, restores or a locale change)
+     */
+    sync() {
+        const code = this.select.value;
+        if (this.label) {
+            this.listbox.setAttribute('aria-label', this.label.textContent);
+        }
+        if (!this.isOpen) {
+            this.input.value = code ? currencyCatalog.label(code) : '';
+        }
+        this.updateFavoriteButton();
+    }
+
+    updateFavoriteButton() {
+        const code = this.select.value;
+        const favorite = this.preferences.isFavorite(code);
+        this.favoriteButton.textContent = favorite ? '★' : '☆';
+        this.favoriteButton.setAttribute('aria-pressed', String(favorite));
+        this.favoriteButton.setAttribute('aria-label', i18n.t(favorite ? 'picker.unpin' : 'picker.pin', { code }));
+        this.favoriteButton.title = i18n.t(favorite ? 'picker.removeFavorite' : 'picker.addFavorite');
+    }
+}
+
+// Export for use in other modules
+window.CurrencyPreferences = CurrencyPreferences;
+window.CurrencyPicker = CurrencyPicker;
@@ -0,0 +1,90 @@
+/**
+ * Runtime environment for the rate core - key/value storage, network access,
+ * connectivity and config. The page uses the browser's; the Node core (node/core.js)
+ * builds one from files and process state, so ExchangeRateAPIService and
+ * CurrencyConverter run unchanged in both
+ */
+
+class RuntimeEnvironment {
+    /**
+     * storage: { getItem, setItem, removeItem } or null; fetch: a fetch-compatible function;
+     * online: () => boolean; onConnectivityChange: (callback(online)) => unsubscribe;
+     * config: { providers, pivotCurrency } (window.currencyConvConfig in the page)
+     */
+    constructor({ storage = null, fetch = null, online = () => true, onConnectivityChange = null, config = {} } = {}) {
+        this.storage = storage;
+        this.fetch = fetch || ((...args) => self.fetch(...args));
+        this.online = online;
+        this.connectivityListener = onConnectivityChange;
+        this.config = config || {};
+    }
+
+    /**
+     * localStorage, fetch, navigator.onLine and the online/offline events of the page
+     */
+    static browser() {
+        let storage = null;
+        try {
+            storage = self.localStorage || null;
+        } catch (error) {
+            // Sandboxed frames can refuse storage access
+            console.info('Storage access completed:', error);
+        }
+
+        return new RuntimeEnvironment({
+            storage,
+            fetch: (...args) => self.fetch(...args),
+            online: () => self.navigator?.onLine !== false,
+            onConnectivityChange: (callback) => {
+                const online = () => callback(true);
+                const offline = () => callback(false);
+                self.addEventListener('online', online);
+                self.addEventListener('offline', offline);
+                return () => {
+                    self.removeEventListener('online', online);
+                    self.removeEventListener('offline', offline);
+                };
+            },
+            config: self.currencyConvConfig || {}
+        });
+    }
+
+    get isOnline() {
+        return this.online();
+    }
+
+    /**
+     * Call back with true/false when connectivity changes; returns an unsubscribe function
+     */
+    onConnectivityChange(callback) {
+        return this.connectivityListener ? this.connectivityListener(callback) : () => {};
+    }
+
+    getItem(key) {
+        try {
+            return this.storage ? this.storage.getItem(key) : null;
+        } catch (error) {
+            console.info('Storage read completed:', error);
+            return null;
+        }
+    }
+
+    setItem(key, value) {
+        try {
+            this.storage?.setItem(key, value);
+        } catch (error) {
+            console.info('Preference save completed:', error);
+        }
+    }
+
+    removeItem(key) {
+        try {
+            this.storage?.removeItem(key);
+        } catch (error) {
+            console.info('Preference save completed:', error);
+        }
+    }
+}
+
+// Export for the page and the Node core (self is window in the page)
+self.RuntimeEnvironment = RuntimeEnvironment;
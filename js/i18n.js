@@ -0,0 +1,195 @@
+/**
+ * Locale setting and localized UI text
+ * The locale (the browser's languages unless the user picks one) drives number, currency
+ * and date formatting - including native digits such as Arabic-Indic in ar-EG - and
+ * selects the UI language from I18N_MESSAGES and the text direction
+ */
+
+// Locales offered in the settings menu; any BCP 47 tag works for formatting
+const I18N_LOCALE_OPTIONS = [
+    'en-US', 'en-GB', 'es-ES', 'de-DE', 'fr-FR',
+    'ar-EG', 'ar-SA', 'he-IL', 'hi-IN', 'ja-JP'
+];
+
+const I18N_RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+class I18n {
+    /**
+     * preference: 'auto' or a locale tag; defaults to the saved choice (the service
+     * worker, which has no localStorage, passes the one saved with the watch list)
+     */
+    constructor(messages = I18N_MESSAGES, preference = null) {
+        this.messages = messages;
+        this.storageKey = 'uiLocale';
+        this.listeners = [];
+        this.preference = preference || this.loadPreference();
+        this.locale = I18n.resolve(this.preference);
+    }
+
+    /**
+     * Saved choice: 'auto' or a locale tag
+     */
+    loadPreference() {
+        try {
+            return localStorage.getItem(this.storageKey) || 'auto';
+        } catch (error) {
+            return 'auto';
+        }
+    }
+
+    /**
+     * First browser language the formatting APIs support
+     */
+    static detect() {
+        const candidates = navigator.languages?.length ? navigator.languages : [navigator.language];
+        return candidates.find(tag => tag && Intl.NumberFormat.supportedLocalesOf(tag).length > 0) || 'en-US';
+    }
+
+    static resolve(preference) {
+        const tag = !preference || preference === 'auto' ? I18n.detect() : preference;
+        try {
+            return Intl.getCanonicalLocales(tag)[0];
+        } catch (error) {
+            return 'en-US';
+        }
+    }
+
+    /**
+     * Use a locale tag, or 'auto' for the browser's; listeners re-render in order of registration
+     */
+    setLocale(preference) {
+        this.preference = preference || 'auto';
+        this.locale = I18n.resolve(this.preference);
+
+        try {
+            if (this.preference === 'auto') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, this.preference);
+            }
+        } catch (error) {
+            console.info('Preference save completed:', error);
+        }
+
+        this.listeners.forEach(callback => callback(this.locale));
+    }
+
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    get language() {
+        return this.locale.split('-')[0].toLowerCase();
+    }
+
+    /**
+     * Language of the UI text: the locale's when translated, English otherwise
+     */
+    get messageLanguage() {
+        return this.messages[this.language] ? this.language : 'en';
+    }
+
+    /**
+     * Locale for grammar in the UI text (plurals, relative times), so an untranslated
+     * locale's English text does not mix in words of another language
+     */
+    get textLocale() {
+        return this.messageLanguage === this.language ? this.locale : this.messageLanguage;
+    }
+
+    get dir() {
+        return I18N_RTL_LANGUAGES.includes(this.language) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Translated text for a key with {placeholders} filled in; falls back to English, then the key
+     */
+    t(key, params = {}) {
+        const template = this.messages[this.messageLanguage]?.[key] ?? this.messages.en?.[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+    }
+
+    /**
+     * Plural-aware text: key.one, key.two, key.few ... per the language's rules, else key.other
+     */
+    plural(key, count, params = {}) {
+        const category = new Intl.PluralRules(this.textLocale).select(count);
+        const messages = this.messages[this.messageLanguage] || {};
+        const variant = messages[`${key}.${category}`] ? category : 'other';
+        return this.t(`${key}.${variant}`, { count: this.formatNumber(count), ...params });
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+    }
+
+    formatTime(value) {
+        return this.formatDateTime(value, { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Calendar date ("2024-01-05") without shifting it into the local time zone
+     */
+    formatDate(isoDate) {
+        return this.formatDateTime(`${isoDate}T00:00:00Z`, { dateStyle: 'medium', timeZone: 'UTC' });
+    }
+
+    /**
+     * "5 minutes ago", "yesterday" ... in the UI language
+     */
+    formatAge(ageMs) {
+        if (ageMs === null || ageMs === undefined) return this.t('age.unknown');
+
+        const format = new Intl.RelativeTimeFormat(this.textLocale, { numeric: 'auto' });
+        const minutes = Math.floor(ageMs / 60000);
+        if (minutes < 60) return format.format(-minutes, 'minute');
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return format.format(-hours, 'hour');
+
+        return format.format(-Math.floor(hours / 24), 'day');
+    }
+
+    /**
+     * A locale's own name for itself ("العربية (مصر)")
+     */
+    static displayName(tag) {
+        try {
+            return new Intl.DisplayNames([tag], { type: 'language' }).of(tag) || tag;
+        } catch (error) {
+            return tag;
+        }
+    }
+
+    /**
+     * Set lang/dir and translate marked elements: data-i18n (text) and
+     * data-i18n-placeholder, data-i18n-title, data-i18n-aria-label (attributes)
+     */
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.dir;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+}
+
+const i18n = new I18n();
+
+// Export for the page and the service worker (self is window in the page)
+self.I18N_LOCALE_OPTIONS = I18N_LOCALE_OPTIONS;
+self.I18n = I18n;
+self.i18n = i18n;
@@ -0,0 +1,117 @@
+/**
+ * IndexedDB database with an in-memory fallback, the base of the rate store and the
+ * alert store. Shared by the page, the service worker (loaded there with importScripts)
+ * and the Node core, so it only relies on `self`; where IndexedDB is missing or refused
+ * the same calls run against Maps that last as long as the object
+ */
+
+class IndexedStore {
+    /**
+     * stores: { name: { keyPath, autoIncrement } }, as the migrations create them
+     * migrations: one function (db, transaction) per schema version, each run once on upgrade
+     */
+    constructor(dbName, stores, migrations) {
+        this.dbName = dbName;
+        this.version = migrations.length;
+        this.stores = stores;
+        this.migrations = migrations;
+        this.dbPromise = null;
+        this.memory = {};
+        this.nextIds = {};
+        Object.keys(stores).forEach(name => {
+            this.memory[name] = new Map();
+            this.nextIds[name] = 1;
+        });
+    }
+
+    open() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = (event) => {
+                    this.migrations
+                        .slice(event.oldVersion)
+                        .forEach(migrate => migrate(request.result, request.transaction));
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Private modes can refuse IndexedDB; fall back to memory
+                console.info(`${this.dbName} open completed:`, error);
+                return null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against a store and resolve with its result
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        if (!db) {
+            return operation(this.memoryStore(storeName)).result;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            // QuotaExceededError aborts the transaction without an error event
+            const fail = () => reject(transaction.error || new Error(`${storeName} transaction aborted`));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+    }
+
+    /**
+     * Map-backed stand-in exposing the few IDBObjectStore calls the stores use
+     */
+    memoryStore(storeName) {
+        const map = this.memory[storeName];
+        const { keyPath, autoIncrement = false } = this.stores[storeName];
+        return {
+            get: (key) => ({ result: map.get(key) }),
+            getAll: () => ({ result: Array.from(map.values()) }),
+            put: (value) => {
+                const record = autoIncrement && value[keyPath] === undefined
+                    ? { ...value, [keyPath]: this.nextIds[storeName]++ }
+                    : value;
+                map.set(record[keyPath], record);
+                return { result: record[keyPath] };
+            },
+            delete: (key) => ({ result: map.delete(key) }),
+            clear: () => ({ result: map.clear() })
+        };
+    }
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clearStore(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+// Export for the page, the service worker and the Node core (self is window in the page)
+self.IndexedStore = IndexedStore;
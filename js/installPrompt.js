@@ -0,0 +1,89 @@
+/**
+ * Custom install prompt and home screen shortcuts
+ * Holds the browser's beforeinstallprompt event until the user clicks "Install app",
+ * and saves favorite pairs that the service worker turns into manifest shortcuts
+ */
+
+class InstallPrompt {
+    constructor(elements, store = null) {
+        this.elements = elements;
+        this.store = store;
+        this.deferredPrompt = null;
+        this.shortcutsKey = 'appShortcuts';
+        this.maxShortcuts = 4;
+        this.savedShortcuts = null;
+
+        this.setupEventListeners();
+        this.updateButton();
+    }
+
+    setupEventListeners() {
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.deferredPrompt = e;
+            this.updateButton();
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            this.updateButton();
+        });
+
+        this.elements.button?.addEventListener('click', () => this.prompt());
+    }
+
+    /**
+     * Running as an installed app (home screen / standalone window)
+     */
+    isInstalled() {
+        return window.matchMedia?.('(display-mode: standalone)').matches || navigator.standalone === true;
+    }
+
+    updateButton() {
+        if (this.elements.button) {
+            this.elements.button.hidden = !this.deferredPrompt || this.isInstalled();
+        }
+    }
+
+    /**
+     * Show the browser install dialog; resolves with 'accepted', 'dismissed' or null
+     */
+    async prompt() {
+        if (!this.deferredPrompt) return null;
+
+        const promptEvent = this.deferredPrompt;
+        this.deferredPrompt = null;
+        this.updateButton();
+
+        try {
+            await promptEvent.prompt();
+            const choice = await promptEvent.userChoice;
+            return choice.outcome;
+        } catch (error) {
+            console.info('Install prompt completed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the pairs ([{ from, to }]) offered as app shortcuts; the manifest's
+     * defaults apply until there are any
+     */
+    async saveShortcuts(pairs) {
+        const shortcuts = pairs
+            .filter(pair => pair.from !== pair.to)
+            .slice(0, this.maxShortcuts);
+        const serialized = JSON.stringify(shortcuts);
+        if (!this.store || serialized === this.savedShortcuts) return;
+
+        this.savedShortcuts = serialized;
+        try {
+            await this.store.putMeta(this.shortcutsKey, shortcuts);
+        } catch (error) {
+            console.info('Shortcut save completed:', error);
+        }
+    }
+}
+
+// Export for use in other modules
+window.InstallPrompt = InstallPrompt;
@@ -0,0 +1,204 @@
+/**
+ * Exact decimal arithmetic and ISO 4217 minor-unit rounding
+ * Amounts are held as BigInt units plus a decimal scale, so 0.1 + 0.2 is exactly 0.3
+ */
+
+const ROUNDING_MODES = {
+    HALF_UP: 'half-up',       // Ties away from zero (commercial rounding)
+    HALF_EVEN: 'half-even',   // Ties to the even neighbour (banker's rounding)
+    TRUNCATE: 'truncate'      // Drop extra digits (toward zero)
+};
+
+// Precision used for exchange rates and intermediate cross-rate results
+const RATE_SCALE = 12;
+
+class Decimal {
+    constructor(units, scale = 0) {
+        this.units = BigInt(units);
+        this.scale = scale;
+    }
+
+    /**
+     * Create a Decimal from a number, numeric string or Decimal
+     * Numbers are read through their shortest round-trip string, so 0.1 becomes exactly 0.1
+     */
+    static from(value) {
+        if (value instanceof Decimal) return value;
+
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new RangeError(`Invalid decimal value: ${value}`);
+        }
+
+        const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+        if (!match || (!match[2] && !match[3])) {
+            throw new RangeError(`Invalid decimal value: ${value}`);
+        }
+
+        const [, sign, integer = '', fraction = '', exponent = '0'] = match;
+        let units = BigInt(`${integer}${fraction}` || '0');
+        let scale = fraction.length - parseInt(exponent, 10);
+
+        if (scale < 0) {
+            units *= 10n ** BigInt(-scale);
+            scale = 0;
+        }
+
+        return new Decimal(sign === '-' ? -units : units, scale);
+    }
+
+    /**
+     * Integer division of BigInts with the given rounding mode
+     */
+    static divideRounded(numerator, denominator, mode = ROUNDING_MODES.HALF_EVEN) {
+        if (denominator === 0n) {
+            throw new RangeError('Division by zero');
+        }
+        if (!Object.values(ROUNDING_MODES).includes(mode)) {
+            throw new RangeError(`Unknown rounding mode: ${mode}`);
+        }
+
+        const quotient = numerator / denominator; // Truncates toward zero
+        const remainder = numerator % denominator;
+        if (remainder === 0n || mode === ROUNDING_MODES.TRUNCATE) {
+            return quotient;
+        }
+
+        const direction = (numerator < 0n) !== (denominator < 0n) ? -1n : 1n;
+        const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+        const absDenominator = denominator < 0n ? -denominator : denominator;
+
+        if (twiceRemainder > absDenominator) {
+            return quotient + direction;
+        }
+        if (twiceRemainder === absDenominator) {
+            if (mode === ROUNDING_MODES.HALF_UP) return quotient + direction;
+            if (mode === ROUNDING_MODES.HALF_EVEN) return quotient % 2n === 0n ? quotient : quotient + direction;
+        }
+
+        return quotient;
+    }
+
+    /**
+     * Return this value expressed with at least the given scale
+     */
+    withScale(scale) {
+        if (scale <= this.scale) return this;
+        return new Decimal(this.units * 10n ** BigInt(scale - this.scale), scale);
+    }
+
+    add(other) {
+        const value = Decimal.from(other);
+        const scale = Math.max(this.scale, value.scale);
+        return new Decimal(this.withScale(scale).units + value.withScale(scale).units, scale);
+    }
+
+    subtract(other) {
+        return this.add(Decimal.from(other).negate());
+    }
+
+    multiply(other) {
+        const value = Decimal.from(other);
+        return new Decimal(this.units * value.units, this.scale + value.scale);
+    }
+
+    /**
+     * Divide, rounding the result to `scale` decimal places
+     */
+    divide(other, scale = RATE_SCALE, mode = ROUNDING_MODES.HALF_EVEN) {
+        const value = Decimal.from(other);
+        const shift = scale + value.scale - this.scale;
+
+        const numerator = shift >= 0 ? this.units * 10n ** BigInt(shift) : this.units;
+        const denominator = shift >= 0 ? value.units : value.units * 10n ** BigInt(-shift);
+
+        return new Decimal(Decimal.divideRounded(numerator, denominator, mode), scale);
+    }
+
+    /**
+     * Round to exactly `scale` decimal places
+     */
+    round(scale, mode = ROUNDING_MODES.HALF_UP) {
+        if (scale >= this.scale) return this.withScale(scale);
+
+        const divisor = 10n ** BigInt(this.scale - scale);
+        return new Decimal(Decimal.divideRounded(this.units, divisor, mode), scale);
+    }
+
+    negate() {
+        return new Decimal(-this.units, this.scale);
+    }
+
+    compare(other) {
+        const value = Decimal.from(other);
+        const scale = Math.max(this.scale, value.scale);
+        const a = this.withScale(scale).units;
+        const b = value.withScale(scale).units;
+        return a === b ? 0 : (a < b ? -1 : 1);
+    }
+
+    isZero() {
+        return this.units === 0n;
+    }
+
+    isNegative() {
+        return this.units < 0n;
+    }
+
+    /**
+     * Plain decimal string keeping trailing zeros of the scale ("156", "0.840")
+     */
+    toString() {
+        const negative = this.units < 0n;
+        const digits = (negative ? -this.units : this.units).toString().padStart(this.scale + 1, '0');
+        const integer = digits.slice(0, digits.length - this.scale);
+        const fraction = this.scale > 0 ? `.${digits.slice(-this.scale)}` : '';
+        return `${negative ? '-' : ''}${integer}${fraction}`;
+    }
+
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Currency-aware helpers on top of Decimal
+ */
+class Money {
+    /**
+     * ISO 4217 minor units (decimal places) for a currency code
+     */
+    static minorUnits(currency) {
+        return currencyCatalog.minorUnits(currency);
+    }
+
+    /**
+     * Round an amount to the currency's minor unit
+     */
+    static round(amount, currency, mode = ROUNDING_MODES.HALF_UP) {
+        return Decimal.from(amount).round(Money.minorUnits(currency), mode);
+    }
+
+    /**
+     * Exact cross rate toRate / fromRate from two rates quoted against the same base
+     */
+    static crossRate(fromRate, toRate) {
+        return Decimal.from(toRate).divide(fromRate, RATE_SCALE, ROUNDING_MODES.HALF_EVEN);
+    }
+
+    /**
+     * Convert an amount with a rate and round to the target currency
+     */
+    static convert(amount, rate, toCurrency, mode = ROUNDING_MODES.HALF_UP) {
+        return Money.round(Decimal.from(amount).multiply(rate), toCurrency, mode);
+    }
+}
+
+// Export for the page and the Node core (self is window in the page)
+self.Decimal = Decimal;
+self.Money = Money;
+self.ROUNDING_MODES = ROUNDING_MODES;
+self.RATE_SCALE = RATE_SCALE;
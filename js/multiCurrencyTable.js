@@ -0,0 +1,183 @@
+/**
+ * "Convert to many" table - one source amount into a saved list of target currencies
+ * Rows are recalculated from the shared CurrencyConverter state
+ */
+
+class MultiCurrencyTable {
+    constructor(converter, elements) {
+        this.converter = converter;
+        this.elements = elements;
+        this.storageKey = 'multiCurrencyTargets';
+        this.defaultTargets = ['EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF'];
+        this.targets = this.loadTargets();
+        this.source = { amount: 0, fromCurrency: 'USD' };
+        this.updateId = 0;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Wire row actions (event delegation) and the add-currency control
+     */
+    setupEventListeners() {
+        this.elements.body?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const code = button.dataset.currency;
+            if (button.dataset.action === 'remove') this.removeTarget(code);
+            if (button.dataset.action === 'up') this.moveTarget(code, -1);
+            if (button.dataset.action === 'down') this.moveTarget(code, 1);
+        });
+
+        this.elements.addButton?.addEventListener('click', () => {
+            this.addTarget(this.elements.addSelect?.value);
+        });
+
+        i18n.onChange(() => this.refresh());
+    }
+
+    /**
+     * Saved target list, or the defaults on first use
+     */
+    loadTargets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [...this.defaultTargets];
+        } catch (error) {
+            return [...this.defaultTargets];
+        }
+    }
+
+    saveTargets() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.targets));
+        } catch (error) {
+            console.info('Preference save completed:', error);
+        }
+    }
+
+    getTargets() {
+        return [...this.targets];
+    }
+
+    addTarget(code) {
+        if (!code || this.targets.includes(code)) return;
+        this.targets.push(code);
+        this.saveTargets();
+        this.refresh();
+    }
+
+    removeTarget(code) {
+        this.targets = this.targets.filter(target => target !== code);
+        this.saveTargets();
+        this.refresh();
+    }
+
+    /**
+     * Move a row up (-1) or down (+1)
+     */
+    moveTarget(code, offset) {
+        const index = this.targets.indexOf(code);
+        const newIndex = index + offset;
+        if (index === -1 || newIndex < 0 || newIndex >= this.targets.length) return;
+
+        [this.targets[index], this.targets[newIndex]] = [this.targets[newIndex], this.targets[index]];
+        this.saveTargets();
+        this.refresh();
+
+        // Keep keyboard focus on the moved row
+        const selector = `button[data-action="${offset < 0 ? 'up' : 'down'}"][data-currency="${code}"]`;
+        this.elements.body?.querySelector(selector)?.focus();
+    }
+
+    /**
+     * Recalculate all rows for a source amount and currency
+     */
+    async update(amount, fromCurrency) {
+        this.source = { amount, fromCurrency };
+        await this.refresh();
+    }
+
+    /**
+     * Recalculate rows for the last known source
+     */
+    async refresh() {
+        const { amount, fromCurrency } = this.source;
+        const updateId = ++this.updateId;
+
+        const results = await this.converter.convertToMany(amount, fromCurrency, this.targets);
+
+        // A newer update started while this one was converting
+        if (updateId !== this.updateId) return;
+        this.render(results, fromCurrency);
+    }
+
+    /**
+     * Draw the table rows
+     */
+    render(results, fromCurrency) {
+        const body = this.elements.body;
+        if (!body) return;
+
+        body.innerHTML = '';
+
+        if (results.length === 0) {
+            const row = body.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 4;
+            cell.className = 'multi-empty';
+            cell.textContent = i18n.t('multi.empty');
+            return;
+        }
+
+        results.forEach((result, index) => {
+            const row = body.insertRow();
+            row.dataset.currency = result.toCurrency;
+
+            const codeCell = row.insertCell();
+            codeCell.className = 'multi-code';
+            codeCell.textContent = result.toCurrency;
+
+            const amountCell = row.insertCell();
+            amountCell.className = 'multi-amount';
+            amountCell.textContent = result.error
+                ? i18n.t('multi.unavailable')
+                : this.converter.formatCurrency(result.convertedValue ?? result.convertedAmount, result.toCurrency);
+            if (result.error) amountCell.title = result.code ? i18n.t(result.code, result.params) : result.error;
+
+            const rateCell = row.insertCell();
+            rateCell.className = 'multi-rate';
+            rateCell.textContent = result.error
+                ? ''
+                : i18n.t('multi.rateFrom', {
+                    from: fromCurrency,
+                    rate: this.converter.formatCurrency(result.exchangeRateValue ?? result.exchangeRate)
+                });
+
+            const actionsCell = row.insertCell();
+            actionsCell.className = 'multi-actions';
+            actionsCell.append(
+                this.createButton('up', result.toCurrency, '↑', i18n.t('multi.moveUp', { code: result.toCurrency }), index === 0),
+                this.createButton('down', result.toCurrency, '↓', i18n.t('multi.moveDown', { code: result.toCurrency }), index === results.length - 1),
+                this.createButton('remove', result.toCurrency, '✕', i18n.t('multi.remove', { code: result.toCurrency }), false)
+            );
+        });
+    }
+
+    createButton(action, code, label, title, disabled) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `multi-btn ${action}`;
+        button.dataset.action = action;
+        button.dataset.currency = code;
+        button.textContent = label;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.disabled = disabled;
+        return button;
+    }
+}
+
+// Export for use in other modules
+window.MultiCurrencyTable = MultiCurrencyTable;
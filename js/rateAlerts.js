@@ -0,0 +1,309 @@
+/**
+ * Rate alerts - threshold and daily-move alerts stored in IndexedDB
+ * Shared by the page and the service worker (loaded there with importScripts),
+ * so it only relies on `self`, IndexedStore and the Notifications API
+ */
+
+const ALERT_TYPES = {
+    BELOW: 'below',   // Rate drops below threshold
+    ABOVE: 'above',   // Rate rises above threshold
+    CHANGE: 'change'  // Rate moves more than threshold % within 24 hours
+};
+
+const ALERT_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * An alert that cannot be saved; code is an i18n key ('alerts.error.pair' ...)
+ */
+class RateAlertError extends Error {
+    constructor(code, params = {}) {
+        super(code);
+        this.name = 'RateAlertError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * Schema migrations for the alert database, one per version
+ */
+const ALERT_STORE_MIGRATIONS = [
+    // v1: alerts and their trigger history
+    (db) => {
+        db.createObjectStore('alerts', { keyPath: 'id' });
+        const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+        history.createIndex('at', 'at');
+    }
+];
+
+const ALERT_STORE_SCHEMA = {
+    alerts: { keyPath: 'id' },
+    history: { keyPath: 'id', autoIncrement: true }
+};
+
+/**
+ * Alerts and the history of triggered ones (IndexedDB, or memory where it is unavailable)
+ */
+class RateAlertStore extends IndexedStore {
+    constructor(dbName = 'currencyconv-alerts') {
+        super(dbName, ALERT_STORE_SCHEMA, ALERT_STORE_MIGRATIONS);
+    }
+}
+
+/**
+ * Creates, evaluates and records rate alerts
+ * History keeps the outcome (pair, type, rate, change), worded on display
+ * in the language of `text` (an I18n)
+ */
+class RateAlertManager {
+    constructor(store = new RateAlertStore(), text = self.i18n) {
+        this.store = store;
+        this.text = text;
+        this.listeners = [];
+        this.historyLimit = 100;
+    }
+
+    /**
+     * Listen for triggered alerts (page UI refresh)
+     */
+    onTrigger(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    async list() {
+        const alerts = await this.store.getAll('alerts');
+        return alerts.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Add an alert: { from, to, type: below|above|change, threshold }
+     */
+    async add({ from, to, type, threshold }) {
+        const value = Number(threshold);
+
+        if (!/^[A-Z]{3}$/.test(from) || !/^[A-Z]{3}$/.test(to) || from === to) {
+            throw new RateAlertError('alerts.error.pair');
+        }
+        if (!Object.values(ALERT_TYPES).includes(type)) {
+            throw new RateAlertError('alerts.error.type', { type });
+        }
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new RateAlertError('alerts.error.threshold');
+        }
+
+        const alert = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            from,
+            to,
+            type,
+            threshold: value,
+            enabled: true,
+            createdAt: new Date().toISOString(),
+            triggered: false,       // Level alerts fire once per crossing
+            lastTriggeredAt: null,
+            lastRate: null,
+            samples: []             // Recent rates for daily-move alerts
+        };
+
+        await this.store.put('alerts', alert);
+        return alert;
+    }
+
+    remove(id) {
+        return this.store.delete('alerts', id);
+    }
+
+    async setEnabled(id, enabled) {
+        const alert = (await this.list()).find(candidate => candidate.id === id);
+        if (!alert) return null;
+
+        alert.enabled = enabled;
+        alert.triggered = false;
+        await this.store.put('alerts', alert);
+        return alert;
+    }
+
+    /**
+     * Check every enabled alert against a fresh rate table { base, rates }
+     * Returns the history entries for alerts that fired
+     */
+    async evaluate(table, now = Date.now()) {
+        const alerts = await this.list();
+        const fired = [];
+
+        for (const alert of alerts) {
+            if (!alert.enabled) continue;
+
+            const rate = RateAlertManager.pairRate(table, alert.from, alert.to);
+            if (rate === null) continue;
+
+            const outcome = this.check(alert, rate, now);
+            await this.store.put('alerts', outcome.alert);
+
+            if (outcome.fired) {
+                const entry = {
+                    alertId: alert.id,
+                    pair: `${alert.from}/${alert.to}`,
+                    type: alert.type,
+                    threshold: alert.threshold,
+                    rate,
+                    change: outcome.fired.change,
+                    at: new Date(now).toISOString()
+                };
+                await this.store.put('history', entry);
+                fired.push(entry);
+            }
+        }
+
+        if (fired.length > 0) {
+            await this.trimHistory();
+            await Promise.all(fired.map(entry => this.notify(entry)));
+            this.listeners.forEach(listener => listener(fired));
+        }
+
+        return fired;
+    }
+
+    /**
+     * Decide whether one alert fires for the current rate
+     * fired: null, or { change } with the signed 24h move in percent (null for level alerts)
+     */
+    check(alert, rate, now) {
+        const updated = { ...alert, lastRate: rate };
+        let fired = null;
+
+        if (alert.type === ALERT_TYPES.CHANGE) {
+            const samples = (alert.samples || []).filter(sample => now - sample.at <= ALERT_DAY_MS);
+            const reference = samples[0];
+            const cooledDown = !alert.lastTriggeredAt || now - new Date(alert.lastTriggeredAt).getTime() > ALERT_DAY_MS;
+
+            if (reference && cooledDown) {
+                const change = ((rate - reference.rate) / reference.rate) * 100;
+                if (Math.abs(change) >= alert.threshold) {
+                    fired = { change };
+                }
+            }
+
+            updated.samples = [...samples, { rate, at: now }].slice(-200);
+        } else {
+            const conditionMet = alert.type === ALERT_TYPES.BELOW ? rate < alert.threshold : rate > alert.threshold;
+
+            if (conditionMet && !alert.triggered) {
+                fired = { change: null };
+            }
+            updated.triggered = conditionMet;
+        }
+
+        if (fired) {
+            updated.lastTriggeredAt = new Date(now).toISOString();
+        }
+
+        return { alert: updated, fired };
+    }
+
+    async getHistory(limit = 50) {
+        const history = await this.store.getAll('history');
+        return history.sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit);
+    }
+
+    clearHistory() {
+        return this.store.clearStore('history');
+    }
+
+    /**
+     * Keep the history bounded
+     */
+    async trimHistory() {
+        const history = await this.store.getAll('history');
+        const excess = history
+            .sort((a, b) => b.at.localeCompare(a.at))
+            .slice(this.historyLimit);
+
+        for (const entry of excess) {
+            await this.store.delete('history', entry.id);
+        }
+    }
+
+    /**
+     * Rate of one unit of `from` in `to` from a table quoted against any base
+     */
+    static pairRate(table, from, to) {
+        if (!table || !table.rates) return null;
+
+        const fromRate = from === table.base ? 1 : table.rates[from];
+        const toRate = to === table.base ? 1 : table.rates[to];
+
+        if (!fromRate || !toRate) return null;
+        return toRate / fromRate;
+    }
+
+    /**
+     * Number format options for a rate: 2 decimals from 100 up, else 5 significant digits
+     */
+    static rateFormat(rate) {
+        return rate >= 100
+            ? { minimumFractionDigits: 2, maximumFractionDigits: 2 }
+            : { minimumSignificantDigits: 5, maximumSignificantDigits: 5 };
+    }
+
+    formatRate(rate) {
+        return this.text.formatNumber(rate, RateAlertManager.rateFormat(rate));
+    }
+
+    /**
+     * One history entry as a sentence in the UI language
+     */
+    describe(entry) {
+        const params = {
+            pair: entry.pair,
+            rate: this.formatRate(entry.rate),
+            threshold: this.text.formatNumber(entry.threshold)
+        };
+
+        if (entry.type !== ALERT_TYPES.CHANGE) {
+            return this.text.t(`alerts.fired.${entry.type}`, params);
+        }
+
+        const change = this.text.formatNumber(Math.abs(entry.change), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return this.text.t(entry.change > 0 ? 'alerts.fired.up' : 'alerts.fired.down', { ...params, change });
+    }
+
+    /**
+     * Show a system notification if permitted (page or service worker)
+     */
+    async notify(entry) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+
+        const title = this.text.t('alerts.notificationTitle', { pair: entry.pair });
+        const options = {
+            body: this.describe(entry),
+            tag: `rate-alert-${entry.alertId}`,
+            data: { url: '/' }
+        };
+
+        try {
+            // Service worker scope, or a page with an active worker
+            const registration = self.registration ||
+                (self.navigator?.serviceWorker ? await self.navigator.serviceWorker.getRegistration() : null);
+
+            if (registration) {
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } catch (error) {
+            console.info('Notification completed:', error);
+        }
+    }
+}
+
+// Export for the page and the service worker (self is window in the page)
+self.ALERT_TYPES = ALERT_TYPES;
+self.RateAlertError = RateAlertError;
+self.RateAlertStore = RateAlertStore;
+self.RateAlertManager = RateAlertManager;
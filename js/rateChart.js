@@ -0,0 +1,131 @@
+/**
+ * Lightweight SVG line chart for exchange rate history
+ * No external charting dependency - renders a single series with hover tooltip
+ */
+
+class RateChart {
+    constructor(container) {
+        this.container = container;
+        this.width = 600;
+        this.height = 220;
+        this.padding = { top: 16, right: 16, bottom: 28, left: 64 };
+        this.points = [];
+        this.formatRate = (rate) => rate.toFixed(4);
+    }
+
+    /**
+     * Render a series of { date, rate } points
+     */
+    render(points, options = {}) {
+        if (!this.container) return;
+
+        this.points = points || [];
+        if (options.formatRate) {
+            this.formatRate = options.formatRate;
+        }
+
+        if (this.points.length < 2) {
+            this.renderMessage('Not enough data to draw a chart');
+            return;
+        }
+
+        const { width, height, padding } = this;
+        const rates = this.points.map(point => point.rate);
+        const min = Math.min(...rates);
+        const max = Math.max(...rates);
+        const span = max - min || max * 0.01 || 1;
+
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        this.coords = this.points.map((point, index) => ({
+            x: padding.left + (index / (this.points.length - 1)) * plotWidth,
+            y: padding.top + (1 - (point.rate - min) / span) * plotHeight
+        }));
+
+        const line = this.coords.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ');
+        const baseline = padding.top + plotHeight;
+        const area = `${padding.left},${baseline} ${line} ${width - padding.right},${baseline}`;
+        const trend = rates[rates.length - 1] >= rates[0] ? 'up' : 'down';
+
+        this.container.innerHTML = `
+            <svg class="rate-chart ${trend}" viewBox="0 0 ${width} ${height}" role="img"
+                 aria-label="${options.label || 'Exchange rate history'}">
+                <line class="grid" x1="${padding.left}" y1="${padding.top}" x2="${width - padding.right}" y2="${padding.top}"></line>
+                <line class="grid" x1="${padding.left}" y1="${baseline}" x2="${width - padding.right}" y2="${baseline}"></line>
+                <text class="axis-label" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${this.formatRate(max)}</text>
+                <text class="axis-label" x="${padding.left - 6}" y="${baseline + 4}" text-anchor="end">${this.formatRate(min)}</text>
+                <text class="axis-label" x="${padding.left}" y="${height - 8}" text-anchor="start">${this.points[0].date}</text>
+                <text class="axis-label" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${this.points[this.points.length - 1].date}</text>
+                <polygon class="area" points="${area}"></polygon>
+                <polyline class="line" points="${line}"></polyline>
+                <line class="cursor" x1="0" y1="${padding.top}" x2="0" y2="${baseline}" visibility="hidden"></line>
+                <circle class="marker" r="4" cx="0" cy="0" visibility="hidden"></circle>
+            </svg>
+            <div class="chart-tooltip" hidden></div>
+        `;
+
+        this.attachHover();
+    }
+
+    /**
+     * Show a placeholder message instead of a chart
+     */
+    renderMessage(message) {
+        if (!this.container) return;
+        this.points = [];
+        this.container.innerHTML = '';
+
+        const placeholder = document.createElement('div');
+        placeholder.className = 'chart-message';
+        placeholder.textContent = message;
+        this.container.appendChild(placeholder);
+    }
+
+    /**
+     * Track the pointer and show the nearest point's date and rate
+     */
+    attachHover() {
+        const svg = this.container.querySelector('svg');
+        const cursor = svg.querySelector('.cursor');
+        const marker = svg.querySelector('.marker');
+        const tooltip = this.container.querySelector('.chart-tooltip');
+
+        const hide = () => {
+            cursor.setAttribute('visibility', 'hidden');
+            marker.setAttribute('visibility', 'hidden');
+            tooltip.hidden = true;
+        };
+
+        svg.addEventListener('pointermove', (e) => {
+            const rect = svg.getBoundingClientRect();
+            const x = ((e.clientX - rect.left) / rect.width) * this.width;
+
+            let nearest = 0;
+            this.coords.forEach((c, index) => {
+                if (Math.abs(c.x - x) < Math.abs(this.coords[nearest].x - x)) {
+                    nearest = index;
+                }
+            });
+
+            const coord = this.coords[nearest];
+            const point = this.points[nearest];
+
+            cursor.setAttribute('x1', coord.x);
+            cursor.setAttribute('x2', coord.x);
+            cursor.setAttribute('visibility', 'visible');
+            marker.setAttribute('cx', coord.x);
+            marker.setAttribute('cy', coord.y);
+            marker.setAttribute('visibility', 'visible');
+
+            tooltip.textContent = `${point.date}: ${this.formatRate(point.rate)}`;
+            tooltip.style.left = `${(coord.x / this.width) * 100}%`;
+            tooltip.hidden = false;
+        });
+
+        svg.addEventListener('pointerleave', hide);
+    }
+}
+
+// Export for use in other modules
+window.RateChart = RateChart;
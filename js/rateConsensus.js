@@ -0,0 +1,192 @@
+/**
+ * Multi-provider rate consensus
+ * Combines the tables several providers returned for one base: each currency gets the
+ * median of the sources that agree, sources deviating from the median by more than the
+ * tolerance are flagged as outliers and left out, and the spread between sources is kept
+ * so a conversion can say how far its providers disagreed. A currency without a majority
+ * (disputed) keeps its last known good rate, or is left out of the table - never a
+ * midpoint no provider quoted
+ */
+
+const RATE_CONSENSUS_DEFAULTS = {
+    tolerancePercent: 2,    // Deviation from the median beyond which a source is an outlier
+    minSources: 2           // Fewer answering sources: use what came back, marked unconfirmed
+};
+
+class RateConsensus {
+    /**
+     * Settings from config: true, { tolerancePercent, minSources, enabled } or falsy (off)
+     */
+    static options(config) {
+        if (!config || config.enabled === false) return null;
+        return { ...RATE_CONSENSUS_DEFAULTS, ...(config === true ? {} : config) };
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        // 12 significant digits keeps averaged medians free of float noise (34.15, not 34.150000000000006)
+        return sorted.length % 2 ? sorted[middle] : Number(((sorted[middle - 1] + sorted[middle]) / 2).toPrecision(12));
+    }
+
+    /**
+     * (highest - lowest) / median, in percent
+     */
+    static spreadPercent(values, median = RateConsensus.median(values)) {
+        return RateConsensus.percent((Math.max(...values) - Math.min(...values)) / median);
+    }
+
+    static percent(ratio) {
+        return Math.round(ratio * 100 * 10000) / 10000;
+    }
+
+    /**
+     * Combine normalized provider results { base, rates, provider, providerId, publishedAt }
+     * into one result with a `consensus` record:
+     * { tolerancePercent, confirmed, sources, outliers, disputed, retained, spreads, maxSpreadPercent }
+     * previous: the last known good table { base, rates } for disputed currencies
+     * (retained lists the ones taken from it)
+     */
+    static combine(results, base, options = RATE_CONSENSUS_DEFAULTS, previous = null) {
+        const { tolerancePercent, minSources } = { ...RATE_CONSENSUS_DEFAULTS, ...options };
+        const sources = results.map(result => ({
+            id: result.providerId || null,
+            name: result.provider || result.providerId || 'unknown',
+            publishedAt: result.publishedAt || null,
+            rates: result.rates
+        }));
+        const codes = new Set(results.flatMap(result => Object.keys(result.rates)));
+        const rates = {};
+        const spreads = {};
+        const outliers = [];
+        const disputed = [];
+        const retained = [];
+        const previousRates = previous?.base === base ? previous.rates || {} : {};
+
+        codes.forEach(code => {
+            const quotes = sources
+                .map(source => ({ source, rate: Number(source.rates[code]) }))
+                .filter(quote => Number.isFinite(quote.rate) && quote.rate > 0);
+            if (quotes.length === 0) return;
+
+            const median = RateConsensus.median(quotes.map(quote => quote.rate));
+            const agreeing = quotes.filter(quote => {
+                const deviationPercent = RateConsensus.percent(Math.abs(quote.rate - median) / median);
+                if (deviationPercent <= tolerancePercent) return true;
+
+                outliers.push({
+                    currency: code,
+                    provider: quote.source.name,
+                    providerId: quote.source.id,
+                    rate: quote.rate,
+                    median,
+                    deviationPercent
+                });
+                return false;
+            });
+
+            if (quotes.length > 1) {
+                spreads[code] = RateConsensus.spreadPercent(quotes.map(quote => quote.rate), median);
+            }
+
+            // No majority (e.g. two sources far apart): fall back to the last known good rate
+            if (agreeing.length === 0 || (quotes.length > 1 && agreeing.length === 1)) {
+                disputed.push(code);
+                const known = Number(previousRates[code]);
+                if (Number.isFinite(known) && known > 0) {
+                    rates[code] = known;
+                    retained.push(code);
+                }
+                return;
+            }
+            rates[code] = RateConsensus.median(agreeing.map(quote => quote.rate));
+        });
+        rates[base] = 1;
+
+        const publishedAt = sources.map(source => source.publishedAt).filter(Boolean).sort().pop() || null;
+        return {
+            base,
+            rates,
+            provider: `Consensus of ${sources.map(source => source.name).join(', ')}`,
+            providerId: 'consensus',
+            publishedAt,
+            // The least fresh service worker answer stands for the whole table
+            cache: results.find(result => result.cache?.status === 'stale')?.cache || results[0]?.cache || null,
+            consensus: {
+                tolerancePercent,
+                confirmed: sources.length >= minSources,
+                sources,
+                outliers,
+                disputed,
+                retained,
+                spreads,
+                maxSpreadPercent: Math.max(0, ...Object.values(spreads))
+            }
+        };
+    }
+
+    /**
+     * What the agreeing sources said about one pair of a consensus table:
+     * { sources, confirmed, tolerancePercent, spreadPercent, quotes, outliers, disputed }
+     * Outliers on either currency are listed but left out of the count and spread,
+     * unless the pair is disputed (no majority to leave them out against)
+     */
+    static forPair(consensus, base, fromCurrency, toCurrency) {
+        if (!consensus) return null;
+
+        const involved = (code) => code === fromCurrency || code === toCurrency;
+        const outliers = consensus.outliers.filter(outlier => involved(outlier.currency));
+        const disputed = consensus.disputed.some(involved);
+        const excluded = new Set(disputed ? [] : outliers.map(outlier => outlier.provider));
+
+        const quote = (rates, code) => (code === base ? 1 : Number(rates[code]));
+        const quotes = consensus.sources
+            .filter(source => !excluded.has(source.name))
+            .map(source => ({ provider: source.name, rate: quote(source.rates, toCurrency) / quote(source.rates, fromCurrency) }))
+            .filter(entry => Number.isFinite(entry.rate) && entry.rate > 0);
+
+        return {
+            sources: quotes.length,
+            confirmed: consensus.confirmed && quotes.length > 1,
+            tolerancePercent: consensus.tolerancePercent,
+            spreadPercent: quotes.length > 1 ? RateConsensus.spreadPercent(quotes.map(entry => entry.rate)) : 0,
+            quotes,
+            outliers,
+            disputed
+        };
+    }
+
+    /**
+     * Both legs of a triangulated pair as one record (spreads add up)
+     */
+    static join(legs) {
+        const present = legs.filter(Boolean);
+        if (present.length === 0) return null;
+        if (present.length === 1) return present[0];
+
+        return {
+            sources: Math.min(...present.map(leg => leg.sources)),
+            confirmed: present.every(leg => leg.confirmed),
+            tolerancePercent: Math.max(...present.map(leg => leg.tolerancePercent)),
+            spreadPercent: RateConsensus.percent(present.reduce((sum, leg) => sum + leg.spreadPercent, 0) / 100),
+            quotes: [],
+            outliers: present.flatMap(leg => leg.outliers),
+            disputed: present.some(leg => leg.disputed)
+        };
+    }
+
+    /**
+     * Provenance confidence capped by what the sources said: disputed pairs are low,
+     * unconfirmed ones (a single source answered) at most medium
+     */
+    static adjustConfidence(provenance, pair) {
+        if (!provenance || !pair) return provenance;
+        if (pair.disputed) return { ...provenance, confidence: 'low' };
+        if (!pair.confirmed && provenance.confidence === 'high') return { ...provenance, confidence: 'medium' };
+        return provenance;
+    }
+}
+
+// Export for the page and the Node core (self is window in the page)
+self.RATE_CONSENSUS_DEFAULTS = RATE_CONSENSUS_DEFAULTS;
+self.RateConsensus = RateConsensus;
@@ -0,0 +1,103 @@
+/**
+ * Rate provenance - where a rate came from, when it was published and fetched,
+ * how old it is and how far it can be trusted
+ */
+
+const FRESHNESS_TIERS = {
+    LIVE: 'live',           // Fetched from a provider within the last few minutes
+    FRESH: 'fresh',         // Cached, fetched within the last hour
+    STALE: 'stale',         // Cached, fetched within the last day
+    EXPIRED: 'expired',     // Cached, older than a day
+    HARDCODED: 'hardcoded'  // Built-in snapshot shipped with the app
+};
+
+const FRESHNESS_LIMITS = {
+    live: 5 * 60 * 1000, // As long as a fetched table is served without refetching (RATE_STORE_POLICY.freshTtl)
+    fresh: 60 * 60 * 1000,
+    stale: 24 * 60 * 60 * 1000,
+    published: 72 * 60 * 60 * 1000 // Older publications lower confidence (weekends are ~64h)
+};
+
+const FRESHNESS_ORDER = ['live', 'fresh', 'stale', 'expired', 'hardcoded'];
+
+class RateProvenance {
+    /**
+     * Build the provenance record for a rate table
+     * { source, provider, base, publishedAt, fetchedAt } -> adds ageMs, tier, confidence
+     */
+    static describe({ source, provider = null, base = null, publishedAt = null, fetchedAt = null }, now = Date.now()) {
+        const ageMs = fetchedAt ? Math.max(0, now - new Date(fetchedAt).getTime()) : null;
+        const publishedAgeMs = publishedAt ? Math.max(0, now - new Date(publishedAt).getTime()) : null;
+        const tier = RateProvenance.tierFor(source, ageMs);
+
+        return {
+            source,
+            provider,
+            base,
+            publishedAt,
+            fetchedAt,
+            ageMs,
+            tier,
+            confidence: RateProvenance.confidenceFor(tier, publishedAgeMs, source)
+        };
+    }
+
+    static tierFor(source, ageMs) {
+        if (source === 'fallback' || source === 'error_fallback_hardcoded') return FRESHNESS_TIERS.HARDCODED;
+
+        // Published rates for a past date never change, so only where they came from matters
+        if (source?.startsWith('historical_')) {
+            return source === 'historical_api' ? FRESHNESS_TIERS.LIVE : FRESHNESS_TIERS.FRESH;
+        }
+
+        // A table fetched from a provider is only live while it is young; held in memory
+        // for longer it ages through the same tiers as a cached one
+        if (ageMs === null) return FRESHNESS_TIERS.EXPIRED;
+        if (source === 'api' && ageMs <= FRESHNESS_LIMITS.live) return FRESHNESS_TIERS.LIVE;
+        if (ageMs <= FRESHNESS_LIMITS.fresh) return FRESHNESS_TIERS.FRESH;
+        if (ageMs <= FRESHNESS_LIMITS.stale) return FRESHNESS_TIERS.STALE;
+        return FRESHNESS_TIERS.EXPIRED;
+    }
+
+    /**
+     * high: live/fresh and recently published; medium: stale or an old publication; low otherwise
+     */
+    static confidenceFor(tier, publishedAgeMs, source) {
+        if (tier === FRESHNESS_TIERS.HARDCODED || tier === FRESHNESS_TIERS.EXPIRED) return 'low';
+        if (tier === FRESHNESS_TIERS.STALE) return 'medium';
+        if (!source?.startsWith('historical_') && publishedAgeMs !== null && publishedAgeMs > FRESHNESS_LIMITS.published) {
+            return 'medium';
+        }
+        return 'high';
+    }
+
+    /**
+     * The least trustworthy of several records (e.g. both legs of a triangulated rate)
+     */
+    static worst(records) {
+        return records.filter(Boolean).reduce((worst, record) =>
+            !worst || FRESHNESS_ORDER.indexOf(record.tier) > FRESHNESS_ORDER.indexOf(worst.tier) ? record : worst
+        , null);
+    }
+
+    /**
+     * Short English age for the CLI and warning texts: "just now", "4 min ago", "3 h ago",
+     * "2 days ago"; the page shows i18n.formatAge instead
+     */
+    static formatAge(ageMs) {
+        if (ageMs === null || ageMs === undefined) return 'unknown age';
+
+        const minutes = Math.floor(ageMs / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours} h ago`;
+
+        return `${Math.floor(hours / 24)} days ago`;
+    }
+}
+
+// Export for the page and the Node core (self is window in the page)
+self.FRESHNESS_TIERS = FRESHNESS_TIERS;
+self.RateProvenance = RateProvenance;
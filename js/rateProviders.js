@@ -0,0 +1,585 @@
+/**
+ * Exchange rate provider adapters
+ * Each adapter knows how to fetch one upstream source and normalize its response
+ * into { base, rates, publishedAt } so ExchangeRateAPIService stays source-agnostic
+ */
+
+/**
+ * Base adapter - subclasses override buildLatestUrl/normalize (and the historical hooks)
+ */
+class RateProvider {
+    constructor(config = {}) {
+        this.id = config.id || this.constructor.defaultId;
+        this.name = config.name || this.constructor.defaultName || this.id;
+        this.priority = config.priority ?? 100;
+        this.timeout = config.timeout || 10000;
+        this.apiKey = config.apiKey || null;
+        this.enabled = config.enabled !== false;
+        this.currencies = config.currencies || this.constructor.currencies || null; // null = any
+        this.fetch = config.fetch || null; // Network layer; the global fetch by default
+        this.validation = config.validation || RATE_VALIDATION_DEFAULTS;
+        this.config = config;
+    }
+
+    /**
+     * Whether this provider can quote rates for a currency
+     */
+    supports(currency) {
+        return !this.currencies || this.currencies.includes(currency);
+    }
+
+    /**
+     * Whether this provider can return rates for past dates
+     */
+    get supportsHistorical() {
+        return false;
+    }
+
+    /**
+     * Whether this provider can return a date range in one request
+     */
+    get supportsTimeSeries() {
+        return false;
+    }
+
+    /**
+     * Whether the provider needs an API key that has not been configured
+     */
+    get missingApiKey() {
+        return this.constructor.requiresApiKey === true && !this.apiKey;
+    }
+
+    /**
+     * Fetch latest rates for a base currency
+     * refresh bypasses the service worker's rate cache; the result carries that cache's
+     * metadata ({ status, fetchedAt, url }) when the worker answered
+     */
+    async fetchLatest(baseCurrency, { refresh = false } = {}) {
+        const { data, cache } = await this.requestWithMetadata(this.buildLatestUrl(baseCurrency), { refresh });
+        return { ...this.withProvider(this.checked(data, baseCurrency)), cache };
+    }
+
+    /**
+     * Fetch rates published for a past date (YYYY-MM-DD)
+     */
+    async fetchHistorical(baseCurrency, date) {
+        throw new Error(`${this.name} does not provide historical rates`);
+    }
+
+    /**
+     * Fetch daily rates for a pair between two dates (inclusive)
+     */
+    async fetchTimeSeries(baseCurrency, quoteCurrency, startDate, endDate) {
+        throw new Error(`${this.name} does not provide time series`);
+    }
+
+    buildLatestUrl(baseCurrency) {
+        throw new Error(`${this.name} has no latest rates endpoint`);
+    }
+
+    /**
+     * URL prefixes of this provider's requests; the service worker caches rate
+     * requests under them ("https://api.frankfurter.app/")
+     */
+    get cacheScopes() {
+        try {
+            return [RateProvider.scopeOf(this.buildLatestUrl('USD'))];
+        } catch (error) {
+            return []; // No latest endpoint
+        }
+    }
+
+    /**
+     * Origin and directory of an endpoint, relative ones resolved against the page
+     */
+    static scopeOf(url) {
+        const resolved = new URL(url, self.location?.href);
+        return `${resolved.origin}${resolved.pathname.replace(/[^/]*$/, '')}`;
+    }
+
+    /**
+     * Convert a raw response into { base, rates, publishedAt }
+     */
+    normalize(data, baseCurrency) {
+        const rates = data.rates || data.conversion_rates;
+        if (!rates) {
+            throw new Error('Invalid API response format');
+        }
+
+        return {
+            base: data.base || data.base_code || baseCurrency,
+            rates,
+            publishedAt: null
+        };
+    }
+
+    /**
+     * Normalize a response and validate the table (RateValidator); a rejection carries
+     * the raw payload and this provider's name so it can be recorded
+     */
+    checked(data, baseCurrency) {
+        try {
+            return RateValidator.validate(this.normalize(data, baseCurrency), baseCurrency, this.validation);
+        } catch (error) {
+            const rejection = error instanceof RateValidationError
+                ? error
+                : RateValidator.reject('schema', [error.message], data, baseCurrency);
+            rejection.message = `${this.name}: ${rejection.message}`;
+            rejection.payload = data;
+            rejection.provider = this.name;
+            throw rejection;
+        }
+    }
+
+    /**
+     * Tag a normalized result with this provider's identity
+     */
+    withProvider(result) {
+        return { ...result, provider: this.name, providerId: this.id };
+    }
+
+    /**
+     * Extra request headers (e.g. auth)
+     */
+    getHeaders() {
+        return { 'Accept': this.constructor.accept || 'application/json' };
+    }
+
+    /**
+     * Perform a request with this provider's timeout
+     */
+    async request(url) {
+        const { data } = await this.requestWithMetadata(url);
+        return data;
+    }
+
+    /**
+     * Perform a request and also return the service worker cache metadata
+     */
+    async requestWithMetadata(url, { refresh = false } = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await (this.fetch || fetch)(url, {
+                signal: controller.signal,
+                cache: refresh ? 'reload' : 'default',
+                headers: {
+                    ...this.getHeaders(),
+                    'Cache-Control': 'no-cache'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await this.readBody(response);
+            return { data, cache: RateProvider.readCacheMetadata(response, url) };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Parse a response body in this provider's format
+     */
+    readBody(response) {
+        return this.constructor.accept === 'application/xml' ? response.text() : response.json();
+    }
+
+    /**
+     * Freshness headers added by sw.js: { status: 'fresh'|'stale'|'network', fetchedAt, url },
+     * or null when no service worker answered
+     */
+    static readCacheMetadata(response, url) {
+        const status = response.headers?.get('sw-cache-status');
+        if (!status) return null;
+
+        const timestamp = parseInt(response.headers.get('sw-cache-timestamp'), 10);
+        return {
+            status,
+            fetchedAt: timestamp ? new Date(timestamp).toISOString() : null,
+            url
+        };
+    }
+
+    /**
+     * Re-express a rate table against a different base currency
+     */
+    rebaseRates(rates, fromBase, toBase) {
+        if (fromBase === toBase) return rates;
+
+        const pivot = rates[toBase];
+        if (!pivot) {
+            throw new Error(`${this.name} has no ${toBase} rate to rebase from ${fromBase}`);
+        }
+
+        const rebased = { [fromBase]: 1 / pivot };
+        Object.keys(rates).forEach(code => {
+            rebased[code] = rates[code] / pivot;
+        });
+        rebased[toBase] = 1;
+        return rebased;
+    }
+}
+
+/**
+ * ExchangeRate-API - keyless v4 endpoint, or v6 when an API key is configured
+ */
+class ExchangeRateApiProvider extends RateProvider {
+    buildLatestUrl(baseCurrency) {
+        return this.apiKey
+            ? `https://v6.exchangerate-api.com/v6/${this.apiKey}/latest/${baseCurrency}`
+            : `https://api.exchangerate-api.com/v4/latest/${baseCurrency}`;
+    }
+
+    normalize(data, baseCurrency) {
+        const result = super.normalize(data, baseCurrency);
+        const updated = data.time_last_update_unix || data.time_last_updated;
+        result.publishedAt = updated ? new Date(updated * 1000).toISOString() : null;
+        return result;
+    }
+}
+ExchangeRateApiProvider.defaultId = 'exchangerate-api';
+ExchangeRateApiProvider.defaultName = 'ExchangeRate-API';
+
+/**
+ * Open ER-API - keyless mirror of ExchangeRate-API
+ */
+class OpenErApiProvider extends RateProvider {
+    buildLatestUrl(baseCurrency) {
+        return `https://open.er-api.com/v6/latest/${baseCurrency}`;
+    }
+
+    normalize(data, baseCurrency) {
+        if (data.result && data.result !== 'success') {
+            throw new Error(`Open ER-API error: ${data['error-type'] || data.result}`);
+        }
+
+        const result = super.normalize(data, baseCurrency);
+        result.publishedAt = data.time_last_update_unix
+            ? new Date(data.time_last_update_unix * 1000).toISOString()
+            : null;
+        return result;
+    }
+}
+OpenErApiProvider.defaultId = 'open-er-api';
+OpenErApiProvider.defaultName = 'Open ER-API';
+
+/**
+ * ECB reference rates (~30 currencies)
+ */
+const ECB_CURRENCIES = [
+    'EUR', 'USD', 'JPY', 'BGN', 'CZK', 'DKK', 'GBP', 'HUF', 'PLN', 'RON', 'SEK', 'CHF',
+    'ISK', 'NOK', 'TRY', 'AUD', 'BRL', 'CAD', 'CNY', 'HKD', 'IDR', 'ILS', 'INR', 'KRW',
+    'MXN', 'MYR', 'NZD', 'PHP', 'SGD', 'THB', 'ZAR'
+];
+
+/**
+ * Frankfurter - JSON API over ECB reference rates, with history and time series
+ */
+class FrankfurterProvider extends RateProvider {
+    constructor(config = {}) {
+        super(config);
+        this.baseUrl = config.url || 'https://api.frankfurter.app';
+    }
+
+    get supportsHistorical() {
+        return true;
+    }
+
+    get supportsTimeSeries() {
+        return true;
+    }
+
+    buildLatestUrl(baseCurrency) {
+        return `${this.baseUrl}/latest?from=${baseCurrency}`;
+    }
+
+    async fetchHistorical(baseCurrency, date) {
+        const data = await this.request(`${this.baseUrl}/${date}?from=${baseCurrency}`);
+        return this.withProvider(this.checked(data, baseCurrency));
+    }
+
+    async fetchTimeSeries(baseCurrency, quoteCurrency, startDate, endDate) {
+        const url = `${this.baseUrl}/${startDate}..${endDate}?from=${baseCurrency}&to=${quoteCurrency}`;
+        const data = await this.request(url);
+        if (!data.rates) {
+            throw new Error('Invalid time series API response format');
+        }
+
+        const points = Object.keys(data.rates)
+            .sort()
+            .map(date => ({ date, rate: data.rates[date][quoteCurrency] }))
+            .filter(point => typeof point.rate === 'number');
+
+        return this.withProvider({ base: baseCurrency, quote: quoteCurrency, points });
+    }
+
+    normalize(data, baseCurrency) {
+        const result = super.normalize(data, baseCurrency);
+        // Frankfurter omits the base from its own table
+        result.rates = { ...result.rates, [result.base]: 1 };
+        result.date = data.date || null;
+        result.publishedAt = data.date ? `${data.date}T16:00:00Z` : null; // ECB publishes ~16:00 CET
+        return result;
+    }
+}
+FrankfurterProvider.defaultId = 'frankfurter';
+FrankfurterProvider.defaultName = 'European Central Bank via Frankfurter';
+FrankfurterProvider.currencies = ECB_CURRENCIES;
+
+/**
+ * ECB-style XML daily feed (<Cube currency="USD" rate="1.08"/>), EUR based
+ * The ECB itself does not send CORS headers, so point `url` at a proxy or mirror
+ */
+class EcbXmlProvider extends RateProvider {
+    constructor(config = {}) {
+        super(config);
+        this.url = config.url || 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+    }
+
+    buildLatestUrl() {
+        return this.url;
+    }
+
+    normalize(xml, baseCurrency) {
+        const rates = { EUR: 1 };
+        const ratePattern = /currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g;
+        let match;
+        while ((match = ratePattern.exec(xml)) !== null) {
+            rates[match[1]] = parseFloat(match[2]);
+        }
+
+        if (Object.keys(rates).length === 1) {
+            throw new Error('Invalid ECB XML response format');
+        }
+
+        const time = /time=['"](\d{4}-\d{2}-\d{2})['"]/.exec(xml);
+        return {
+            base: baseCurrency,
+            rates: this.rebaseRates(rates, 'EUR', baseCurrency),
+            date: time ? time[1] : null,
+            publishedAt: time ? `${time[1]}T16:00:00Z` : null
+        };
+    }
+}
+EcbXmlProvider.defaultId = 'ecb-xml';
+EcbXmlProvider.defaultName = 'ECB daily feed';
+EcbXmlProvider.currencies = ECB_CURRENCIES;
+EcbXmlProvider.accept = 'application/xml';
+
+/**
+ * Generic JSON provider configured with a URL template and field paths, e.g.
+ * {
+ *   type: 'json', name: 'Treasury rates',
+ *   url: 'https://rates.internal/api/latest?base={base}',
+ *   historicalUrl: 'https://rates.internal/api/{date}?base={base}',
+ *   ratesPath: 'data.rates', basePath: 'data.base', timestampPath: 'data.asOf',
+ *   apiKey: '...', apiKeyHeader: 'X-Api-Key'
+ * }
+ * ratesPath may point at an object map ({ EUR: 0.9 }) or an array of
+ * objects read through codeField/rateField. Set responseBase when the service
+ * always answers in one base; rates are then rebased to the requested currency.
+ */
+class JsonMappingProvider extends RateProvider {
+    constructor(config = {}) {
+        super(config);
+        if (!config.url) {
+            throw new Error('JSON rate provider requires a url');
+        }
+        this.ratesPath = config.ratesPath || 'rates';
+        this.basePath = config.basePath || 'base';
+        this.timestampPath = config.timestampPath || null;
+        this.codeField = config.codeField || 'code';
+        this.rateField = config.rateField || 'rate';
+    }
+
+    get supportsHistorical() {
+        return Boolean(this.config.historicalUrl);
+    }
+
+    get cacheScopes() {
+        return [this.config.url, this.config.historicalUrl]
+            .filter(Boolean)
+            .map(template => RateProvider.scopeOf(this.fillTemplate(template, { base: 'USD', date: '2000-01-01' })));
+    }
+
+    buildLatestUrl(baseCurrency) {
+        return this.fillTemplate(this.config.url, { base: baseCurrency });
+    }
+
+    async fetchHistorical(baseCurrency, date) {
+        if (!this.supportsHistorical) {
+            return super.fetchHistorical(baseCurrency, date);
+        }
+
+        const data = await this.request(this.fillTemplate(this.config.historicalUrl, { base: baseCurrency, date }));
+        const result = this.checked(data, baseCurrency);
+        return this.withProvider({ ...result, date });
+    }
+
+    getHeaders() {
+        const headers = { ...super.getHeaders(), ...(this.config.headers || {}) };
+        if (this.apiKey && this.config.apiKeyHeader) {
+            headers[this.config.apiKeyHeader] = this.apiKey;
+        }
+        return headers;
+    }
+
+    normalize(data, baseCurrency) {
+        let rates = this.getPath(data, this.ratesPath);
+
+        if (Array.isArray(rates)) {
+            rates = rates.reduce((table, entry) => {
+                table[entry[this.codeField]] = Number(entry[this.rateField]);
+                return table;
+            }, {});
+        }
+
+        if (!rates || typeof rates !== 'object') {
+            throw new Error(`No rates found at "${this.ratesPath}"`);
+        }
+        // Feeds that quote rates as strings ("1.0825") read like the array form
+        rates = Object.fromEntries(Object.entries(rates).map(([code, rate]) => [code, typeof rate === 'string' ? Number(rate) : rate]));
+
+        const responseBase = this.config.responseBase || this.getPath(data, this.basePath) || baseCurrency;
+        const timestamp = this.timestampPath ? this.getPath(data, this.timestampPath) : null;
+
+        return {
+            base: baseCurrency,
+            rates: this.rebaseRates({ ...rates, [responseBase]: 1 }, responseBase, baseCurrency),
+            publishedAt: timestamp ? new Date(typeof timestamp === 'number' && timestamp < 1e12 ? timestamp * 1000 : timestamp).toISOString() : null
+        };
+    }
+
+    fillTemplate(template, values) {
+        return template
+            .replace(/\{base\}/g, encodeURIComponent(values.base || ''))
+            .replace(/\{date\}/g, encodeURIComponent(values.date || ''))
+            .replace(/\{apiKey\}/g, encodeURIComponent(this.apiKey || ''));
+    }
+
+    getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+    }
+}
+JsonMappingProvider.defaultId = 'json';
+JsonMappingProvider.defaultName = 'Custom JSON provider';
+
+/**
+ * CurrencyConv rate proxy (node/rateServer.js) - one shared snapshot, fetched upstream
+ * on a schedule, instead of every browser calling the public APIs
+ * { type: 'proxy', url: 'https://rates.example.com' }
+ */
+class RateProxyProvider extends RateProvider {
+    constructor(config = {}) {
+        super(config);
+        if (!config.url) {
+            throw new Error('Rate proxy provider requires a url');
+        }
+        this.baseUrl = config.url.replace(/\/+$/, '');
+    }
+
+    get supportsHistorical() {
+        return true;
+    }
+
+    get cacheScopes() {
+        return [RateProvider.scopeOf(`${this.baseUrl}/`)];
+    }
+
+    buildLatestUrl(baseCurrency) {
+        return `${this.baseUrl}/latest/${encodeURIComponent(baseCurrency)}`;
+    }
+
+    async fetchHistorical(baseCurrency, date) {
+        const data = await this.request(`${this.baseUrl}/historical/${encodeURIComponent(date)}/${encodeURIComponent(baseCurrency)}`);
+        return this.withProvider(this.checked(data, baseCurrency));
+    }
+
+    normalize(data, baseCurrency) {
+        const result = super.normalize(data, baseCurrency);
+        result.date = data.date || null;
+        result.publishedAt = data.publishedAt || null;
+        result.upstream = data.provider || null;
+        result.consensus = data.consensus || null; // When the proxy runs in consensus mode
+        return result;
+    }
+
+    /**
+     * "ExchangeRate-API via Office rate proxy" - keep the upstream source visible
+     */
+    withProvider({ upstream, ...result }) {
+        return {
+            ...result,
+            provider: upstream ? `${upstream} via ${this.name}` : this.name,
+            providerId: this.id
+        };
+    }
+}
+RateProxyProvider.defaultId = 'proxy';
+RateProxyProvider.defaultName = 'CurrencyConv rate proxy';
+
+/**
+ * Builds ordered provider lists from plain config objects
+ */
+class RateProviderRegistry {
+    constructor() {
+        this.types = {};
+    }
+
+    register(type, ProviderClass) {
+        this.types[type] = ProviderClass;
+    }
+
+    /**
+     * Instantiate enabled providers from config, sorted by priority (lowest first)
+     * defaults: options every provider gets unless its config overrides them (e.g. fetch)
+     */
+    create(configs, defaults = {}) {
+        return configs
+            .map((config, index) => {
+                const ProviderClass = this.types[config.type];
+                if (!ProviderClass) {
+                    console.info(`Unknown rate provider type skipped: ${config.type}`);
+                    return null;
+                }
+                try {
+                    return new ProviderClass({ priority: index + 1, ...defaults, ...config });
+                } catch (error) {
+                    console.info(`Rate provider "${config.name || config.type}" skipped:`, error.message);
+                    return null;
+                }
+            })
+            .filter(provider => provider && provider.enabled && !provider.missingApiKey)
+            .sort((a, b) => a.priority - b.priority);
+    }
+}
+
+const rateProviderRegistry = new RateProviderRegistry();
+rateProviderRegistry.register('exchangerate-api', ExchangeRateApiProvider);
+rateProviderRegistry.register('open-er-api', OpenErApiProvider);
+rateProviderRegistry.register('frankfurter', FrankfurterProvider);
+rateProviderRegistry.register('ecb-xml', EcbXmlProvider);
+rateProviderRegistry.register('json', JsonMappingProvider);
+rateProviderRegistry.register('proxy', RateProxyProvider);
+
+// Default chain: the two original endpoints first, ECB data as history source and last resort
+const DEFAULT_PROVIDER_CONFIG = [
+    { type: 'exchangerate-api', priority: 1, timeout: 10000 },
+    { type: 'open-er-api', priority: 2, timeout: 10000 },
+    { type: 'frankfurter', priority: 3, timeout: 10000 }
+];
+
+// Export for the page and the service worker (self is window in the page)
+self.RateProvider = RateProvider;
+self.ExchangeRateApiProvider = ExchangeRateApiProvider;
+self.OpenErApiProvider = OpenErApiProvider;
+self.FrankfurterProvider = FrankfurterProvider;
+self.EcbXmlProvider = EcbXmlProvider;
+self.JsonMappingProvider = JsonMappingProvider;
+self.RateProxyProvider = RateProxyProvider;
+self.rateProviderRegistry = rateProviderRegistry;
+self.DEFAULT_PROVIDER_CONFIG = DEFAULT_PROVIDER_CONFIG;
@@ -0,0 +1,356 @@
+/**
+ * Rate store - versioned IndexedDB storage for rate tables, shared by the page and
+ * the service worker (loaded there with importScripts), so it only relies on `self`
+ *
+ * latest   one record per base, the "fresh cache" checked against the short TTL
+ * archive  hourly snapshots per base, the offline last-known-good history
+ * entries  historical dates and time series keyed by request
+ */
+
+const RATE_STORE_POLICY = {
+    freshTtl: 5 * 60 * 1000,                       // Latest tables served without refetching
+    latestRetention: 7 * 24 * 60 * 60 * 1000,     // Latest tables kept for offline use
+    archiveInterval: 60 * 60 * 1000,              // At most one snapshot per base per hour
+    archiveRetention: 30 * 24 * 60 * 60 * 1000,   // Snapshots older than this are dropped
+    maxArchivePerBase: 72,
+    maxEntries: { historical: 200, timeSeries: 40 },
+    quotaBytes: 4 * 1024 * 1024,                  // Estimated from JSON length
+    maxRejected: 20                               // Rejected payloads kept for inspection
+};
+
+/**
+ * Schema migrations, one per version; each runs once inside the upgrade transaction
+ */
+const RATE_STORE_MIGRATIONS = [
+    // v1: latest tables, archive snapshots, cached entries
+    (db) => {
+        db.createObjectStore('latest', { keyPath: 'base' });
+        const archive = db.createObjectStore('archive', { keyPath: 'id', autoIncrement: true });
+        archive.createIndex('base', 'base');
+        archive.createIndex('fetchedAt', 'fetchedAt');
+        const entries = db.createObjectStore('entries', { keyPath: 'key' });
+        entries.createIndex('kind', 'kind');
+    },
+    // v2: schema metadata (records when legacy localStorage caches were imported)
+    (db) => {
+        db.createObjectStore('meta', { keyPath: 'key' });
+    }
+];
+
+/**
+ * localStorage prefixes written by earlier versions of the API service
+ */
+const LEGACY_RATE_KEYS = {
+    rates: 'exchangeRates_',
+    timestamp: 'exchangeRatesTimestamp_',
+    historical: 'historicalRates_',
+    timeSeries: 'rateTimeSeries_'
+};
+
+/**
+ * Object stores as RATE_STORE_MIGRATIONS create them
+ */
+const RATE_STORE_SCHEMA = {
+    latest: { keyPath: 'base' },
+    archive: { keyPath: 'id', autoIncrement: true },
+    entries: { keyPath: 'key' },
+    meta: { keyPath: 'key' }
+};
+
+class RateStore extends IndexedStore {
+    constructor(dbName = 'currencyconv-rates', policy = {}) {
+        super(dbName, RATE_STORE_SCHEMA, RATE_STORE_MIGRATIONS);
+        this.policy = { ...RATE_STORE_POLICY, ...policy };
+        this.ready = null;
+    }
+
+    /**
+     * Open once and import any legacy localStorage caches before first use
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.importLegacy();
+        }
+        return this.ready;
+    }
+
+    /**
+     * Latest table for a base if fetched within maxAge (defaults to the fresh TTL)
+     */
+    async getLatest(base, maxAge = this.policy.freshTtl, now = Date.now()) {
+        await this.init();
+        const record = await this.get('latest', base);
+        if (!record || now - new Date(record.fetchedAt).getTime() > maxAge) {
+            return null;
+        }
+        return record;
+    }
+
+    /**
+     * Newest table we hold for a base: the latest record, else the newest archive snapshot
+     */
+    async getLastKnownGood(base, now = Date.now()) {
+        const latest = await this.getLatest(base, this.policy.latestRetention, now);
+        if (latest) return latest;
+
+        const archive = await this.getArchive(base);
+        const newest = archive[0];
+        if (newest && now - new Date(newest.fetchedAt).getTime() <= this.policy.archiveRetention) {
+            return newest;
+        }
+        return null;
+    }
+
+    /**
+     * Archive snapshots for a base, newest first
+     */
+    async getArchive(base) {
+        await this.init();
+        const records = await this.getAll('archive');
+        return records
+            .filter(record => record.base === base)
+            .sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+    }
+
+    /**
+     * Save a table { base, rates, provider, publishedAt, fetchedAt } as the latest for its base,
+     * snapshotting it into the archive at most once per archive interval
+     */
+    async putLatest(table) {
+        await this.init();
+        const record = {
+            base: table.base,
+            rates: table.rates,
+            provider: table.provider || null,
+            publishedAt: table.publishedAt || null,
+            fetchedAt: table.fetchedAt || new Date().toISOString(),
+            consensus: table.consensus || null
+        };
+        record.bytes = this.sizeOf(record);
+
+        try {
+            await this.put('latest', record);
+
+            const [lastSnapshot] = await this.getArchive(record.base);
+            const sinceSnapshot = lastSnapshot
+                ? new Date(record.fetchedAt).getTime() - new Date(lastSnapshot.fetchedAt).getTime()
+                : Infinity;
+            if (sinceSnapshot >= this.policy.archiveInterval) {
+                await this.put('archive', { ...record });
+            }
+
+            await this.prune();
+        } catch (error) {
+            console.info('Rate store write completed:', error);
+        }
+        return record;
+    }
+
+    /**
+     * Cached historical / time series value by key
+     */
+    async getEntry(key) {
+        await this.init();
+        const entry = await this.get('entries', key);
+        return entry ? entry.value : null;
+    }
+
+    async putEntry(key, kind, value) {
+        await this.init();
+        const entry = { key, kind, value, storedAt: new Date().toISOString() };
+        entry.bytes = this.sizeOf(value);
+
+        try {
+            await this.put('entries', entry);
+            await this.prune();
+        } catch (error) {
+            console.info('Rate store write completed:', error);
+        }
+    }
+
+    /**
+     * Small settings/status records shared with the service worker (e.g. background sync)
+     */
+    async getMeta(key) {
+        const record = await this.get('meta', key);
+        return record ? record.value : null;
+    }
+
+    putMeta(key, value) {
+        return this.put('meta', { key, value });
+    }
+
+    /**
+     * Rate payloads that failed validation (RateValidator), newest first
+     */
+    async getRejected() {
+        return (await this.getMeta('rejectedPayloads')) || [];
+    }
+
+    /**
+     * Keep a rejected payload { rejectedAt, provider, base, reason, issues, payload } for inspection
+     */
+    async putRejected(entry) {
+        try {
+            const rejected = await this.getRejected();
+            await this.putMeta('rejectedPayloads', [entry, ...rejected].slice(0, this.policy.maxRejected));
+        } catch (error) {
+            console.info('Rate store write completed:', error);
+        }
+    }
+
+    /**
+     * Apply retention windows, per-base and per-kind caps, then the size quota
+     */
+    async prune(now = Date.now()) {
+        const policy = this.policy;
+        const ageOf = (timestamp) => now - new Date(timestamp).getTime();
+        const [latest, archive, entries] = await Promise.all([
+            this.getAll('latest'),
+            this.getAll('archive'),
+            this.getAll('entries')
+        ]);
+        const removals = [];
+
+        const keptLatest = latest.filter(record => {
+            const keep = ageOf(record.fetchedAt) <= policy.latestRetention;
+            if (!keep) removals.push(['latest', record.base]);
+            return keep;
+        });
+
+        const perBase = {};
+        const keptArchive = archive
+            .sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt))
+            .filter(record => {
+                perBase[record.base] = (perBase[record.base] || 0) + 1;
+                const keep = ageOf(record.fetchedAt) <= policy.archiveRetention &&
+                    perBase[record.base] <= policy.maxArchivePerBase;
+                if (!keep) removals.push(['archive', record.id]);
+                return keep;
+            });
+
+        const perKind = {};
+        const keptEntries = entries
+            .sort((a, b) => b.storedAt.localeCompare(a.storedAt))
+            .filter(entry => {
+                perKind[entry.kind] = (perKind[entry.kind] || 0) + 1;
+                const keep = perKind[entry.kind] <= (policy.maxEntries[entry.kind] ?? Infinity);
+                if (!keep) removals.push(['entries', entry.key]);
+                return keep;
+            });
+
+        // Over quota: drop the oldest archive snapshots first, then the oldest entries
+        let total = [...keptLatest, ...keptArchive, ...keptEntries]
+            .reduce((size, record) => size + (record.bytes || 0), 0);
+        const evictable = [
+            ...keptArchive.slice().reverse().map(record => ['archive', record.id, record.bytes]),
+            ...keptEntries.slice().reverse().map(entry => ['entries', entry.key, entry.bytes])
+        ];
+        while (total > policy.quotaBytes && evictable.length > 0) {
+            const [storeName, key, bytes] = evictable.shift();
+            removals.push([storeName, key]);
+            total -= bytes || 0;
+        }
+
+        for (const [storeName, key] of removals) {
+            await this.delete(storeName, key);
+        }
+        return removals.length;
+    }
+
+    /**
+     * Entry counts, estimated size and the oldest fetch time held
+     */
+    async stats() {
+        await this.init();
+        const [latest, archive, entries] = await Promise.all([
+            this.getAll('latest'),
+            this.getAll('archive'),
+            this.getAll('entries')
+        ]);
+        const all = [...latest, ...archive, ...entries];
+        const times = [...latest, ...archive].map(record => record.fetchedAt).sort();
+
+        return {
+            latestEntries: latest.length,
+            archiveEntries: archive.length,
+            cachedEntries: entries.length,
+            totalEntries: all.length,
+            totalSize: all.reduce((size, record) => size + (record.bytes || 0), 0),
+            quota: this.policy.quotaBytes,
+            oldestEntry: times[0] || null
+        };
+    }
+
+    async clear() {
+        await this.init();
+        for (const storeName of ['latest', 'archive', 'entries']) {
+            await this.clearStore(storeName);
+        }
+    }
+
+    sizeOf(value) {
+        try {
+            return JSON.stringify(value).length;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Move caches written to localStorage by earlier versions into the store (page only)
+     */
+    async importLegacy() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const done = await this.get('meta', 'legacyImport');
+            if (done) return;
+
+            const keys = Object.keys(localStorage);
+            const read = (key) => {
+                try {
+                    return JSON.parse(localStorage.getItem(key));
+                } catch (error) {
+                    return null;
+                }
+            };
+
+            for (const key of keys) {
+                if (key.startsWith(LEGACY_RATE_KEYS.rates)) {
+                    const base = key.slice(LEGACY_RATE_KEYS.rates.length);
+                    const entry = read(key);
+                    const fetchedAt = localStorage.getItem(`${LEGACY_RATE_KEYS.timestamp}${base}`);
+                    if (entry && fetchedAt) {
+                        // Older entries hold the bare rates object
+                        const table = entry.rates ? entry : { rates: entry };
+                        const record = { ...table, base: table.base || base, fetchedAt };
+                        record.bytes = this.sizeOf(record);
+                        await this.put('latest', record);
+                        await this.put('archive', { ...record });
+                    }
+                } else if (key.startsWith(LEGACY_RATE_KEYS.historical) || key.startsWith(LEGACY_RATE_KEYS.timeSeries)) {
+                    const value = read(key);
+                    const kind = key.startsWith(LEGACY_RATE_KEYS.historical) ? 'historical' : 'timeSeries';
+                    if (value) {
+                        await this.put('entries', {
+                            key, kind, value,
+                            storedAt: value.fetchedAt || new Date().toISOString(),
+                            bytes: this.sizeOf(value)
+                        });
+                    }
+                }
+            }
+
+            keys.filter(key => Object.values(LEGACY_RATE_KEYS).some(prefix => key.startsWith(prefix)))
+                .forEach(key => localStorage.removeItem(key));
+            await this.put('meta', { key: 'legacyImport', at: new Date().toISOString() });
+        } catch (error) {
+            console.info('Legacy cache import completed:', error);
+        }
+    }
+}
+
+// Export for the page and the service worker (self is window in the page)
+self.RATE_STORE_POLICY = RATE_STORE_POLICY;
+self.RateStore = RateStore;
@@ -0,0 +1,146 @@
+/**
+ * Rate table validation
+ * Every table a provider returns is checked before it is cached or shown: the
+ * normalized shape, the base it is quoted in, that each rate is a positive finite
+ * number and, against the last known good table, that no rate jumped implausibly
+ * far. A rejected table never replaces the cached one; the caller records it
+ * (RateStore.putRejected) so the payload can be inspected later.
+ */
+
+const RATE_VALIDATION_DEFAULTS = {
+    maxJumpPercent: 50,     // Change from the last known good rate beyond which a table is quarantined
+    jumpWindowHours: 72,    // Only compare with tables this recent; after a longer gap real moves add up
+    minRates: 1             // Quoted currencies required besides the base
+};
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * A payload that failed validation
+ * reason: 'schema' | 'base' | 'rates' | 'jump'; issues: one line per problem;
+ * payload: what the provider sent (raw when the provider rejected it, else normalized)
+ */
+class RateValidationError extends Error {
+    constructor(message, { reason, issues = [], payload = null, provider = null, base = null } = {}) {
+        super(message);
+        this.name = 'RateValidationError';
+        this.reason = reason;
+        this.issues = issues;
+        this.payload = payload;
+        this.provider = provider;
+        this.base = base;
+    }
+}
+
+class RateValidator {
+    /**
+     * Thresholds from config ({ maxJumpPercent, jumpWindowHours, minRates }) over the defaults
+     */
+    static options(config) {
+        return { ...RATE_VALIDATION_DEFAULTS, ...(config || {}) };
+    }
+
+    /**
+     * Check a normalized table { base, rates, publishedAt } requested for baseCurrency;
+     * throws a RateValidationError listing every problem, returns the table otherwise
+     */
+    static validate(table, baseCurrency, options = RATE_VALIDATION_DEFAULTS) {
+        const { minRates } = RateValidator.options(options);
+
+        if (!table || typeof table !== 'object' || !RateValidator.isPlainObject(table.rates)) {
+            throw RateValidator.reject('schema', ['rates is not an object of currency codes'], table, baseCurrency);
+        }
+
+        const schemaIssues = [];
+        if (typeof table.base !== 'string' || !CURRENCY_CODE_PATTERN.test(table.base)) {
+            schemaIssues.push(`base ${JSON.stringify(table.base)} is not a currency code`);
+        }
+        if (table.publishedAt != null && isNaN(new Date(table.publishedAt))) {
+            schemaIssues.push(`publishedAt ${JSON.stringify(table.publishedAt)} is not a date`);
+        }
+        Object.keys(table.rates).forEach(code => {
+            if (!CURRENCY_CODE_PATTERN.test(code)) schemaIssues.push(`${JSON.stringify(code)} is not a currency code`);
+        });
+        const quoted = Object.keys(table.rates).filter(code => code !== table.base).length;
+        if (quoted < minRates) {
+            schemaIssues.push(`${quoted} rate${quoted === 1 ? '' : 's'} quoted, at least ${minRates} expected`);
+        }
+        if (schemaIssues.length > 0) {
+            throw RateValidator.reject('schema', schemaIssues, table, baseCurrency);
+        }
+
+        if (table.base !== baseCurrency) {
+            throw RateValidator.reject('base', [`quoted in ${table.base}, ${baseCurrency} was requested`], table, baseCurrency);
+        }
+
+        const rateIssues = Object.entries(table.rates)
+            .filter(([, rate]) => typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0)
+            .map(([code, rate]) => `${code} ${JSON.stringify(rate)} is not a positive number`);
+        const baseRate = table.rates[baseCurrency];
+        if (typeof baseRate === 'number' && Math.abs(baseRate - 1) > 1e-9) {
+            rateIssues.push(`${baseCurrency} is quoted at ${baseRate} against itself`);
+        }
+        if (rateIssues.length > 0) {
+            throw RateValidator.reject('rates', rateIssues, table, baseCurrency);
+        }
+
+        return table;
+    }
+
+    /**
+     * Quarantine a table whose rates moved more than maxJumpPercent from the last known
+     * good table { base, rates, fetchedAt } of the same base, if that one is recent enough
+     */
+    static checkJumps(table, previous, options = RATE_VALIDATION_DEFAULTS, now = Date.now()) {
+        const { maxJumpPercent, jumpWindowHours } = RateValidator.options(options);
+        if (!previous?.rates || previous.base !== table.base || !maxJumpPercent) return table;
+
+        const age = now - new Date(previous.fetchedAt).getTime();
+        if (!(age <= jumpWindowHours * 60 * 60 * 1000)) return table;
+
+        const issues = [];
+        Object.entries(table.rates).forEach(([code, rate]) => {
+            const before = Number(previous.rates[code]);
+            if (!Number.isFinite(before) || before <= 0) return;
+
+            const changePercent = Math.round(Math.abs(rate / before - 1) * 100 * 10000) / 10000;
+            if (changePercent > maxJumpPercent) {
+                issues.push(`${code} moved ${changePercent}% (${before} -> ${rate})`);
+            }
+        });
+
+        if (issues.length > 0) {
+            throw RateValidator.reject('jump', issues, table, table.base);
+        }
+        return table;
+    }
+
+    static reject(reason, issues, payload, base) {
+        const shown = issues.slice(0, 3).join('; ');
+        const more = issues.length > 3 ? ` (+${issues.length - 3} more)` : '';
+        return new RateValidationError(`Rejected ${base || 'rate'} table: ${shown}${more}`, { reason, issues, payload, base });
+    }
+
+    static isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * What to keep of a rejection for later inspection
+     */
+    static describeRejection(error, provider = error.provider) {
+        return {
+            rejectedAt: new Date().toISOString(),
+            provider: provider || null,
+            base: error.base || null,
+            reason: error.reason,
+            issues: error.issues,
+            payload: error.payload
+        };
+    }
+}
+
+// Export for the page, the service worker and the Node core (self is window in the page)
+self.RATE_VALIDATION_DEFAULTS = RATE_VALIDATION_DEFAULTS;
+self.RateValidationError = RateValidationError;
+self.RateValidator = RateValidator;
@@ -0,0 +1,174 @@
+/**
+ * Background sync panel - registers one-off and periodic rate sync with the service
+ * worker, keeps its watch list current and shows when rates were last synced
+ */
+
+class SyncPanel {
+    constructor(converter, elements, sync = new BackgroundRateSync(converter.apiService.rateStore)) {
+        this.converter = converter;
+        this.elements = elements;
+        this.sync = sync;
+        this.savedWatchList = null;
+        this.watched = null;
+        this.supported = typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+        this.setupEventListeners();
+    }
+
+    async initialize() {
+        const settings = await this.sync.getSettings();
+        this.populateIntervals(settings);
+        await this.register(settings);
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.elements.interval?.addEventListener('change', async (e) => {
+            const value = e.target.value;
+            const settings = await this.sync.saveSettings(value === 'off'
+                ? { enabled: false }
+                : { enabled: true, interval: Number(value) });
+            await this.register(settings);
+            this.render();
+        });
+
+        // Refresh watched rates as soon as the connection returns
+        window.addEventListener('offline', () => this.registerOneOff());
+
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'BACKGROUND_SYNC_COMPLETE') {
+                this.render();
+            }
+        });
+
+        i18n.onChange(async () => {
+            this.populateIntervals(await this.sync.getSettings());
+            this.render();
+            if (this.watched) this.watch(this.watched);
+        });
+    }
+
+    populateIntervals(settings) {
+        const select = this.elements.interval;
+        if (!select) return;
+
+        select.innerHTML = '';
+        BACKGROUND_SYNC_DEFAULTS.intervals.forEach(interval => {
+            const hours = interval / BACKGROUND_SYNC_HOUR_MS;
+            const label = hours === 1 ? i18n.t('sync.everyHour') : i18n.t('sync.everyHours', { hours: i18n.formatNumber(hours) });
+            select.appendChild(new Option(label, String(interval)));
+        });
+        select.appendChild(new Option(i18n.t('sync.off'), 'off'));
+        select.value = settings.enabled ? String(settings.interval) : 'off';
+    }
+
+    /**
+     * Save the bases and pairs to keep fresh ({ bases, pairs }) when they changed,
+     * with the provider chain, validation thresholds and locale the worker should use
+     */
+    async watch(watchList) {
+        const { providerConfig, validation } = this.converter.apiService;
+        const next = { ...watchList, providers: providerConfig, validation, locale: i18n.locale };
+        this.watched = watchList;
+        const serialized = JSON.stringify(next);
+        if (serialized === this.savedWatchList) return;
+
+        this.savedWatchList = serialized;
+        try {
+            await this.sync.saveWatchList(next);
+        } catch (error) {
+            console.info('Watch list save completed:', error);
+        }
+    }
+
+    /**
+     * Register periodic sync at the configured interval (where the browser allows it)
+     * and a one-off sync for the next time the connection returns
+     */
+    async register(settings) {
+        if (!this.supported) {
+            this.periodicAvailable = false;
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            this.periodicAvailable = Boolean(registration.periodicSync);
+
+            if (registration.periodicSync) {
+                if (!settings.enabled) {
+                    await registration.periodicSync.unregister(BACKGROUND_SYNC_TAGS.PERIODIC);
+                } else {
+                    const permission = await navigator.permissions?.query({ name: 'periodic-background-sync' });
+                    this.periodicAvailable = !permission || permission.state === 'granted';
+                    if (this.periodicAvailable) {
+                        await registration.periodicSync.register(BACKGROUND_SYNC_TAGS.PERIODIC, {
+                            minInterval: settings.interval
+                        });
+                    }
+                }
+            }
+
+            if (settings.enabled) {
+                await registration.sync?.register(BACKGROUND_SYNC_TAGS.ONE_OFF);
+            }
+        } catch (error) {
+            this.periodicAvailable = false;
+            console.info('Background sync registration completed:', error);
+        }
+    }
+
+    async registerOneOff() {
+        try {
+            const registration = await navigator.serviceWorker?.ready;
+            await registration?.sync?.register(BACKGROUND_SYNC_TAGS.ONE_OFF);
+        } catch (error) {
+            console.info('Background sync registration completed:', error);
+        }
+    }
+
+    /**
+     * "Last background sync: 2 h ago · 4 currencies", plus failures and retry time
+     */
+    async render() {
+        const element = this.elements.status;
+        if (!element) return;
+
+        const [settings, status] = await Promise.all([this.sync.getSettings(), this.sync.getStatus()]);
+        const lines = [];
+
+        if (!this.supported) {
+            lines.push(i18n.t('sync.unsupported'));
+        } else if (!settings.enabled) {
+            lines.push(i18n.t('sync.disabled'));
+        } else if (status.lastSuccessAt) {
+            lines.push(i18n.t('sync.last', {
+                age: i18n.formatAge(Date.now() - new Date(status.lastSuccessAt).getTime()),
+                currencies: i18n.plural('sync.currencies', status.synced.length)
+            }));
+        } else {
+            lines.push(i18n.t('sync.never'));
+        }
+
+        if (settings.enabled && status.failures > 0 && status.nextAttemptAt) {
+            lines.push(i18n.t('sync.failed', { error: status.error, time: i18n.formatTime(status.nextAttemptAt) }));
+        } else if (settings.enabled && status.failed.length > 0) {
+            lines.push(i18n.t('sync.notUpdated', { codes: status.failed.join(', ') }));
+        }
+
+        if (this.supported && settings.enabled && this.periodicAvailable === false) {
+            lines.push(i18n.t('sync.periodicUnavailable'));
+        }
+
+        element.innerHTML = '';
+        lines.forEach((line, index) => {
+            const item = document.createElement('div');
+            item.className = index === 0 ? 'sync-status-main' : 'sync-status-note';
+            item.textContent = line;
+            element.appendChild(item);
+        });
+    }
+}
+
+// Export for use in other modules
+window.SyncPanel = SyncPanel;
@@ -0,0 +1,967 @@
+/**
+ * UI text catalog for js/i18n.js - one object per language, keyed by message id
+ * {name} marks a placeholder; plural messages use .one/.two/.few/.many/.other suffixes.
+ * Missing keys fall back to English.
+ */
+
+const I18N_MESSAGES = {
+    en: {
+        'app.title': 'Currency Converter',
+        'app.tagline': 'Real-Time Currency Exchange Rates',
+        'app.footer': '© 2025 Currency Converter - Synaptic Fusion LLC. All rights reserved. | Real-time currency conversion with live exchange rates.',
+        'update.available': 'A new version is available.',
+        'update.reload': 'Reload',
+        'update.dismiss': 'Dismiss',
+        'install.button': 'Install app',
+        'locale.label': 'Language and number format',
+        'locale.auto': 'Automatic ({name})',
+
+        'mode.group': 'Conversion mode',
+        'mode.single': 'Single',
+        'mode.many': 'Convert to many',
+        'mode.batch': 'Batch (CSV)',
+
+        'amount.label': 'Amount',
+        'amount.placeholder': '100, 2k, $45 + 12%, 100 EUR in JPY',
+        'amount.error.empty': 'Enter an amount',
+        'amount.error.unexpected': 'Unexpected "{text}"',
+        'amount.error.incomplete': 'Expression is incomplete',
+        'amount.error.missingParen': 'Missing ")"',
+        'amount.error.negative': 'Amount must be positive',
+        'amount.error.divideByZero': 'Cannot divide by zero',
+        'amount.error.notNumber': '"{text}" is not a number',
+        'amount.error.unknownWord': 'Unknown currency or word "{text}"',
+        'amount.error.mixedCurrencies': 'Mixed currencies {from} and {to} - use "in" for the target',
+
+        'asOf.label': 'Rates as of',
+        'asOf.clear': 'Use latest',
+        'asOf.hint': 'Leave empty for latest rates',
+        'currency.from': 'From',
+        'currency.to': 'To',
+        'currency.swap': 'Swap currencies',
+        'rounding.label': 'Rounding',
+        'rounding.halfUp': 'Half-up (commercial)',
+        'rounding.halfEven': 'Half-even (banker\'s)',
+        'rounding.truncate': 'Truncate',
+        'loading.rates': 'Getting latest exchange rates...',
+
+        'result.rate': '1 {from} = {rate} {to}',
+        'rateDate.historical': 'Rates for {date}{substituted} · {provider}',
+        'rateDate.substituted': ' (nearest publication to {date})',
+        'rateDate.historicalData': 'historical data',
+        'rateDate.latest': 'Latest rates, updated {time}{provider}',
+        'error.conversion': 'Updating conversion: {message}',
+        'refresh.title': 'Refresh rates (Ctrl+R)',
+        'refresh.progress': 'Refreshing exchange rates...',
+        'cache.cleared': 'Cache cleared successfully',
+        'rates.warning.offline': 'Offline - showing rates fetched {age}',
+        'rates.warning.providersUnavailable': 'Rate providers unavailable - showing rates fetched {age}',
+        'rates.warning.updating': 'Updating - showing rates fetched {age}',
+        'rates.warning.builtIn': 'No connection to rate providers - using built-in rates from {date}',
+        'converter.error.update': 'Updating exchange rates: {message}',
+        'converter.error.historical': 'Loading rates for {date}: {message}',
+        'converter.error.noRate': 'No {from}/{to} rate available',
+        'converter.error.historicalUnavailable': 'Rates for {date} unavailable: {message}',
+        'converter.error.noHistoricalRate': 'No {from}/{to} rate published for {date}',
+        'converter.refreshing': 'Refreshing with latest rates...',
+
+        'status.offline': '📡 Offline - Using cached data',
+        'status.online': '🟢 Online',
+        'status.lastUpdated': 'Last updated: {time}{source}',
+        'source.api': 'live',
+        'source.cache': 'cached',
+        'source.sw_cache': 'cached',
+        'source.sw_stale': 'cached, updating',
+        'source.offline_cache': 'saved offline',
+        'source.error_fallback_cache': 'saved copy',
+        'source.fallback': 'built-in',
+        'source.error_fallback_hardcoded': 'built-in',
+        'tier.live': '🌐 Live rates',
+        'tier.fresh': '💾 Fresh cached rates',
+        'tier.stale': '🕒 Stale rates',
+        'tier.expired': '⚠️ Expired rates',
+        'tier.hardcoded': '📦 Built-in rates (not live)',
+        'confidence.medium': 'medium confidence',
+        'confidence.low': 'low confidence',
+        'provenance.unknownProvider': 'Unknown provider',
+        'provenance.published': 'published {time}',
+        'provenance.fetched': 'fetched {age}',
+        'provenance.unknown': 'unknown',
+        'provenance.never': 'never (built-in)',
+        'provenance.tooltip': 'Source: {source}\nProvider: {provider}\nBase: {base}\nPublished: {published}\nFetched: {fetched}\nFreshness: {tier}\nConfidence: {confidence}',
+        'consensus.agree.other': '{count} sources agree · spread {spread}',
+        'consensus.single': 'Not cross-checked - only one source answered',
+        'consensus.disputed': 'Sources disagree by {spread} - check before relying on this rate',
+        'consensus.outlier': '{provider} excluded: {currency} {deviation} off the median',
+        'age.unknown': 'unknown age',
+
+        'multi.caption': 'Converted amounts',
+        'multi.currency': 'Currency',
+        'multi.amount': 'Amount',
+        'multi.rate': 'Rate',
+        'multi.actions': 'Actions',
+        'multi.addLabel': 'Currency to add',
+        'multi.add': 'Add currency',
+        'multi.empty': 'Add a currency to start comparing',
+        'multi.unavailable': 'N/A',
+        'multi.rateFrom': '1 {from} = {rate}',
+        'multi.moveUp': 'Move {code} up',
+        'multi.moveDown': 'Move {code} down',
+        'multi.remove': 'Remove {code}',
+
+        'costs.caption': 'Cost by payment route',
+        'costs.route': 'Route',
+        'costs.pay': 'You pay',
+        'costs.receive': 'Recipient gets',
+        'costs.effectiveRate': 'Effective rate',
+        'costs.fees': 'Fees',
+        'costs.actions': 'Actions',
+        'costs.midMarket': 'Mid-market (no fees)',
+        'costs.cheapest': 'Cheapest',
+        'costs.unavailable': 'N/A',
+        'costs.noRate': 'Enter an amount with an available rate to compare payment routes',
+        'costs.empty': 'No payment routes yet - add one below',
+        'costs.markup': '{percent} below mid-market',
+        'costs.remove': 'Remove {name}',
+        'costs.breakdown.spread': 'Spread {percent}: {amount}',
+        'costs.breakdown.percentFee': 'FX fee {percent}: {amount}',
+        'costs.breakdown.fixedFee': 'Fixed fee{original}: {amount}',
+        'costs.manage': 'Add a payment route',
+        'costs.name': 'Name',
+        'costs.spread': 'Spread %',
+        'costs.percentFee': 'FX fee %',
+        'costs.fixedFee': 'Fixed fee',
+        'costs.fixedFeeCurrency': 'Fixed fee currency',
+        'costs.sourceCurrency': 'Source currency',
+        'costs.add': 'Add route',
+        'costs.reset': 'Restore default routes',
+        'costs.error.name': 'Enter a name for the route',
+        'costs.error.spread': 'Spread must be a percentage from 0 to 100',
+        'costs.error.percentFee': 'FX fee must be a percentage from 0 to 100',
+        'costs.error.fixedFee': 'Fixed fee must be zero or a positive amount',
+        'costs.error.currency': 'Unknown fee currency {code}',
+
+        'batch.title': 'Batch conversion',
+        'batch.hint': 'Paste rows or upload a CSV with amount, from and to columns (and an optional date column).',
+        'batch.input': 'CSV rows',
+        'batch.upload': 'Or upload a file',
+        'batch.delimiter': 'Delimiter',
+        'batch.delimiter.comma': 'Comma (,)',
+        'batch.delimiter.semicolon': 'Semicolon (;)',
+        'batch.delimiter.tab': 'Tab',
+        'batch.delimiter.pipe': 'Pipe (|)',
+        'batch.decimal': 'Decimal separator',
+        'batch.decimal.point': 'Point (1,234.56)',
+        'batch.decimal.comma': 'Comma (1.234,56)',
+        'batch.convert': 'Convert rows',
+        'batch.download': 'Download CSV',
+        'batch.rowsDetected.one': '{count} row detected',
+        'batch.rowsDetected.other': '{count} rows detected',
+        'batch.field.amount': 'Amount',
+        'batch.field.from': 'From',
+        'batch.field.to': 'To',
+        'batch.field.date': 'Date (optional)',
+        'batch.none': '— none —',
+        'batch.column': 'Column {number}',
+        'batch.converting': 'Converting...',
+        'batch.progress': 'Converting {done} of {total}...',
+        'batch.summary': '{converted} converted, {invalid} invalid',
+        'batch.lineError': 'Line {line}: {error}',
+
+        'history.title': '{from}/{to} history',
+        'history.ranges': 'Chart range',
+        'history.unavailable': 'History unavailable: {error}',
+        'history.empty': 'No history available for this pair',
+        'history.label': '{from} to {to} exchange rate, {range}',
+        'history.summary': '{range} change: {change} · High: {high} · Low: {low}',
+
+        'popular.title': 'Popular Exchange Rates',
+        'popular.titleOn': 'Exchange Rates on {date}',
+        'popular.loading': 'Loading...',
+
+        'picker.matches': 'Matches',
+        'picker.favorites': 'Favorites',
+        'picker.recent': 'Recent',
+        'picker.popular': 'Popular',
+        'picker.all': 'All currencies',
+        'picker.noMatch': 'No matching currency',
+        'picker.available': '{count} currencies available',
+        'picker.favorite': 'favorite',
+        'picker.pin': 'Pin {code} as favorite',
+        'picker.unpin': 'Unpin {code} as favorite',
+        'picker.addFavorite': 'Add to favorites',
+        'picker.removeFavorite': 'Remove from favorites',
+
+        'alerts.title': 'Rate Alerts',
+        'alerts.fromLabel': 'Alert from currency',
+        'alerts.toLabel': 'Alert to currency',
+        'alerts.conditionLabel': 'Alert condition',
+        'alerts.type.below': 'Drops below',
+        'alerts.type.above': 'Rises above',
+        'alerts.type.change': 'Moves more than % in 24h',
+        'alerts.thresholdLabel': 'Threshold',
+        'alerts.rate': 'Rate',
+        'alerts.now': 'Now {rate}',
+        'alerts.changeHint': '% move, e.g. 1',
+        'alerts.add': 'Add alert',
+        'alerts.enableNotifications': 'Enable notifications',
+        'alerts.notificationsBlocked': 'Notifications blocked in browser settings',
+        'alerts.triggered': 'Triggered',
+        'alerts.clear': 'Clear',
+        'alerts.empty': 'No alerts yet',
+        'alerts.condition.below': 'below {threshold}',
+        'alerts.condition.above': 'above {threshold}',
+        'alerts.condition.change': 'moves ±{threshold}% in 24h',
+        'alerts.pause': 'Pause',
+        'alerts.resume': 'Resume',
+        'alerts.remove': 'Remove {alert} alert',
+        'alerts.error.pair': 'Choose two different currencies',
+        'alerts.error.type': 'Choose an alert condition',
+        'alerts.error.threshold': 'Threshold must be a positive number',
+        'alerts.fired.below': '{pair} is {rate}, below your {threshold} alert',
+        'alerts.fired.above': '{pair} is {rate}, above your {threshold} alert',
+        'alerts.fired.up': '{pair} moved up {change}% in 24h to {rate}',
+        'alerts.fired.down': '{pair} moved down {change}% in 24h to {rate}',
+        'alerts.notificationTitle': 'Rate alert: {pair}',
+
+        'sync.title': 'Background Sync',
+        'sync.hint': 'Keeps rates for your favorites, table and alerts fresh while the app is closed.',
+        'sync.interval': 'Refresh',
+        'sync.everyHour': 'Every hour',
+        'sync.everyHours': 'Every {hours} hours',
+        'sync.off': 'Off',
+        'sync.unsupported': 'Background sync is not supported in this browser',
+        'sync.disabled': 'Background sync is off',
+        'sync.last': 'Last background sync: {age} · {currencies}',
+        'sync.currencies.one': '{count} currency',
+        'sync.currencies.other': '{count} currencies',
+        'sync.never': 'No background sync yet',
+        'sync.failed': 'Last attempt failed ({error}) - retrying after {time}',
+        'sync.notUpdated': 'Not updated: {codes}',
+        'sync.periodicUnavailable': 'Periodic sync unavailable - rates refresh when you reconnect'
+    },
+
+    es: {
+        'app.title': 'Conversor de divisas',
+        'app.tagline': 'Tipos de cambio en tiempo real',
+        'app.footer': '© 2025 Currency Converter - Synaptic Fusion LLC. Todos los derechos reservados. | Conversión de divisas en tiempo real con tipos de cambio actualizados.',
+        'update.available': 'Hay una nueva versión disponible.',
+        'update.reload': 'Recargar',
+        'update.dismiss': 'Cerrar',
+        'install.button': 'Instalar app',
+        'locale.label': 'Idioma y formato de números',
+        'locale.auto': 'Automático ({name})',
+
+        'mode.group': 'Modo de conversión',
+        'mode.single': 'Individual',
+        'mode.many': 'Convertir a varias',
+        'mode.batch': 'Lote (CSV)',
+
+        'amount.label': 'Importe',
+        'amount.placeholder': '100, 2k, 45 $ + 12%, 100 EUR en JPY',
+        'amount.error.empty': 'Introduce un importe',
+        'amount.error.unexpected': '"{text}" inesperado',
+        'amount.error.incomplete': 'La expresión está incompleta',
+        'amount.error.missingParen': 'Falta ")"',
+        'amount.error.negative': 'El importe debe ser positivo',
+        'amount.error.divideByZero': 'No se puede dividir entre cero',
+        'amount.error.notNumber': '"{text}" no es un número',
+        'amount.error.unknownWord': 'Moneda o palabra desconocida "{text}"',
+        'amount.error.mixedCurrencies': 'Monedas mezcladas {from} y {to}: usa "in" para la moneda de destino',
+
+        'asOf.label': 'Tipos a fecha de',
+        'asOf.clear': 'Usar los últimos',
+        'asOf.hint': 'Déjalo vacío para usar los tipos más recientes',
+        'currency.from': 'De',
+        'currency.to': 'A',
+        'currency.swap': 'Intercambiar monedas',
+        'rounding.label': 'Redondeo',
+        'rounding.halfUp': 'Medio hacia arriba (comercial)',
+        'rounding.halfEven': 'Medio al par (bancario)',
+        'rounding.truncate': 'Truncar',
+        'loading.rates': 'Obteniendo los últimos tipos de cambio...',
+
+        'result.rate': '1 {from} = {rate} {to}',
+        'rateDate.historical': 'Tipos del {date}{substituted} · {provider}',
+        'rateDate.substituted': ' (publicación más cercana al {date})',
+        'rateDate.historicalData': 'datos históricos',
+        'rateDate.latest': 'Últimos tipos, actualizados {time}{provider}',
+        'error.conversion': 'Actualizando la conversión: {message}',
+        'refresh.title': 'Actualizar tipos (Ctrl+R)',
+        'refresh.progress': 'Actualizando tipos de cambio...',
+        'cache.cleared': 'Caché borrada correctamente',
+        'rates.warning.offline': 'Sin conexión - mostrando tipos obtenidos {age}',
+        'rates.warning.providersUnavailable': 'Proveedores de tipos no disponibles - mostrando tipos obtenidos {age}',
+        'rates.warning.updating': 'Actualizando - mostrando tipos obtenidos {age}',
+        'rates.warning.builtIn': 'Sin conexión con los proveedores - usando tipos integrados del {date}',
+        'converter.error.update': 'Actualizando tipos de cambio: {message}',
+        'converter.error.historical': 'Cargando tipos del {date}: {message}',
+        'converter.error.noRate': 'No hay tipo {from}/{to} disponible',
+        'converter.error.historicalUnavailable': 'Tipos del {date} no disponibles: {message}',
+        'converter.error.noHistoricalRate': 'No se publicó tipo {from}/{to} para el {date}',
+        'converter.refreshing': 'Actualizando con los últimos tipos...',
+
+        'status.offline': '📡 Sin conexión - Usando datos en caché',
+        'status.online': '🟢 En línea',
+        'status.lastUpdated': 'Última actualización: {time}{source}',
+        'source.api': 'en directo',
+        'source.cache': 'en caché',
+        'source.sw_cache': 'en caché',
+        'source.sw_stale': 'en caché, actualizando',
+        'source.offline_cache': 'guardados sin conexión',
+        'source.error_fallback_cache': 'copia guardada',
+        'source.fallback': 'integrados',
+        'source.error_fallback_hardcoded': 'integrados',
+        'tier.live': '🌐 Tipos en directo',
+        'tier.fresh': '💾 Tipos recientes en caché',
+        'tier.stale': '🕒 Tipos desactualizados',
+        'tier.expired': '⚠️ Tipos caducados',
+        'tier.hardcoded': '📦 Tipos integrados (no en directo)',
+        'confidence.medium': 'confianza media',
+        'confidence.low': 'confianza baja',
+        'provenance.unknownProvider': 'Proveedor desconocido',
+        'provenance.published': 'publicado {time}',
+        'provenance.fetched': 'obtenido {age}',
+        'provenance.unknown': 'desconocido',
+        'provenance.never': 'nunca (integrados)',
+        'provenance.tooltip': 'Origen: {source}\nProveedor: {provider}\nBase: {base}\nPublicado: {published}\nObtenido: {fetched}\nActualidad: {tier}\nConfianza: {confidence}',
+        'consensus.agree.other': '{count} fuentes coinciden · diferencia {spread}',
+        'consensus.single': 'Sin verificar: solo respondió una fuente',
+        'consensus.disputed': 'Las fuentes difieren un {spread}; compruébalo antes de usar este tipo',
+        'consensus.outlier': '{provider} descartado: {currency} se desvía {deviation} de la mediana',
+        'age.unknown': 'antigüedad desconocida',
+
+        'multi.caption': 'Importes convertidos',
+        'multi.currency': 'Moneda',
+        'multi.amount': 'Importe',
+        'multi.rate': 'Tipo',
+        'multi.actions': 'Acciones',
+        'multi.addLabel': 'Moneda que añadir',
+        'multi.add': 'Añadir moneda',
+        'multi.empty': 'Añade una moneda para empezar a comparar',
+        'multi.unavailable': 'N/D',
+        'multi.rateFrom': '1 {from} = {rate}',
+        'multi.moveUp': 'Subir {code}',
+        'multi.moveDown': 'Bajar {code}',
+        'multi.remove': 'Quitar {code}',
+
+        'costs.caption': 'Coste por forma de pago',
+        'costs.route': 'Forma de pago',
+        'costs.pay': 'Pagas',
+        'costs.receive': 'Recibe el destinatario',
+        'costs.effectiveRate': 'Tipo efectivo',
+        'costs.fees': 'Comisiones',
+        'costs.actions': 'Acciones',
+        'costs.midMarket': 'Tipo medio de mercado (sin comisiones)',
+        'costs.cheapest': 'La más barata',
+        'costs.unavailable': 'N/D',
+        'costs.noRate': 'Introduce un importe con tipo disponible para comparar formas de pago',
+        'costs.empty': 'Aún no hay formas de pago: añade una abajo',
+        'costs.markup': '{percent} por debajo del tipo medio',
+        'costs.remove': 'Quitar {name}',
+        'costs.breakdown.spread': 'Diferencial {percent}: {amount}',
+        'costs.breakdown.percentFee': 'Comisión de cambio {percent}: {amount}',
+        'costs.breakdown.fixedFee': 'Comisión fija{original}: {amount}',
+        'costs.manage': 'Añadir una forma de pago',
+        'costs.name': 'Nombre',
+        'costs.spread': 'Diferencial %',
+        'costs.percentFee': 'Comisión de cambio %',
+        'costs.fixedFee': 'Comisión fija',
+        'costs.fixedFeeCurrency': 'Moneda de la comisión fija',
+        'costs.sourceCurrency': 'Moneda de origen',
+        'costs.add': 'Añadir forma de pago',
+        'costs.reset': 'Restaurar formas de pago predeterminadas',
+        'costs.error.name': 'Introduce un nombre para la forma de pago',
+        'costs.error.spread': 'El diferencial debe ser un porcentaje entre 0 y 100',
+        'costs.error.percentFee': 'La comisión de cambio debe ser un porcentaje entre 0 y 100',
+        'costs.error.fixedFee': 'La comisión fija debe ser cero o un importe positivo',
+        'costs.error.currency': 'Moneda de comisión desconocida: {code}',
+
+        'batch.title': 'Conversión por lotes',
+        'batch.hint': 'Pega filas o sube un CSV con columnas de importe, origen y destino (y una columna de fecha opcional).',
+        'batch.input': 'Filas CSV',
+        'batch.upload': 'O sube un archivo',
+        'batch.delimiter': 'Delimitador',
+        'batch.delimiter.comma': 'Coma (,)',
+        'batch.delimiter.semicolon': 'Punto y coma (;)',
+        'batch.delimiter.tab': 'Tabulador',
+        'batch.delimiter.pipe': 'Barra vertical (|)',
+        'batch.decimal': 'Separador decimal',
+        'batch.decimal.point': 'Punto (1,234.56)',
+        'batch.decimal.comma': 'Coma (1.234,56)',
+        'batch.convert': 'Convertir filas',
+        'batch.download': 'Descargar CSV',
+        'batch.rowsDetected.one': '{count} fila detectada',
+        'batch.rowsDetected.other': '{count} filas detectadas',
+        'batch.field.amount': 'Importe',
+        'batch.field.from': 'De',
+        'batch.field.to': 'A',
+        'batch.field.date': 'Fecha (opcional)',
+        'batch.none': '— ninguna —',
+        'batch.column': 'Columna {number}',
+        'batch.converting': 'Convirtiendo...',
+        'batch.progress': 'Convirtiendo {done} de {total}...',
+        'batch.summary': '{converted} convertidas, {invalid} no válidas',
+        'batch.lineError': 'Línea {line}: {error}',
+
+        'history.title': 'Historial {from}/{to}',
+        'history.ranges': 'Periodo del gráfico',
+        'history.unavailable': 'Historial no disponible: {error}',
+        'history.empty': 'No hay historial para este par',
+        'history.label': 'Tipo de cambio de {from} a {to}, {range}',
+        'history.summary': 'Variación {range}: {change} · Máximo: {high} · Mínimo: {low}',
+
+        'popular.title': 'Tipos de cambio populares',
+        'popular.titleOn': 'Tipos de cambio del {date}',
+        'popular.loading': 'Cargando...',
+
+        'picker.matches': 'Coincidencias',
+        'picker.favorites': 'Favoritas',
+        'picker.recent': 'Recientes',
+        'picker.popular': 'Populares',
+        'picker.all': 'Todas las monedas',
+        'picker.noMatch': 'Ninguna moneda coincide',
+        'picker.available': '{count} monedas disponibles',
+        'picker.favorite': 'favorita',
+        'picker.pin': 'Fijar {code} como favorita',
+        'picker.unpin': 'Quitar {code} de favoritas',
+        'picker.addFavorite': 'Añadir a favoritas',
+        'picker.removeFavorite': 'Quitar de favoritas',
+
+        'alerts.title': 'Alertas de tipo de cambio',
+        'alerts.fromLabel': 'Moneda de origen de la alerta',
+        'alerts.toLabel': 'Moneda de destino de la alerta',
+        'alerts.conditionLabel': 'Condición de la alerta',
+        'alerts.type.below': 'Baja de',
+        'alerts.type.above': 'Sube de',
+        'alerts.type.change': 'Varía más de un % en 24 h',
+        'alerts.thresholdLabel': 'Umbral',
+        'alerts.rate': 'Tipo',
+        'alerts.now': 'Ahora {rate}',
+        'alerts.changeHint': '% de variación, p. ej. 1',
+        'alerts.add': 'Añadir alerta',
+        'alerts.enableNotifications': 'Activar notificaciones',
+        'alerts.notificationsBlocked': 'Notificaciones bloqueadas en la configuración del navegador',
+        'alerts.triggered': 'Disparadas',
+        'alerts.clear': 'Borrar',
+        'alerts.empty': 'Aún no hay alertas',
+        'alerts.condition.below': 'por debajo de {threshold}',
+        'alerts.condition.above': 'por encima de {threshold}',
+        'alerts.condition.change': 'varía ±{threshold}% en 24 h',
+        'alerts.pause': 'Pausar',
+        'alerts.resume': 'Reanudar',
+        'alerts.remove': 'Quitar la alerta {alert}',
+        'alerts.error.pair': 'Elige dos monedas distintas',
+        'alerts.error.type': 'Elige una condición para la alerta',
+        'alerts.error.threshold': 'El umbral debe ser un número positivo',
+        'alerts.fired.below': '{pair} está en {rate}, por debajo de tu alerta de {threshold}',
+        'alerts.fired.above': '{pair} está en {rate}, por encima de tu alerta de {threshold}',
+        'alerts.fired.up': '{pair} subió un {change}% en 24 h hasta {rate}',
+        'alerts.fired.down': '{pair} bajó un {change}% en 24 h hasta {rate}',
+        'alerts.notificationTitle': 'Alerta de tipo de cambio: {pair}',
+
+        'sync.title': 'Sincronización en segundo plano',
+        'sync.hint': 'Mantiene al día los tipos de tus favoritas, la tabla y las alertas aunque la app esté cerrada.',
+        'sync.interval': 'Actualizar',
+        'sync.everyHour': 'Cada hora',
+        'sync.everyHours': 'Cada {hours} horas',
+        'sync.off': 'Desactivada',
+        'sync.unsupported': 'Este navegador no admite la sincronización en segundo plano',
+        'sync.disabled': 'La sincronización en segundo plano está desactivada',
+        'sync.last': 'Última sincronización: {age} · {currencies}',
+        'sync.currencies.one': '{count} moneda',
+        'sync.currencies.other': '{count} monedas',
+        'sync.never': 'Aún no se ha sincronizado',
+        'sync.failed': 'El último intento falló ({error}); se reintentará después de las {time}',
+        'sync.notUpdated': 'Sin actualizar: {codes}',
+        'sync.periodicUnavailable': 'Sincronización periódica no disponible: los tipos se actualizan al volver a conectarte'
+    },
+
+    ar: {
+        'app.title': 'محوّل العملات',
+        'app.tagline': 'أسعار صرف العملات لحظة بلحظة',
+        'app.footer': '© 2025 Currency Converter - Synaptic Fusion LLC. جميع الحقوق محفوظة. | تحويل العملات لحظيًا بأسعار صرف مباشرة.',
+        'update.available': 'يتوفر إصدار جديد.',
+        'update.reload': 'إعادة التحميل',
+        'update.dismiss': 'إغلاق',
+        'install.button': 'تثبيت التطبيق',
+        'locale.label': 'اللغة وتنسيق الأرقام',
+        'locale.auto': 'تلقائي ({name})',
+
+        'mode.group': 'وضع التحويل',
+        'mode.single': 'تحويل واحد',
+        'mode.many': 'تحويل إلى عدة عملات',
+        'mode.batch': 'دفعة (CSV)',
+
+        'amount.label': 'المبلغ',
+        'amount.placeholder': '100، 2k، ‎$45 + 12%‎، 100 EUR in JPY',
+        'amount.error.empty': 'أدخل مبلغًا',
+        'amount.error.unexpected': '"{text}" غير متوقع',
+        'amount.error.incomplete': 'التعبير غير مكتمل',
+        'amount.error.missingParen': 'ينقص ")"',
+        'amount.error.negative': 'يجب أن يكون المبلغ موجبًا',
+        'amount.error.divideByZero': 'لا يمكن القسمة على صفر',
+        'amount.error.notNumber': '"{text}" ليس رقمًا',
+        'amount.error.unknownWord': 'عملة أو كلمة غير معروفة "{text}"',
+        'amount.error.mixedCurrencies': 'عملتان مختلفتان {from} و{to} - استخدم "in" لعملة الهدف',
+
+        'asOf.label': 'الأسعار بتاريخ',
+        'asOf.clear': 'أحدث الأسعار',
+        'asOf.hint': 'اتركه فارغًا لاستخدام أحدث الأسعار',
+        'currency.from': 'من',
+        'currency.to': 'إلى',
+        'currency.swap': 'تبديل العملتين',
+        'rounding.label': 'التقريب',
+        'rounding.halfUp': 'نصف للأعلى (تجاري)',
+        'rounding.halfEven': 'نصف للزوجي (مصرفي)',
+        'rounding.truncate': 'اقتطاع',
+        'loading.rates': 'جارٍ جلب أحدث أسعار الصرف...',
+
+        'result.rate': '1 {from} = {rate} {to}',
+        'rateDate.historical': 'أسعار {date}{substituted} · {provider}',
+        'rateDate.substituted': ' (أقرب نشرة إلى {date})',
+        'rateDate.historicalData': 'بيانات تاريخية',
+        'rateDate.latest': 'أحدث الأسعار، حُدّثت {time}{provider}',
+        'error.conversion': 'جارٍ تحديث التحويل: {message}',
+        'refresh.title': 'تحديث الأسعار (Ctrl+R)',
+        'refresh.progress': 'جارٍ تحديث أسعار الصرف...',
+        'cache.cleared': 'تم مسح الذاكرة المؤقتة بنجاح',
+        'rates.warning.offline': 'غير متصل - عرض أسعار تم جلبها {age}',
+        'rates.warning.providersUnavailable': 'مزوّدو الأسعار غير متاحين - عرض أسعار تم جلبها {age}',
+        'rates.warning.updating': 'جارٍ التحديث - عرض أسعار تم جلبها {age}',
+        'rates.warning.builtIn': 'لا اتصال بمزوّدي الأسعار - استخدام الأسعار المدمجة بتاريخ {date}',
+        'converter.error.update': 'جارٍ تحديث أسعار الصرف: {message}',
+        'converter.error.historical': 'جارٍ تحميل أسعار {date}: {message}',
+        'converter.error.noRate': 'لا يتوفر سعر {from}/{to}',
+        'converter.error.historicalUnavailable': 'أسعار {date} غير متاحة: {message}',
+        'converter.error.noHistoricalRate': 'لم يُنشر سعر {from}/{to} بتاريخ {date}',
+        'converter.refreshing': 'جارٍ التحديث بأحدث الأسعار...',
+
+        'status.offline': '📡 غير متصل - استخدام البيانات المخزنة',
+        'status.online': '🟢 متصل',
+        'status.lastUpdated': 'آخر تحديث: {time}{source}',
+        'source.api': 'مباشر',
+        'source.cache': 'مخزن',
+        'source.sw_cache': 'مخزن',
+        'source.sw_stale': 'مخزن، جارٍ التحديث',
+        'source.offline_cache': 'محفوظ دون اتصال',
+        'source.error_fallback_cache': 'نسخة محفوظة',
+        'source.fallback': 'مدمج',
+        'source.error_fallback_hardcoded': 'مدمج',
+        'tier.live': '🌐 أسعار مباشرة',
+        'tier.fresh': '💾 أسعار مخزنة حديثة',
+        'tier.stale': '🕒 أسعار قديمة',
+        'tier.expired': '⚠️ أسعار منتهية الصلاحية',
+        'tier.hardcoded': '📦 أسعار مدمجة (غير مباشرة)',
+        'confidence.medium': 'ثقة متوسطة',
+        'confidence.low': 'ثقة منخفضة',
+        'provenance.unknownProvider': 'مزوّد غير معروف',
+        'provenance.published': 'نُشرت {time}',
+        'provenance.fetched': 'جُلبت {age}',
+        'provenance.unknown': 'غير معروف',
+        'provenance.never': 'أبدًا (مدمجة)',
+        'provenance.tooltip': 'المصدر: {source}\nالمزوّد: {provider}\nالأساس: {base}\nالنشر: {published}\nالجلب: {fetched}\nالحداثة: {tier}\nالثقة: {confidence}',
+        'consensus.agree.two': 'مصدران متفقان · الفارق {spread}',
+        'consensus.agree.few': '{count} مصادر متفقة · الفارق {spread}',
+        'consensus.agree.many': '{count} مصدرًا متفقًا · الفارق {spread}',
+        'consensus.agree.other': '{count} مصدر متفق · الفارق {spread}',
+        'consensus.single': 'غير مُتحقَّق منه - أجاب مصدر واحد فقط',
+        'consensus.disputed': 'تختلف المصادر بنسبة {spread} - تحقّق قبل الاعتماد على هذا السعر',
+        'consensus.outlier': 'استُبعد {provider}: ‏{currency} ينحرف {deviation} عن الوسيط',
+        'age.unknown': 'عمر غير معروف',
+
+        'multi.caption': 'المبالغ المحوّلة',
+        'multi.currency': 'العملة',
+        'multi.amount': 'المبلغ',
+        'multi.rate': 'السعر',
+        'multi.actions': 'إجراءات',
+        'multi.addLabel': 'العملة المراد إضافتها',
+        'multi.add': 'إضافة عملة',
+        'multi.empty': 'أضف عملة لبدء المقارنة',
+        'multi.unavailable': 'غير متاح',
+        'multi.rateFrom': '1 {from} = {rate}',
+        'multi.moveUp': 'نقل {code} للأعلى',
+        'multi.moveDown': 'نقل {code} للأسفل',
+        'multi.remove': 'إزالة {code}',
+
+        'costs.caption': 'التكلفة حسب طريقة الدفع',
+        'costs.route': 'طريقة الدفع',
+        'costs.pay': 'تدفع',
+        'costs.receive': 'يستلم المستفيد',
+        'costs.effectiveRate': 'السعر الفعلي',
+        'costs.fees': 'الرسوم',
+        'costs.actions': 'إجراءات',
+        'costs.midMarket': 'سعر السوق المتوسط (بدون رسوم)',
+        'costs.cheapest': 'الأرخص',
+        'costs.unavailable': 'غير متاح',
+        'costs.noRate': 'أدخل مبلغًا بسعر متاح لمقارنة طرق الدفع',
+        'costs.empty': 'لا توجد طرق دفع بعد - أضف واحدة أدناه',
+        'costs.markup': 'أقل من سعر السوق المتوسط بنسبة {percent}',
+        'costs.remove': 'إزالة {name}',
+        'costs.breakdown.spread': 'الهامش {percent}: {amount}',
+        'costs.breakdown.percentFee': 'رسوم الصرف {percent}: {amount}',
+        'costs.breakdown.fixedFee': 'رسوم ثابتة{original}: {amount}',
+        'costs.manage': 'إضافة طريقة دفع',
+        'costs.name': 'الاسم',
+        'costs.spread': 'الهامش %',
+        'costs.percentFee': 'رسوم الصرف %',
+        'costs.fixedFee': 'رسوم ثابتة',
+        'costs.fixedFeeCurrency': 'عملة الرسوم الثابتة',
+        'costs.sourceCurrency': 'العملة المصدر',
+        'costs.add': 'إضافة طريقة',
+        'costs.reset': 'استعادة طرق الدفع الافتراضية',
+        'costs.error.name': 'أدخل اسمًا لطريقة الدفع',
+        'costs.error.spread': 'يجب أن يكون الهامش نسبة من 0 إلى 100',
+        'costs.error.percentFee': 'يجب أن تكون رسوم الصرف نسبة من 0 إلى 100',
+        'costs.error.fixedFee': 'يجب أن تكون الرسوم الثابتة صفرًا أو مبلغًا موجبًا',
+        'costs.error.currency': 'عملة رسوم غير معروفة {code}',
+
+        'batch.title': 'تحويل دفعة',
+        'batch.hint': 'الصق صفوفًا أو ارفع ملف CSV بأعمدة المبلغ والعملة المصدر والهدف (وعمود تاريخ اختياري).',
+        'batch.input': 'صفوف CSV',
+        'batch.upload': 'أو ارفع ملفًا',
+        'batch.delimiter': 'الفاصل',
+        'batch.delimiter.comma': 'فاصلة (,)',
+        'batch.delimiter.semicolon': 'فاصلة منقوطة (;)',
+        'batch.delimiter.tab': 'جدولة',
+        'batch.delimiter.pipe': 'خط عمودي (|)',
+        'batch.decimal': 'الفاصل العشري',
+        'batch.decimal.point': 'نقطة (1,234.56)',
+        'batch.decimal.comma': 'فاصلة (1.234,56)',
+        'batch.convert': 'تحويل الصفوف',
+        'batch.download': 'تنزيل CSV',
+        'batch.rowsDetected.zero': 'لم يُكتشف أي صف',
+        'batch.rowsDetected.one': 'صف واحد مكتشف',
+        'batch.rowsDetected.two': 'صفان مكتشفان',
+        'batch.rowsDetected.few': '{count} صفوف مكتشفة',
+        'batch.rowsDetected.many': '{count} صفًا مكتشفًا',
+        'batch.rowsDetected.other': '{count} صف مكتشف',
+        'batch.field.amount': 'المبلغ',
+        'batch.field.from': 'من',
+        'batch.field.to': 'إلى',
+        'batch.field.date': 'التاريخ (اختياري)',
+        'batch.none': '— لا شيء —',
+        'batch.column': 'العمود {number}',
+        'batch.converting': 'جارٍ التحويل...',
+        'batch.progress': 'جارٍ تحويل {done} من {total}...',
+        'batch.summary': 'تم تحويل {converted}، غير صالح {invalid}',
+        'batch.lineError': 'السطر {line}: {error}',
+
+        'history.title': 'سجل {from}/{to}',
+        'history.ranges': 'مدى الرسم البياني',
+        'history.unavailable': 'السجل غير متاح: {error}',
+        'history.empty': 'لا يوجد سجل لهذا الزوج',
+        'history.label': 'سعر صرف {from} إلى {to}، {range}',
+        'history.summary': 'التغير خلال {range}: {change} · الأعلى: {high} · الأدنى: {low}',
+
+        'popular.title': 'أسعار الصرف الشائعة',
+        'popular.titleOn': 'أسعار الصرف بتاريخ {date}',
+        'popular.loading': 'جارٍ التحميل...',
+
+        'picker.matches': 'النتائج',
+        'picker.favorites': 'المفضلة',
+        'picker.recent': 'الأخيرة',
+        'picker.popular': 'الشائعة',
+        'picker.all': 'كل العملات',
+        'picker.noMatch': 'لا توجد عملة مطابقة',
+        'picker.available': 'العملات المتاحة: {count}',
+        'picker.favorite': 'مفضلة',
+        'picker.pin': 'تثبيت {code} في المفضلة',
+        'picker.unpin': 'إلغاء تثبيت {code} من المفضلة',
+        'picker.addFavorite': 'إضافة إلى المفضلة',
+        'picker.removeFavorite': 'إزالة من المفضلة',
+
+        'alerts.title': 'تنبيهات الأسعار',
+        'alerts.fromLabel': 'عملة المصدر للتنبيه',
+        'alerts.toLabel': 'عملة الهدف للتنبيه',
+        'alerts.conditionLabel': 'شرط التنبيه',
+        'alerts.type.below': 'ينخفض تحت',
+        'alerts.type.above': 'يرتفع فوق',
+        'alerts.type.change': 'يتحرك بأكثر من % خلال 24 ساعة',
+        'alerts.thresholdLabel': 'الحد',
+        'alerts.rate': 'السعر',
+        'alerts.now': 'الآن {rate}',
+        'alerts.changeHint': 'نسبة التحرك، مثل 1',
+        'alerts.add': 'إضافة تنبيه',
+        'alerts.enableNotifications': 'تفعيل الإشعارات',
+        'alerts.notificationsBlocked': 'الإشعارات محظورة في إعدادات المتصفح',
+        'alerts.triggered': 'التنبيهات المنطلقة',
+        'alerts.clear': 'مسح',
+        'alerts.empty': 'لا توجد تنبيهات بعد',
+        'alerts.condition.below': 'تحت {threshold}',
+        'alerts.condition.above': 'فوق {threshold}',
+        'alerts.condition.change': 'يتحرك ±{threshold}% خلال 24 ساعة',
+        'alerts.pause': 'إيقاف مؤقت',
+        'alerts.resume': 'استئناف',
+        'alerts.remove': 'إزالة تنبيه {alert}',
+        'alerts.error.pair': 'اختر عملتين مختلفتين',
+        'alerts.error.type': 'اختر شرطًا للتنبيه',
+        'alerts.error.threshold': 'يجب أن يكون الحد رقمًا موجبًا',
+        'alerts.fired.below': '{pair} عند {rate}، تحت حد التنبيه {threshold}',
+        'alerts.fired.above': '{pair} عند {rate}، فوق حد التنبيه {threshold}',
+        'alerts.fired.up': 'ارتفع {pair} بنسبة {change}% خلال 24 ساعة إلى {rate}',
+        'alerts.fired.down': 'انخفض {pair} بنسبة {change}% خلال 24 ساعة إلى {rate}',
+        'alerts.notificationTitle': 'تنبيه سعر: {pair}',
+
+        'sync.title': 'المزامنة في الخلفية',
+        'sync.hint': 'تُبقي أسعار عملاتك المفضلة والجدول والتنبيهات محدّثة أثناء إغلاق التطبيق.',
+        'sync.interval': 'التحديث',
+        'sync.everyHour': 'كل ساعة',
+        'sync.everyHours': 'كل {hours} ساعات',
+        'sync.off': 'متوقف',
+        'sync.unsupported': 'المزامنة في الخلفية غير مدعومة في هذا المتصفح',
+        'sync.disabled': 'المزامنة في الخلفية متوقفة',
+        'sync.last': 'آخر مزامنة في الخلفية: {age} · {currencies}',
+        'sync.currencies.zero': 'لا عملات',
+        'sync.currencies.one': 'عملة واحدة',
+        'sync.currencies.two': 'عملتان',
+        'sync.currencies.few': '{count} عملات',
+        'sync.currencies.many': '{count} عملة',
+        'sync.currencies.other': '{count} عملة',
+        'sync.never': 'لم تتم أي مزامنة في الخلفية بعد',
+        'sync.failed': 'فشلت المحاولة الأخيرة ({error}) - إعادة المحاولة بعد {time}',
+        'sync.notUpdated': 'لم تُحدّث: {codes}',
+        'sync.periodicUnavailable': 'المزامنة الدورية غير متاحة - تُحدّث الأسعار عند إعادة الاتصال'
+    },
+
+    he: {
+        'app.title': 'ממיר מטבעות',
+        'app.tagline': 'שערי חליפין בזמן אמת',
+        'app.footer': '© 2025 Currency Converter - Synaptic Fusion LLC. כל הזכויות שמורות. | המרת מטבעות בזמן אמת לפי שערים עדכניים.',
+        'update.available': 'גרסה חדשה זמינה.',
+        'update.reload': 'טעינה מחדש',
+        'update.dismiss': 'סגירה',
+        'install.button': 'התקנת האפליקציה',
+        'locale.label': 'שפה ותבנית מספרים',
+        'locale.auto': 'אוטומטי ({name})',
+
+        'mode.group': 'מצב המרה',
+        'mode.single': 'המרה יחידה',
+        'mode.many': 'המרה לכמה מטבעות',
+        'mode.batch': 'אצווה (CSV)',
+
+        'amount.label': 'סכום',
+        'amount.placeholder': '100, 2k, ‎$45 + 12%‎, 100 EUR in JPY',
+        'amount.error.empty': 'יש להזין סכום',
+        'amount.error.unexpected': '"{text}" לא צפוי',
+        'amount.error.incomplete': 'הביטוי אינו שלם',
+        'amount.error.missingParen': 'חסר ")"',
+        'amount.error.negative': 'הסכום חייב להיות חיובי',
+        'amount.error.divideByZero': 'אי אפשר לחלק באפס',
+        'amount.error.notNumber': '"{text}" אינו מספר',
+        'amount.error.unknownWord': 'מטבע או מילה לא מוכרים "{text}"',
+        'amount.error.mixedCurrencies': 'שני מטבעות שונים {from} ו-{to} - יש להשתמש ב-"in" למטבע היעד',
+
+        'asOf.label': 'שערים לתאריך',
+        'asOf.clear': 'שערים עדכניים',
+        'asOf.hint': 'יש להשאיר ריק לשערים העדכניים',
+        'currency.from': 'ממטבע',
+        'currency.to': 'למטבע',
+        'currency.swap': 'החלפת המטבעות',
+        'rounding.label': 'עיגול',
+        'rounding.halfUp': 'חצי כלפי מעלה (מסחרי)',
+        'rounding.halfEven': 'חצי לזוגי (בנקאי)',
+        'rounding.truncate': 'קיטום',
+        'loading.rates': 'טוען את שערי החליפין העדכניים...',
+
+        'result.rate': '1 {from} = {rate} {to}',
+        'rateDate.historical': 'שערים ל-{date}{substituted} · {provider}',
+        'rateDate.substituted': ' (הפרסום הקרוב ביותר ל-{date})',
+        'rateDate.historicalData': 'נתונים היסטוריים',
+        'rateDate.latest': 'שערים עדכניים, עודכנו {time}{provider}',
+        'error.conversion': 'מעדכן את ההמרה: {message}',
+        'refresh.title': 'רענון השערים (Ctrl+R)',
+        'refresh.progress': 'מרענן את שערי החליפין...',
+        'cache.cleared': 'המטמון נוקה בהצלחה',
+        'rates.warning.offline': 'לא מקוון - מוצגים שערים שנטענו {age}',
+        'rates.warning.providersUnavailable': 'ספקי השערים אינם זמינים - מוצגים שערים שנטענו {age}',
+        'rates.warning.updating': 'מעדכן - מוצגים שערים שנטענו {age}',
+        'rates.warning.builtIn': 'אין חיבור לספקי השערים - בשימוש שערים מובנים מ-{date}',
+        'converter.error.update': 'מעדכן את שערי החליפין: {message}',
+        'converter.error.historical': 'טוען שערים ל-{date}: {message}',
+        'converter.error.noRate': 'אין שער {from}/{to} זמין',
+        'converter.error.historicalUnavailable': 'שערים ל-{date} אינם זמינים: {message}',
+        'converter.error.noHistoricalRate': 'לא פורסם שער {from}/{to} ל-{date}',
+        'converter.refreshing': 'מרענן עם השערים האחרונים...',
+
+        'status.offline': '📡 לא מקוון - משתמש בנתונים שמורים',
+        'status.online': '🟢 מקוון',
+        'status.lastUpdated': 'עודכן לאחרונה: {time}{source}',
+        'source.api': 'חי',
+        'source.cache': 'שמור',
+        'source.sw_cache': 'שמור',
+        'source.sw_stale': 'שמור, מתעדכן',
+        'source.offline_cache': 'שמור לשימוש לא מקוון',
+        'source.error_fallback_cache': 'עותק שמור',
+        'source.fallback': 'מובנה',
+        'source.error_fallback_hardcoded': 'מובנה',
+        'tier.live': '🌐 שערים חיים',
+        'tier.fresh': '💾 שערים שמורים עדכניים',
+        'tier.stale': '🕒 שערים לא עדכניים',
+        'tier.expired': '⚠️ שערים שפג תוקפם',
+        'tier.hardcoded': '📦 שערים מובנים (לא חיים)',
+        'confidence.medium': 'אמינות בינונית',
+        'confidence.low': 'אמינות נמוכה',
+        'provenance.unknownProvider': 'ספק לא ידוע',
+        'provenance.published': 'פורסם {time}',
+        'provenance.fetched': 'נטען {age}',
+        'provenance.unknown': 'לא ידוע',
+        'provenance.never': 'אף פעם (מובנים)',
+        'provenance.tooltip': 'מקור: {source}\nספק: {provider}\nבסיס: {base}\nפורסם: {published}\nנטען: {fetched}\nעדכניות: {tier}\nאמינות: {confidence}',
+        'consensus.agree.two': 'שני מקורות תואמים · פער {spread}',
+        'consensus.agree.other': '{count} מקורות תואמים · פער {spread}',
+        'consensus.single': 'לא אומת - רק מקור אחד ענה',
+        'consensus.disputed': 'המקורות חלוקים בפער של {spread} - יש לבדוק לפני הסתמכות על השער',
+        'consensus.outlier': '{provider} הוחרג: {currency} סוטה ב-{deviation} מהחציון',
+        'age.unknown': 'גיל לא ידוע',
+
+        'multi.caption': 'סכומים מומרים',
+        'multi.currency': 'מטבע',
+        'multi.amount': 'סכום',
+        'multi.rate': 'שער',
+        'multi.actions': 'פעולות',
+        'multi.addLabel': 'מטבע להוספה',
+        'multi.add': 'הוספת מטבע',
+        'multi.empty': 'יש להוסיף מטבע כדי להתחיל להשוות',
+        'multi.unavailable': 'לא זמין',
+        'multi.rateFrom': '1 {from} = {rate}',
+        'multi.moveUp': 'העברת {code} למעלה',
+        'multi.moveDown': 'העברת {code} למטה',
+        'multi.remove': 'הסרת {code}',
+
+        'costs.caption': 'עלות לפי אמצעי תשלום',
+        'costs.route': 'אמצעי תשלום',
+        'costs.pay': 'משלמים',
+        'costs.receive': 'המוטב מקבל',
+        'costs.effectiveRate': 'שער אפקטיבי',
+        'costs.fees': 'עמלות',
+        'costs.actions': 'פעולות',
+        'costs.midMarket': 'שער אמצע השוק (ללא עמלות)',
+        'costs.cheapest': 'הזול ביותר',
+        'costs.unavailable': 'לא זמין',
+        'costs.noRate': 'יש להזין סכום עם שער זמין כדי להשוות אמצעי תשלום',
+        'costs.empty': 'אין עדיין אמצעי תשלום - אפשר להוסיף למטה',
+        'costs.markup': '{percent} מתחת לשער אמצע השוק',
+        'costs.remove': 'הסרת {name}',
+        'costs.breakdown.spread': 'מרווח {percent}: {amount}',
+        'costs.breakdown.percentFee': 'עמלת המרה {percent}: {amount}',
+        'costs.breakdown.fixedFee': 'עמלה קבועה{original}: {amount}',
+        'costs.manage': 'הוספת אמצעי תשלום',
+        'costs.name': 'שם',
+        'costs.spread': 'מרווח %',
+        'costs.percentFee': 'עמלת המרה %',
+        'costs.fixedFee': 'עמלה קבועה',
+        'costs.fixedFeeCurrency': 'מטבע העמלה הקבועה',
+        'costs.sourceCurrency': 'מטבע המקור',
+        'costs.add': 'הוספת אמצעי',
+        'costs.reset': 'שחזור אמצעי התשלום המוגדרים מראש',
+        'costs.error.name': 'יש להזין שם לאמצעי התשלום',
+        'costs.error.spread': 'המרווח חייב להיות אחוז בין 0 ל-100',
+        'costs.error.percentFee': 'עמלת ההמרה חייבת להיות אחוז בין 0 ל-100',
+        'costs.error.fixedFee': 'העמלה הקבועה חייבת להיות אפס או סכום חיובי',
+        'costs.error.currency': 'מטבע עמלה לא מוכר {code}',
+
+        'batch.title': 'המרה באצווה',
+        'batch.hint': 'אפשר להדביק שורות או להעלות קובץ CSV עם עמודות סכום, ממטבע ולמטבע (ועמודת תאריך אופציונלית).',
+        'batch.input': 'שורות CSV',
+        'batch.upload': 'או להעלות קובץ',
+        'batch.delimiter': 'תו מפריד',
+        'batch.delimiter.comma': 'פסיק (,)',
+        'batch.delimiter.semicolon': 'נקודה-פסיק (;)',
+        'batch.delimiter.tab': 'טאב',
+        'batch.delimiter.pipe': 'קו אנכי (|)',
+        'batch.decimal': 'מפריד עשרוני',
+        'batch.decimal.point': 'נקודה (1,234.56)',
+        'batch.decimal.comma': 'פסיק (1.234,56)',
+        'batch.convert': 'המרת השורות',
+        'batch.download': 'הורדת CSV',
+        'batch.rowsDetected.one': 'זוהתה שורה אחת',
+        'batch.rowsDetected.other': 'זוהו {count} שורות',
+        'batch.field.amount': 'סכום',
+        'batch.field.from': 'ממטבע',
+        'batch.field.to': 'למטבע',
+        'batch.field.date': 'תאריך (אופציונלי)',
+        'batch.none': '— ללא —',
+        'batch.column': 'עמודה {number}',
+        'batch.converting': 'ממיר...',
+        'batch.progress': 'ממיר {done} מתוך {total}...',
+        'batch.summary': '{converted} הומרו, {invalid} לא תקינות',
+        'batch.lineError': 'שורה {line}: {error}',
+
+        'history.title': 'היסטוריית {from}/{to}',
+        'history.ranges': 'טווח התרשים',
+        'history.unavailable': 'ההיסטוריה אינה זמינה: {error}',
+        'history.empty': 'אין היסטוריה לצמד הזה',
+        'history.label': 'שער החליפין מ-{from} ל-{to}, {range}',
+        'history.summary': 'שינוי ב-{range}: {change} · גבוה: {high} · נמוך: {low}',
+
+        'popular.title': 'שערי חליפין פופולריים',
+        'popular.titleOn': 'שערי חליפין ל-{date}',
+        'popular.loading': 'טוען...',
+
+        'picker.matches': 'תוצאות',
+        'picker.favorites': 'מועדפים',
+        'picker.recent': 'אחרונים',
+        'picker.popular': 'פופולריים',
+        'picker.all': 'כל המטבעות',
+        'picker.noMatch': 'אין מטבע תואם',
+        'picker.available': '{count} מטבעות זמינים',
+        'picker.favorite': 'מועדף',
+        'picker.pin': 'הצמדת {code} למועדפים',
+        'picker.unpin': 'ביטול הצמדת {code} מהמועדפים',
+        'picker.addFavorite': 'הוספה למועדפים',
+        'picker.removeFavorite': 'הסרה מהמועדפים',
+
+        'alerts.title': 'התראות שער',
+        'alerts.fromLabel': 'מטבע המקור להתראה',
+        'alerts.toLabel': 'מטבע היעד להתראה',
+        'alerts.conditionLabel': 'תנאי ההתראה',
+        'alerts.type.below': 'יורד אל מתחת',
+        'alerts.type.above': 'עולה מעל',
+        'alerts.type.change': 'זז ביותר מ-% ב-24 שעות',
+        'alerts.thresholdLabel': 'סף',
+        'alerts.rate': 'שער',
+        'alerts.now': 'כעת {rate}',
+        'alerts.changeHint': 'אחוז תנועה, למשל 1',
+        'alerts.add': 'הוספת התראה',
+        'alerts.enableNotifications': 'הפעלת התראות',
+        'alerts.notificationsBlocked': 'ההתראות חסומות בהגדרות הדפדפן',
+        'alerts.triggered': 'הופעלו',
+        'alerts.clear': 'ניקוי',
+        'alerts.empty': 'אין עדיין התראות',
+        'alerts.condition.below': 'מתחת ל-{threshold}',
+        'alerts.condition.above': 'מעל {threshold}',
+        'alerts.condition.change': 'זז ±{threshold}% ב-24 שעות',
+        'alerts.pause': 'השהיה',
+        'alerts.resume': 'חידוש',
+        'alerts.remove': 'הסרת ההתראה {alert}',
+        'alerts.error.pair': 'יש לבחור שני מטבעות שונים',
+        'alerts.error.type': 'יש לבחור תנאי להתראה',
+        'alerts.error.threshold': 'הסף חייב להיות מספר חיובי',
+        'alerts.fired.below': '{pair} עומד על {rate}, מתחת לסף ההתראה {threshold}',
+        'alerts.fired.above': '{pair} עומד על {rate}, מעל סף ההתראה {threshold}',
+        'alerts.fired.up': '{pair} עלה ב-{change}% ב-24 שעות אל {rate}',
+        'alerts.fired.down': '{pair} ירד ב-{change}% ב-24 שעות אל {rate}',
+        'alerts.notificationTitle': 'התראת שער: {pair}',
+
+        'sync.title': 'סנכרון ברקע',
+        'sync.hint': 'שומר על השערים של המועדפים, הטבלה וההתראות עדכניים גם כשהאפליקציה סגורה.',
+        'sync.interval': 'רענון',
+        'sync.everyHour': 'כל שעה',
+        'sync.everyHours': 'כל {hours} שעות',
+        'sync.off': 'כבוי',
+        'sync.unsupported': 'הדפדפן הזה אינו תומך בסנכרון ברקע',
+        'sync.disabled': 'הסנכרון ברקע כבוי',
+        'sync.last': 'סנכרון אחרון ברקע: {age} · {currencies}',
+        'sync.currencies.one': 'מטבע אחד',
+        'sync.currencies.two': 'שני מטבעות',
+        'sync.currencies.other': '{count} מטבעות',
+        'sync.never': 'עדיין לא בוצע סנכרון ברקע',
+        'sync.failed': 'הניסיון האחרון נכשל ({error}) - ניסיון חוזר אחרי {time}',
+        'sync.notUpdated': 'לא עודכנו: {codes}',
+        'sync.periodicUnavailable': 'סנכרון תקופתי אינו זמין - השערים יתעדכנו כשהחיבור יחזור'
+    }
+};
+
+// Export for the page and the service worker (self is window in the page)
+self.I18N_MESSAGES = I18N_MESSAGES;
@@ -4,9 +4,20 @@
 
 class UIController {
     constructor() {
-        this.converter = new CurrencyConverter();
+        this.converter = new CurrencyConverter({ locale: i18n.locale });
         this.elements = {};
         this.isInitialized = false;
+        this.historyRange = '7D';
+        this.mode = this.loadMode();
+        this.historyRequestId = 0;
+        this.urlState = new UrlState();
+        this.amountParser = new AmountParser(i18n.locale);
+        this.appliedAmountText = null;
+        this.pendingCurrencies = {};
+        this.watchKey = null;
+        
+        // Registered before the panels' listeners, so they render with the converter's new locale
+        i18n.onChange(() => this.applyLocale());
         
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
@@ -20,14 +31,27 @@ class UIController {
      * Initialize the UI controller
      */
     initialize() {
+        i18n.apply();
         this.cacheElements();
+        this.populateLocaleSelect();
         this.setupEventListeners();
         this.subscribeToConverterState();
         this.populateCurrencySelects();
+        this.alertPanel.initialize();
+        this.syncPanel.initialize();
+        
+        // Restore a deep-linked conversion before the first render
+        this.restoreUrlState();
         this.isInitialized = true;
         
         // Show initial loading state
         this.showLoadingState(true);
+        
+        // Restore the linked or saved mode
+        this.setMode(this.mode);
+        
+        // Draw the history chart for the default pair
+        this.updateHistoryChart();
     }
 
     /**
@@ -36,6 +60,13 @@ class UIController {
     cacheElements() {
         this.elements = {
             amount: document.getElementById('amount'),
+            amountPreview: document.getElementById('amountPreview'),
+            localeSelect: document.getElementById('localeSelect'),
+            asOfDate: document.getElementById('asOfDate'),
+            clearAsOfDate: document.getElementById('clearAsOfDate'),
+            roundingMode: document.getElementById('roundingMode'),
+            rateDate: document.getElementById('rateDate'),
+            popularRatesTitle: document.getElementById('popularRatesTitle'),
             fromCurrency: document.getElementById('fromCurrency'),
             toCurrency: document.getElementById('toCurrency'),
             swapBtn: document.querySelector('.swap-btn'),
@@ -45,22 +76,135 @@ class UIController {
             resultAmount: document.getElementById('resultAmount'),
             resultDetails: document.getElementById('resultDetails'),
             exchangeRate: document.getElementById('exchangeRate'),
-            popularRates: document.getElementById('popularRates')
+            popularRates: document.getElementById('popularRates'),
+            historySection: document.getElementById('historySection'),
+            historyTitle: document.getElementById('historyTitle'),
+            historyChart: document.getElementById('historyChart'),
+            historySummary: document.getElementById('historySummary'),
+            historyRanges: document.querySelectorAll('#historySection .range-btn')
         };
+        
+        this.chart = this.elements.historyChart ? new RateChart(this.elements.historyChart) : null;
+        
+        // Searchable pickers on top of the from/to selects
+        this.currencyPreferences = new CurrencyPreferences();
+        this.currencyPickers = [this.elements.fromCurrency, this.elements.toCurrency]
+            .filter(Boolean)
+            .map(select => new CurrencyPicker(select, this.currencyPreferences));
+        
+        this.elements.converterSection = document.querySelector('.converter-section');
+        this.elements.modeButtons = document.querySelectorAll('.mode-toggle .mode-btn');
+        this.elements.multiSection = document.getElementById('multiSection');
+        this.multiTable = new MultiCurrencyTable(this.converter, {
+            body: document.getElementById('multiTableBody'),
+            addSelect: document.getElementById('multiAddCurrency'),
+            addButton: document.getElementById('multiAddBtn')
+        });
+        
+        this.elements.batchSection = document.getElementById('batchSection');
+        this.batchPanel = new BatchPanel(this.converter, {
+            input: document.getElementById('batchInput'),
+            file: document.getElementById('batchFile'),
+            settings: document.getElementById('batchSettings'),
+            delimiter: document.getElementById('batchDelimiter'),
+            decimalSeparator: document.getElementById('batchDecimal'),
+            mapping: document.getElementById('batchMapping'),
+            rowCount: document.getElementById('batchRowCount'),
+            convertButton: document.getElementById('batchConvertBtn'),
+            downloadButton: document.getElementById('batchDownloadBtn'),
+            status: document.getElementById('batchStatus'),
+            errors: document.getElementById('batchErrors')
+        });
+        
+        this.costPanel = new CostPanel(this.converter, {
+            body: document.getElementById('costTableBody'),
+            form: document.getElementById('costForm'),
+            name: document.getElementById('costName'),
+            spread: document.getElementById('costSpread'),
+            percentFee: document.getElementById('costPercentFee'),
+            fixedFee: document.getElementById('costFixedFee'),
+            fixedFeeCurrency: document.getElementById('costFixedFeeCurrency'),
+            formError: document.getElementById('costFormError'),
+            resetButton: document.getElementById('costResetBtn')
+        });
+        
+        this.alertPanel = new AlertPanel(this.converter, {
+            form: document.getElementById('alertForm'),
+            from: document.getElementById('alertFrom'),
+            to: document.getElementById('alertTo'),
+            type: document.getElementById('alertType'),
+            threshold: document.getElementById('alertThreshold'),
+            formError: document.getElementById('alertFormError'),
+            notifyButton: document.getElementById('alertNotifyBtn'),
+            list: document.getElementById('alertList'),
+            history: document.getElementById('alertHistory'),
+            clearHistory: document.getElementById('alertHistoryClear')
+        });
+        
+        this.syncPanel = new SyncPanel(this.converter, {
+            interval: document.getElementById('syncInterval'),
+            status: document.getElementById('syncStatus')
+        });
+        
+        this.installPrompt = new InstallPrompt({
+            button: document.getElementById('installBtn')
+        }, this.converter.apiService.rateStore);
     }
 
     /**
      * Setup event listeners with debouncing
      */
     setupEventListeners() {
+        // Language and number format
+        this.elements.localeSelect?.addEventListener('change', (e) => i18n.setLocale(e.target.value));
+
         // Amount input with debouncing
         this.elements.amount?.addEventListener('input', 
             this.debounce(() => this.handleConversion(), 300)
         );
 
         // Currency selectors
-        this.elements.fromCurrency?.addEventListener('change', () => this.handleConversion());
-        this.elements.toCurrency?.addEventListener('change', () => this.handleConversion());
+        this.elements.fromCurrency?.addEventListener('change', () => {
+            delete this.pendingCurrencies.fromCurrency;
+            this.handleConversion();
+            this.updateHistoryChart();
+        });
+        this.elements.toCurrency?.addEventListener('change', () => {
+            delete this.pendingCurrencies.toCurrency;
+            this.handleConversion();
+            this.updateHistoryChart();
+        });
+
+        // Single / many mode toggle
+        this.elements.modeButtons?.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setMode(button.dataset.mode);
+                this.handleConversion();
+            });
+        });
+
+        // History chart range buttons
+        this.elements.historyRanges?.forEach(button => {
+            button.addEventListener('click', () => this.setHistoryRange(button.dataset.range));
+        });
+
+        // As-of date picker
+        if (this.elements.asOfDate) {
+            this.elements.asOfDate.max = new Date().toISOString().slice(0, 10);
+        }
+        this.elements.asOfDate?.addEventListener('change', () => this.handleAsOfDateChange());
+        this.elements.clearAsOfDate?.addEventListener('click', () => {
+            this.elements.asOfDate.value = '';
+            this.handleAsOfDateChange();
+        });
+
+        // Rounding mode
+        if (this.elements.roundingMode) {
+            this.elements.roundingMode.value = this.converter.getState().roundingMode;
+        }
+        this.elements.roundingMode?.addEventListener('change', (e) => {
+            this.converter.setRoundingMode(e.target.value);
+        });
 
         // Swap button
         this.elements.swapBtn?.addEventListener('click', () => this.swapCurrencies());
@@ -73,6 +217,13 @@ class UIController {
             }
         });
 
+        this.alertPanel.onChange(() => this.updateWatchList());
+
+        // Save what background sync should watch before the app goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.updateWatchList();
+        });
+
         // Add refresh button functionality
         this.addRefreshButton();
         
@@ -97,14 +248,15 @@ class UIController {
         this.showLoadingState(state.loading);
 
         // Update error messages
-        this.showError(state.error);
+        this.showError(this.describeMessage(state.error), { autoHide: Boolean(state.error?.transient) });
 
         // Update offline indicator
         this.updateOfflineIndicator(state.isOffline);
 
-        // Update popular rates
+        // Update popular rates and offer any newly quoted currencies
         if (state.rates && Object.keys(state.rates).length > 0) {
             this.updatePopularRates();
+            if (this.isInitialized) this.populateCurrencySelects();
         }
 
         // Update last update time
@@ -116,24 +268,62 @@ class UIController {
         }
     }
 
+    /**
+     * Bases and pairs for background sync (the current pair, favorites,
+     * the multi-currency table and every alert) and favorite pairs for app shortcuts
+     */
+    async updateWatchList() {
+        const from = this.elements.fromCurrency?.value || 'USD';
+        const to = this.elements.toCurrency?.value || 'EUR';
+        const alerts = await this.alertPanel.manager.list().catch(() => []);
+
+        this.syncPanel.watch({
+            bases: [this.converter.pivotCurrency, from, ...this.currencyPreferences.favorites],
+            pairs: [
+                `${from}/${to}`,
+                ...this.multiTable.getTargets().map(target => `${from}/${target}`),
+                ...alerts.map(alert => `${alert.from}/${alert.to}`)
+            ]
+        });
+
+        // Home screen shortcuts: the current currency against each favorite
+        const favorites = this.currencyPreferences.favorites.filter(code => code !== from);
+        this.installPrompt.saveShortcuts(favorites.map(code => ({ from, to: code })));
+    }
+
     /**
      * Handle currency conversion
      */
     async handleConversion() {
         if (!this.isInitialized) return;
+        const amount = this.readAmount();
+        this.updateUrlState();
         
-        const amount = parseFloat(this.elements.amount?.value) || 0;
         const fromCurrency = this.elements.fromCurrency?.value || 'USD';
         const toCurrency = this.elements.toCurrency?.value || 'EUR';
 
+        // Typing an amount leaves the watched pairs as they are
+        const watchKey = [fromCurrency, toCurrency, ...this.multiTable.getTargets()].join();
+        if (watchKey !== this.watchKey) {
+            this.watchKey = watchKey;
+            this.updateWatchList();
+        }
+
+        if (this.mode === 'many') {
+            await this.multiTable.update(amount, fromCurrency);
+            return;
+        }
+        if (this.mode === 'batch') return;
+
         // Show loading for user feedback
         this.showConversionLoading(true);
 
         try {
             const result = await this.converter.convertCurrency(amount, fromCurrency, toCurrency);
             this.updateResult(result, fromCurrency, toCurrency);
+            this.costPanel.update(amount, fromCurrency, toCurrency, result);
         } catch (error) {
-            this.showError(`Updating conversion: ${error.message}`);
+            this.showError(i18n.t('error.conversion', { message: error.message }));
         } finally {
             this.showConversionLoading(false);
         }
@@ -143,12 +333,141 @@ class UIController {
      * Perform conversion without triggering new API calls
      */
     async performConversion() {
-        const amount = parseFloat(this.elements.amount?.value) || 0;
+        const amount = this.readAmount();
         const fromCurrency = this.elements.fromCurrency?.value || 'USD';
         const toCurrency = this.elements.toCurrency?.value || 'EUR';
 
+        if (this.mode === 'many') {
+            await this.multiTable.update(amount, fromCurrency);
+            return;
+        }
+        if (this.mode === 'batch') return;
+
         const result = await this.converter.convertCurrency(amount, fromCurrency, toCurrency);
         this.updateResult(result, fromCurrency, toCurrency);
+        this.costPanel.update(amount, fromCurrency, toCurrency, result);
+    }
+
+    /**
+     * Interpret the amount field and show how it was read. Inline currencies
+     * ("100 EUR in JPY", "¥5000") select the from/to currencies once per edit,
+     * so picking a currency afterwards still wins. Returns a decimal string
+     */
+    readAmount() {
+        const text = this.elements.amount?.value || '';
+        const parsed = this.amountParser.parse(text);
+
+        if (parsed.ok && text !== this.appliedAmountText && (parsed.from || parsed.to)) {
+            const before = `${this.elements.fromCurrency?.value}/${this.elements.toCurrency?.value}`;
+            this.selectCurrencies(parsed.from, parsed.to);
+            if (`${this.elements.fromCurrency?.value}/${this.elements.toCurrency?.value}` !== before) {
+                this.updateHistoryChart();
+            }
+        }
+        this.appliedAmountText = text;
+
+        this.showAmountPreview(parsed, text);
+        return parsed.ok ? parsed.amount : '0';
+    }
+
+    /**
+     * Preview for anything other than a plain number, or why it could not be read
+     */
+    showAmountPreview(parsed, text) {
+        const preview = this.elements.amountPreview;
+        const invalid = !parsed.ok && !parsed.empty;
+
+        this.elements.amount?.setAttribute('aria-invalid', invalid);
+        if (!preview) return;
+
+        preview.classList.toggle('invalid', invalid);
+        if (invalid) {
+            preview.textContent = parsed.code ? i18n.t(`amount.error.${parsed.code}`, parsed.params) : parsed.error;
+        } else {
+            preview.textContent = parsed.ok && parsed.preview !== text.trim() ? `= ${parsed.preview}` : '';
+        }
+    }
+
+    /**
+     * Locale menu: automatic (browser) plus the offered locales, each named in its own language
+     */
+    populateLocaleSelect() {
+        const select = this.elements.localeSelect;
+        if (!select) return;
+
+        const options = [['auto', i18n.t('locale.auto', { name: I18n.displayName(I18n.detect()) })]];
+        const offered = I18N_LOCALE_OPTIONS.includes(i18n.preference) || i18n.preference === 'auto'
+            ? I18N_LOCALE_OPTIONS
+            : [...I18N_LOCALE_OPTIONS, i18n.preference];
+        offered.forEach(tag => options.push([tag, I18n.displayName(tag)]));
+
+        select.replaceChildren(...options.map(([value, label]) => new Option(label, value)));
+        select.value = i18n.preference;
+    }
+
+    /**
+     * Re-render text, numbers and direction after the locale setting changed
+     */
+    applyLocale() {
+        this.converter.setLocale(i18n.locale);
+        this.amountParser.setLocale(i18n.locale);
+        if (!this.isInitialized) return;
+
+        i18n.apply();
+        this.populateLocaleSelect();
+        this.updatePopularRatesTitle();
+
+        this.currencySignature = null;
+        this.populateCurrencySelects();
+
+        const state = this.converter.getState();
+        if (Object.keys(state.rates).length > 0) this.updatePopularRates();
+        this.updateOfflineIndicator(state.isOffline);
+        this.updateLastUpdateTime(state.lastUpdate, state.source);
+
+        this.updateHistoryChart();
+        this.performConversion();
+    }
+
+    /**
+     * Switch between single-pair, convert-to-many and batch modes
+     */
+    setMode(mode) {
+        this.mode = ['many', 'batch'].includes(mode) ? mode : 'single';
+
+        try {
+            localStorage.setItem('converterMode', this.mode);
+        } catch (error) {
+            console.info('Preference save completed:', error);
+        }
+
+        this.elements.converterSection?.classList.toggle('mode-many', this.mode === 'many');
+        this.elements.converterSection?.classList.toggle('mode-batch', this.mode === 'batch');
+        if (this.elements.multiSection) {
+            this.elements.multiSection.hidden = this.mode !== 'many';
+        }
+        if (this.elements.batchSection) {
+            this.elements.batchSection.hidden = this.mode !== 'batch';
+        }
+        this.elements.modeButtons?.forEach(button => {
+            const isActive = button.dataset.mode === this.mode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+        
+        if (this.isInitialized) this.updateUrlState();
+    }
+
+    /**
+     * Saved converter mode
+     */
+    loadMode() {
+        try {
+            const saved = localStorage.getItem('converterMode');
+            return ['many', 'batch'].includes(saved) ? saved : 'single';
+        } catch (error) {
+            return 'single';
+        }
     }
 
     /**
@@ -159,55 +478,203 @@ class UIController {
             return;
         }
 
-        this.elements.resultAmount.textContent = this.converter.formatCurrency(result.convertedAmount);
+        this.elements.resultAmount.textContent =
+            this.converter.formatCurrency(result.convertedValue ?? result.convertedAmount, toCurrency);
         this.elements.resultDetails.textContent = toCurrency;
         this.elements.exchangeRate.textContent = 
-            `1 ${fromCurrency} = ${this.converter.formatCurrency(result.exchangeRate)} ${toCurrency}`;
+            i18n.t('result.rate', {
+                from: fromCurrency,
+                rate: this.converter.formatCurrency(result.exchangeRateValue ?? result.exchangeRate),
+                to: toCurrency
+            });
+
+        this.updateRateDate(result);
+
+        if (result.error) {
+            this.showError(result.code ? i18n.t(result.code, result.params) : result.error);
+        }
 
         // Add source indicator
         if (result.source) {
-            this.addSourceIndicator(result.source);
+            this.addSourceIndicator(result.provenance || RateProvenance.describe({ source: result.source }), result.consensus);
         }
     }
 
     /**
-     * Populate currency select options
+     * Show which date's rates were used and who published them
      */
-    populateCurrencySelects() {
-        const currencies = {
-            'USD': 'US Dollar', 'EUR': 'Euro', 'GBP': 'British Pound', 'JPY': 'Japanese Yen',
-            'AUD': 'Australian Dollar', 'CAD': 'Canadian Dollar', 'CHF': 'Swiss Franc', 'CNY': 'Chinese Yuan',
-            'INR': 'Indian Rupee', 'KRW': 'South Korean Won', 'MXN': 'Mexican Peso', 'SGD': 'Singapore Dollar',
-            'HKD': 'Hong Kong Dollar', 'NOK': 'Norwegian Krone', 'SEK': 'Swedish Krona', 'DKK': 'Danish Krone',
-            'PLN': 'Polish Zloty', 'CZK': 'Czech Koruna', 'HUF': 'Hungarian Forint', 'RUB': 'Russian Ruble',
-            'BRL': 'Brazilian Real', 'ZAR': 'South African Rand', 'TRY': 'Turkish Lira', 'ILS': 'Israeli Shekel',
-            'AED': 'UAE Dirham', 'SAR': 'Saudi Riyal', 'THB': 'Thai Baht', 'MYR': 'Malaysian Ringgit',
-            'IDR': 'Indonesian Rupiah', 'PHP': 'Philippine Peso', 'VND': 'Vietnamese Dong', 'EGP': 'Egyptian Pound',
-            'NGN': 'Nigerian Naira', 'KES': 'Kenyan Shilling', 'GHS': 'Ghanaian Cedi', 'MAD': 'Moroccan Dirham'
-        };
+    updateRateDate(result) {
+        if (!this.elements.rateDate) return;
+
+        if (result.rateDate) {
+            const substituted = result.requestedDate && result.requestedDate !== result.rateDate
+                ? i18n.t('rateDate.substituted', { date: i18n.formatDate(result.requestedDate) })
+                : '';
+            this.elements.rateDate.textContent = i18n.t('rateDate.historical', {
+                date: i18n.formatDate(result.rateDate),
+                substituted,
+                provider: result.provider || i18n.t('rateDate.historicalData')
+            });
+        } else if (result.lastUpdate) {
+            const provider = result.provider ? ` · ${result.provider}` : '';
+            this.elements.rateDate.textContent =
+                i18n.t('rateDate.latest', { time: i18n.formatDateTime(result.lastUpdate), provider });
+        } else {
+            this.elements.rateDate.textContent = '';
+        }
+    }
+
+    /**
+     * Switch between latest rates and rates for the picked date
+     */
+    async handleAsOfDateChange() {
+        const date = this.elements.asOfDate?.value || null;
+        const result = await this.converter.setAsOfDate(date);
+
+        // Fall back to latest rates if the date could not be loaded
+        if (date && (!result || !result.success)) {
+            this.elements.asOfDate.value = '';
+        }
 
-        const popularCurrencies = ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY', 'INR', 'KRW'];
+        const activeDate = this.converter.getState().asOfDate;
+        if (this.elements.clearAsOfDate) {
+            this.elements.clearAsOfDate.hidden = !activeDate;
+        }
+        this.updatePopularRatesTitle();
         
-        // Add additional currencies to selects
-        Object.keys(currencies).forEach(code => {
-            if (!popularCurrencies.includes(code)) {
-                const option1 = new Option(`${code} - ${currencies[code]}`, code);
-                const option2 = new Option(`${code} - ${currencies[code]}`, code);
-                this.elements.fromCurrency?.appendChild(option1);
-                this.elements.toCurrency?.appendChild(option2);
-            }
+        this.updateUrlState();
+    }
+
+    updatePopularRatesTitle() {
+        if (!this.elements.popularRatesTitle) return;
+
+        const { asOfDate, historical } = this.converter.getState();
+        this.elements.popularRatesTitle.textContent = asOfDate
+            ? i18n.t('popular.titleOn', { date: i18n.formatDate(historical.date) })
+            : i18n.t('popular.title');
+    }
+
+    /**
+     * Apply amount, currencies, mode and date from the page URL
+     */
+    restoreUrlState() {
+        const state = this.urlState.parse();
+
+        if (state.amount && this.elements.amount) {
+            this.elements.amount.value = state.amount;
+        }
+        if (state.mode) {
+            this.mode = state.mode;
+        }
+
+        this.pendingCurrencies = {};
+        this.selectCurrencies(state.from, state.to);
+
+        if (state.date && this.elements.asOfDate) {
+            this.elements.asOfDate.value = state.date;
+            this.handleAsOfDateChange();
+        }
+    }
+
+    /**
+     * Select a source and/or target currency; codes not in the current list
+     * are applied once their rates load
+     */
+    selectCurrencies(from, to) {
+        if (from) this.pendingCurrencies.fromCurrency = from;
+        if (to) this.pendingCurrencies.toCurrency = to;
+
+        // A lone source ("€250") keeps the current target unless it is the same currency
+        if (from && !to && from === this.elements.toCurrency?.value) {
+            const previousFrom = this.elements.fromCurrency?.value;
+            this.pendingCurrencies.toCurrency = previousFrom && previousFrom !== from
+                ? previousFrom
+                : (from === 'USD' ? 'EUR' : 'USD');
+        }
+        this.applyPendingCurrencies();
+    }
+
+    /**
+     * Select linked currencies that are available now
+     */
+    applyPendingCurrencies() {
+        Object.entries(this.pendingCurrencies).forEach(([key, code]) => {
+            const select = this.elements[key];
+            if (!select || !Array.from(select.options).some(option => option.value === code)) return;
+
+            select.value = code;
+            delete this.pendingCurrencies[key];
+        });
+
+        this.currencyPickers.forEach(picker => picker.sync());
+    }
+
+    /**
+     * Mirror the current inputs in the URL, title and meta tags
+     */
+    updateUrlState() {
+        this.urlState.update({
+            amount: this.amountParser.parse(this.elements.amount?.value).amount,
+            from: this.pendingCurrencies.fromCurrency || this.elements.fromCurrency?.value || 'USD',
+            to: this.pendingCurrencies.toCurrency || this.elements.toCurrency?.value || 'EUR',
+            mode: this.mode,
+            date: this.converter.getState().asOfDate
         });
     }
 
+    /**
+     * Populate currency selects from the catalog: popular currencies first,
+     * then every other currency the current rate table quotes
+     */
+    populateCurrencySelects() {
+        const available = this.converter.getAvailableCurrencies();
+        const signature = available.slice().sort().join(',');
+        if (signature === this.currencySignature) return;
+        this.currencySignature = signature;
+
+        const popular = currencyCatalog.popular().filter(code => available.includes(code));
+        const others = currencyCatalog.list({ codes: available })
+            .map(currency => currency.code)
+            .filter(code => !popular.includes(code));
+
+        const selects = [
+            [this.elements.fromCurrency, 'USD'],
+            [this.elements.toCurrency, 'EUR'],
+            [document.getElementById('multiAddCurrency'), null],
+            [this.alertPanel.elements.from, 'EUR'],
+            [this.alertPanel.elements.to, 'GBP']
+        ];
+
+        selects.forEach(([select, defaultValue]) => {
+            if (!select) return;
+            const selected = select.value || defaultValue;
+
+            select.innerHTML = '';
+            [[i18n.t('picker.popular'), popular], [i18n.t('picker.all'), others]].forEach(([label, codes]) => {
+                const group = document.createElement('optgroup');
+                group.label = label;
+                codes.forEach(code => group.appendChild(new Option(currencyCatalog.label(code), code)));
+                select.appendChild(group);
+            });
+
+            if (selected) select.value = selected;
+        });
+        this.costPanel.populateFeeCurrencies(popular, others);
+        
+        this.applyPendingCurrencies();
+    }
+
     /**
      * Swap currencies
      */
     swapCurrencies() {
         if (!this.elements.fromCurrency || !this.elements.toCurrency) return;
 
+        this.pendingCurrencies = {};
         const temp = this.elements.fromCurrency.value;
         this.elements.fromCurrency.value = this.elements.toCurrency.value;
         this.elements.toCurrency.value = temp;
+        this.currencyPickers.forEach(picker => picker.sync());
 
         // Add visual feedback
         this.elements.swapBtn?.classList.add('rotating');
@@ -216,6 +683,7 @@ class UIController {
         }, 300);
 
         this.handleConversion();
+        this.updateHistoryChart();
     }
 
     /**
@@ -234,6 +702,85 @@ class UIController {
         });
     }
 
+    /**
+     * Switch the history chart to a different range
+     */
+    setHistoryRange(range) {
+        this.historyRange = range;
+        this.elements.historyRanges?.forEach(button => {
+            const isActive = button.dataset.range === range;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+        this.updateHistoryChart();
+    }
+
+    /**
+     * Load and draw the rate history for the selected pair
+     */
+    async updateHistoryChart() {
+        if (!this.chart) return;
+
+        const fromCurrency = this.elements.fromCurrency?.value || 'USD';
+        const toCurrency = this.elements.toCurrency?.value || 'EUR';
+        const requestId = ++this.historyRequestId;
+
+        if (this.elements.historyTitle) {
+            this.elements.historyTitle.textContent = i18n.t('history.title', { from: fromCurrency, to: toCurrency });
+        }
+        this.elements.historyChart.classList.add('loading-pulse');
+
+        const result = await this.converter.getRateHistory(fromCurrency, toCurrency, this.historyRange);
+
+        // Ignore responses for a pair or range the user has already moved away from
+        if (requestId !== this.historyRequestId) return;
+        this.elements.historyChart.classList.remove('loading-pulse');
+
+        if (!result.success || result.points.length < 2) {
+            this.chart.renderMessage(result.error
+                ? i18n.t('history.unavailable', { error: result.error })
+                : i18n.t('history.empty'));
+            this.updateHistorySummary(null);
+            return;
+        }
+
+        this.chart.render(result.points, {
+            label: i18n.t('history.label', { from: fromCurrency, to: toCurrency, range: this.historyRange }),
+            formatRate: (rate) => this.converter.formatCurrency(rate)
+        });
+        this.updateHistorySummary(result.points);
+    }
+
+    /**
+     * Show change, high and low for the charted period
+     */
+    updateHistorySummary(points) {
+        if (!this.elements.historySummary) return;
+
+        if (!points) {
+            this.elements.historySummary.textContent = '';
+            return;
+        }
+
+        const rates = points.map(point => point.rate);
+        const first = rates[0];
+        const last = rates[rates.length - 1];
+        const change = (last - first) / first;
+
+        this.elements.historySummary.textContent = i18n.t('history.summary', {
+            range: this.historyRange,
+            change: i18n.formatNumber(change, {
+                style: 'percent',
+                signDisplay: 'exceptZero',
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }),
+            high: this.converter.formatCurrency(Math.max(...rates)),
+            low: this.converter.formatCurrency(Math.min(...rates))
+        });
+        this.elements.historySummary.className = `history-summary ${change >= 0 ? 'up' : 'down'}`;
+    }
+
     /**
      * Show/hide loading state
      */
@@ -255,17 +802,28 @@ class UIController {
     }
 
     /**
-     * Show error message
+     * UI text for a rate warning or converter message { code, params, message },
+     * with a table's age (ageMs) written out in the UI language
      */
-    showError(message) {
+    describeMessage(message) {
+        if (!message?.code) return message?.message ?? message;
+
+        const params = { ...message.params };
+        if ('ageMs' in params) params.age = i18n.formatAge(params.ageMs);
+        return i18n.t(message.code, params);
+    }
+
+    /**
+     * Show error message; autoHide clears passing status messages after 5 seconds
+     */
+    showError(message, { autoHide = false } = {}) {
         if (!this.elements.errorMessage) return;
 
         if (message) {
             this.elements.errorMessage.textContent = message;
             this.elements.errorMessage.style.display = 'block';
             
-            // Auto-hide status messages after 5 seconds
-            if (message.includes('Refreshing') || message.includes('Updating') || message.includes('Last Refreshed')) {
+            if (autoHide) {
                 setTimeout(() => {
                     if (this.elements.errorMessage.textContent === message) {
                         this.elements.errorMessage.style.display = 'none';
@@ -284,7 +842,8 @@ class UIController {
         const refreshBtn = document.createElement('button');
         refreshBtn.innerHTML = '🔄';
         refreshBtn.className = 'refresh-btn';
-        refreshBtn.title = 'Refresh rates (Ctrl+R)';
+        refreshBtn.title = i18n.t('refresh.title');
+        refreshBtn.setAttribute('data-i18n-title', 'refresh.title');
         refreshBtn.onclick = () => this.refreshRates();
         
         // Add to converter form
@@ -316,10 +875,10 @@ class UIController {
         if (!statusIndicator) return;
 
         if (isOffline) {
-            statusIndicator.innerHTML = '📡 Offline - Using cached data';
+            statusIndicator.innerHTML = i18n.t('status.offline');
             statusIndicator.className = 'status-indicator offline';
         } else {
-            statusIndicator.innerHTML = '🟢 Online';
+            statusIndicator.innerHTML = i18n.t('status.online');
             statusIndicator.className = 'status-indicator online';
         }
     }
@@ -331,18 +890,21 @@ class UIController {
         const statusIndicator = document.getElementById('statusIndicator');
         if (!statusIndicator || !timestamp) return;
 
-        const time = new Date(timestamp).toLocaleTimeString();
-        const sourceText = source ? ` (${source})` : '';
+        const time = i18n.formatDateTime(timestamp, { timeStyle: 'medium' });
+        const sourceText = source ? ` (${i18n.t(`source.${source}`)})` : '';
         
         if (!navigator.onLine) return; // Don't update if offline
 
-        statusIndicator.innerHTML += `<br><small>Last updated: ${time}${sourceText}</small>`;
+        const note = document.createElement('small');
+        note.textContent = i18n.t('status.lastUpdated', { time, source: sourceText });
+        statusIndicator.append(document.createElement('br'), note);
     }
 
     /**
-     * Add source indicator to result
+     * Add source indicator to result: freshness tier, provider, publication and fetch times,
+     * and in consensus mode how far the sources agreed
      */
-    addSourceIndicator(source) {
+    addSourceIndicator(provenance, consensus = null) {
         let indicator = document.getElementById('sourceIndicator');
         if (!indicator) {
             indicator = document.createElement('div');
@@ -351,25 +913,74 @@ class UIController {
             this.elements.resultSection?.appendChild(indicator);
         }
 
-        const sourceLabels = {
-            'api': '🌐 Live data',
-            'cache': '💾 Cached data',
-            'offline_cache': '📱 Offline cache',
-            'fallback': '🔄 Last Refreshed Rate',
-            'error_fallback_cache': '🔄 Last Refreshed Rate',
-            'error_fallback_hardcoded': '🔄 Last Refreshed Rate'
-        };
+        const summary = [provenance.tier ? i18n.t(`tier.${provenance.tier}`) : provenance.source];
+        if (provenance.confidence !== 'high') {
+            summary.push(i18n.t(`confidence.${provenance.confidence}`));
+        }
+
+        const details = [provenance.provider || i18n.t('provenance.unknownProvider')];
+        if (provenance.publishedAt) {
+            details.push(i18n.t('provenance.published', { time: i18n.formatDateTime(provenance.publishedAt) }));
+        }
+        if (provenance.fetchedAt) {
+            details.push(i18n.t('provenance.fetched', { age: i18n.formatAge(provenance.ageMs) }));
+        }
+
+        const summaryLine = document.createElement('strong');
+        summaryLine.textContent = summary.join(' · ');
+        const detailLine = document.createElement('span');
+        detailLine.className = 'source-details';
+        detailLine.textContent = details.join(' · ');
+
+        indicator.replaceChildren(summaryLine, detailLine);
+        if (consensus) {
+            const consensusLine = document.createElement('span');
+            consensusLine.className = 'source-consensus';
+            consensusLine.classList.toggle('warning', consensus.disputed || consensus.outliers.length > 0);
+            consensusLine.textContent = this.describeConsensus(consensus);
+            indicator.appendChild(consensusLine);
+        }
+        const unknown = i18n.t('provenance.unknown');
+        indicator.title = i18n.t('provenance.tooltip', {
+            source: provenance.source,
+            provider: provenance.provider || unknown,
+            base: provenance.base || unknown,
+            published: provenance.publishedAt || unknown,
+            fetched: provenance.fetchedAt || i18n.t('provenance.never'),
+            tier: provenance.tier,
+            confidence: provenance.confidence
+        });
+        indicator.className = `source-indicator ${provenance.tier} confidence-${provenance.confidence}`;
+    }
+
+    /**
+     * "3 sources agree · spread 0.12%", plus any provider left out as an outlier
+     */
+    describeConsensus(consensus) {
+        const percent = (value) => i18n.formatNumber(value / 100, { style: 'percent', maximumFractionDigits: 3 });
+        let text;
+        if (consensus.disputed) {
+            text = i18n.t('consensus.disputed', { spread: percent(consensus.spreadPercent) });
+        } else if (!consensus.confirmed) {
+            text = i18n.t('consensus.single');
+        } else {
+            text = i18n.plural('consensus.agree', consensus.sources, { spread: percent(consensus.spreadPercent) });
+        }
 
-        indicator.textContent = sourceLabels[source] || source;
-        indicator.className = `source-indicator ${source}`;
+        const outliers = consensus.outliers.map(outlier => i18n.t('consensus.outlier', {
+            provider: outlier.provider,
+            currency: outlier.currency,
+            deviation: percent(outlier.deviationPercent)
+        }));
+        return [text, ...outliers].join(' · ');
     }
 
     /**
      * Refresh rates manually
      */
     async refreshRates() {
-        this.showError('Refreshing exchange rates...');
-        await this.converter.refreshRates();
+        this.showError(i18n.t('refresh.progress'), { autoHide: true });
+        await this.converter.refreshRates(this.elements.fromCurrency?.value);
         this.showError(''); // Clear the message
     }
 
@@ -398,9 +1009,9 @@ class UIController {
     /**
      * Clear cache (for debugging/admin)
      */
-    clearCache() {
-        this.converter.clearCache();
-        this.showError('Cache cleared successfully');
+    async clearCache() {
+        await this.converter.clearCache();
+        this.showError(i18n.t('cache.cleared'));
     }
 }
 
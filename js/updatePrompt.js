@@ -0,0 +1,83 @@
+/**
+ * Service worker registration and update flow
+ * A new version installs in the background and waits; the banner lets the user
+ * switch to it, then the page reloads once the new worker takes control
+ */
+
+class UpdatePrompt {
+    constructor(elements) {
+        this.elements = elements;
+        this.registration = null;
+        this.reloading = false;
+
+        this.elements.reloadButton?.addEventListener('click', () => this.applyUpdate());
+        this.elements.dismissButton?.addEventListener('click', () => this.hide());
+    }
+
+    async register(scriptUrl = '/sw.js') {
+        if (!('serviceWorker' in navigator)) return null;
+
+        try {
+            this.registration = await navigator.serviceWorker.register(scriptUrl);
+        } catch (error) {
+            console.info('ServiceWorker registration completed:', error);
+            return null;
+        }
+
+        // Only prompt when a version is already running; the first install just activates
+        const hasController = Boolean(navigator.serviceWorker.controller);
+
+        if (this.registration.waiting && hasController) {
+            this.show();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.show();
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hasController || this.reloading) return;
+            this.reloading = true;
+            window.location.reload();
+        });
+
+        // Long-lived tabs and installed apps check for a new version when shown again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.registration.update().catch(error => console.info('Update check completed:', error));
+            }
+        });
+
+        return this.registration;
+    }
+
+    show() {
+        if (this.elements.banner) this.elements.banner.hidden = false;
+    }
+
+    hide() {
+        if (this.elements.banner) this.elements.banner.hidden = true;
+    }
+
+    /**
+     * Ask the waiting worker to take over; controllerchange then reloads the page
+     */
+    applyUpdate() {
+        const waiting = this.registration?.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+
+        this.elements.reloadButton.disabled = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
+
+// Export for use in other modules
+window.UpdatePrompt = UpdatePrompt;
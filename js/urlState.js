@@ -0,0 +1,184 @@
+/**
+ * URL state - encodes amount, currencies, mode and as-of date in the address bar
+ * Accepts "/100-usd-to-eur" paths and "?amount=100&from=USD&to=EUR" queries,
+ * writes the path form so copied links reproduce the same conversion
+ */
+
+class UrlState {
+    constructor(siteName = 'Currency Converter') {
+        this.siteName = siteName;
+        this.defaultTitle = document.title;
+        this.defaultDescription = document.querySelector('meta[name="description"]')?.content || '';
+        this.modes = ['single', 'many', 'batch'];
+    }
+
+    /**
+     * Read state from a location; only keys present and valid are returned
+     */
+    parse(location = window.location) {
+        const state = {};
+        const params = new URLSearchParams(location.search);
+        const match = /^\/(?:(\d+(?:\.\d+)?)-)?([a-z]{3})-(?:to|in)-([a-z]{3})\/?$/i
+            .exec(this.decodePath(location.pathname));
+
+        if (match) {
+            if (match[1]) state.amount = match[1];
+            state.from = match[2].toUpperCase();
+            state.to = match[3].toUpperCase();
+        }
+
+        // Web Share Target: text like "€250" shared from another app
+        if (location.pathname === '/share') {
+            Object.assign(state, this.parseSharedText(params.get('text') || params.get('title') || ''));
+        }
+
+        const amount = params.get('amount');
+        if (amount && /^\d+(\.\d+)?$/.test(amount)) state.amount = amount;
+
+        ['from', 'to'].forEach(key => {
+            const code = (params.get(key) || '').toUpperCase();
+            if (/^[A-Z]{3}$/.test(code)) state[key] = code;
+        });
+
+        const mode = params.get('mode');
+        if (this.modes.includes(mode)) state.mode = mode;
+
+        const date = params.get('date');
+        if (date && /^\d{4}-\d{2}-\d{2}$/.test(date)) state.date = date;
+
+        return state;
+    }
+
+    /**
+     * Decoded path, or an empty one when it holds a malformed escape ("/%E0%A4%A")
+     * so the default state is used instead of aborting start-up
+     */
+    decodePath(pathname) {
+        try {
+            return decodeURIComponent(pathname);
+        } catch (error) {
+            console.info('URL path decode completed:', error);
+            return '';
+        }
+    }
+
+    /**
+     * First amount in shared text plus the currency symbol or code next to it:
+     * "€250" -> { amount: '250', from: 'EUR' }, "Total: 1,299.50 USD" -> { amount: '1299.50', from: 'USD' }
+     */
+    parseSharedText(text) {
+        const match = /([^\s\d.,]{1,3}|\b[A-Za-z]{3}\b)?\s?(\d[\d.,\s]*\d|\d)(?:\s?(\b[A-Za-z]{3}\b|[^\s\d.,]{1,3}))?/u.exec(text);
+        if (!match) return {};
+
+        const state = {};
+        const amount = this.normalizeSharedAmount(match[2]);
+        if (amount) state.amount = amount;
+
+        const currency = [match[1], match[3]]
+            .map(candidate => candidate && currencyCatalog.find(candidate))
+            .find(Boolean);
+        if (currency) state.from = currency;
+
+        return state;
+    }
+
+    /**
+     * "1,299.50" / "1.299,50" / "1 299" -> "1299.50" / "1299.50" / "1299"
+     */
+    normalizeSharedAmount(raw) {
+        let value = raw.replace(/\s/g, '');
+        const lastSeparator = Math.max(value.lastIndexOf(','), value.lastIndexOf('.'));
+
+        if (lastSeparator !== -1) {
+            const separator = value[lastSeparator];
+            const decimals = value.slice(lastSeparator + 1);
+            const mixed = value.includes(',') && value.includes('.');
+            const isDecimal = mixed || (value.split(separator).length === 2 && decimals.length !== 3);
+
+            value = isDecimal
+                ? `${value.slice(0, lastSeparator).replace(/[.,]/g, '')}.${decimals}`
+                : value.replace(/[.,]/g, '');
+        }
+
+        return /^\d+(\.\d+)?$/.test(value) ? value : null;
+    }
+
+    /**
+     * Canonical URL for a state: /100-usd-to-eur?mode=many&date=2024-01-05
+     */
+    build({ amount, from, to, mode, date }) {
+        const cleanAmount = /^\d+(\.\d+)?$/.test(amount || '') ? `${amount}-` : '';
+        const params = new URLSearchParams();
+
+        if (mode && mode !== 'single') params.set('mode', mode);
+        if (date) params.set('date', date);
+
+        const query = params.toString();
+        return `/${cleanAmount}${from.toLowerCase()}-to-${to.toLowerCase()}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Replace the current history entry and refresh title and meta tags
+     */
+    update(state) {
+        const url = this.build(state);
+
+        if (`${window.location.pathname}${window.location.search}` !== url) {
+            try {
+                history.replaceState(history.state, '', url);
+            } catch (error) {
+                console.info('URL update completed:', error);
+            }
+        }
+
+        this.updateMeta(state, new URL(url, window.location.origin).href);
+    }
+
+    /**
+     * Per-pair page title, description and social tags
+     */
+    updateMeta({ amount, from, to, mode, date }, href) {
+        const fromName = currencyCatalog.name(from);
+        const toName = currencyCatalog.name(to);
+        const amountLabel = /^\d+(\.\d+)?$/.test(amount || '') ? `${amount} ` : '';
+        const onDate = date ? ` on ${date}` : '';
+
+        let title;
+        let description;
+        if (mode === 'many') {
+            title = `${amountLabel}${from} to many currencies${onDate} | ${this.siteName}`;
+            description = `Convert ${amountLabel}${fromName} (${from}) into several currencies at once${onDate}.`;
+        } else if (mode === 'batch') {
+            title = this.defaultTitle;
+            description = this.defaultDescription;
+        } else {
+            title = `${amountLabel}${from} to ${to}${onDate} - ${fromName} to ${toName} | ${this.siteName}`;
+            description = `Convert ${amountLabel}${fromName} (${from}) to ${toName} (${to})` +
+                `${date ? ` at the ${date} exchange rate` : ' with live exchange rates'}.`;
+        }
+
+        document.title = title;
+        this.setMeta('name', 'description', description);
+        this.setMeta('property', 'og:title', title);
+        this.setMeta('property', 'og:description', description);
+        this.setMeta('property', 'og:url', href);
+        this.setMeta('name', 'twitter:title', title);
+        this.setMeta('name', 'twitter:description', description);
+
+        let canonical = document.querySelector('link[rel="canonical"]');
+        if (!canonical) {
+            canonical = document.createElement('link');
+            canonical.rel = 'canonical';
+            document.head.appendChild(canonical);
+        }
+        canonical.href = href;
+    }
+
+    setMeta(attribute, key, content) {
+        const meta = document.querySelector(`meta[${attribute}="${key}"]`);
+        if (meta) meta.content = content;
+    }
+}
+
+// Export for use in other modules
+window.UrlState = UrlState;
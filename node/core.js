@@ -0,0 +1,256 @@
+/**
+ * Node runtime for the converter core
+ * Runs the page's core scripts (catalog, decimal money, providers, rate store, API
+ * service, converter, amount parser, batch converter) in their own context, where
+ * `self` is that context, and gives them a RuntimeEnvironment backed by files and
+ * Node's fetch. Scripts and servers get the same rates, rounding and batch rules
+ * as the web app.
+ *
+ *   const { createConverter } = require('./node/core');
+ *   const converter = createConverter({ cacheDir: '/var/cache/currencyconv' });
+ *   await converter.loadInitialRates();
+ *   const result = await converter.convertCurrency('100', 'USD', 'EUR');
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// In dependency order, as index.html loads them
+const CORE_SCRIPTS = [
+  'js/currencyData.js',
+  'js/money.js',
+  'js/rateProvenance.js',
+  'js/rateValidation.js',
+  'js/rateProviders.js',
+  'js/rateConsensus.js',
+  'js/indexedStore.js',
+  'js/rateStore.js',
+  'js/environment.js',
+  'js/apiService.js',
+  'js/currencyConverter.js',
+  'js/amountParser.js',
+  'js/batchConverter.js'
+];
+
+const DEFAULT_CACHE_DIR = process.env.CURRENCYCONV_CACHE_DIR ||
+  path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'currencyconv');
+
+let core = null;
+
+/**
+ * Console for the core scripts: stdout stays clean for command output, and the
+ * routine "... completed" notes only show with CURRENCYCONV_DEBUG set
+ */
+function createCoreConsole() {
+  const coreConsole = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+  if (!process.env.CURRENCYCONV_DEBUG) {
+    ['log', 'info', 'debug'].forEach(method => { coreConsole[method] = () => {}; });
+  }
+  return coreConsole;
+}
+
+/**
+ * The core's globals (CurrencyConverter, BatchConverter, Decimal, currencyCatalog, ...)
+ * Loaded once per process
+ */
+function loadCore() {
+  if (core) return core;
+
+  const context = vm.createContext({
+    console: createCoreConsole(),
+    fetch,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    queueMicrotask,
+    performance,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder
+  });
+  context.self = context;
+
+  CORE_SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+
+  core = context;
+  return core;
+}
+
+/**
+ * localStorage-shaped key/value storage kept in a JSON file
+ */
+class FileStorage {
+  constructor(file) {
+    this.file = file;
+    this.values = readJson(file) || {};
+  }
+
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+  }
+
+  setItem(key, value) {
+    this.values[key] = String(value);
+    writeJson(this.file, this.values);
+  }
+
+  removeItem(key) {
+    delete this.values[key];
+    writeJson(this.file, this.values);
+  }
+}
+
+/**
+ * localStorage-shaped storage that lasts for the process
+ */
+class MemoryStorage {
+  constructor() {
+    this.values = new Map();
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.values.delete(key);
+  }
+}
+
+/**
+ * RateStore whose in-memory stores are saved to a JSON file after every write,
+ * so tables, archives and historical entries outlive the process
+ */
+function createFileRateStore(file, policy = {}) {
+  const { RateStore } = loadCore();
+
+  class FileRateStore extends RateStore {
+    constructor() {
+      super('currencyconv-rates', policy);
+      this.file = file;
+
+      const saved = readJson(file);
+      if (saved && saved.version === this.version) {
+        Object.entries(saved.stores || {}).forEach(([name, entries]) => {
+          if (this.memory[name]) this.memory[name] = new Map(entries);
+        });
+        this.nextIds.archive = saved.nextArchiveId || 1;
+      }
+    }
+
+    async run(storeName, mode, operation) {
+      const result = await super.run(storeName, mode, operation);
+      if (mode === 'readwrite') this.save();
+      return result;
+    }
+
+    save() {
+      const stores = {};
+      Object.entries(this.memory).forEach(([name, map]) => {
+        stores[name] = Array.from(map.entries());
+      });
+      writeJson(this.file, { version: this.version, nextArchiveId: this.nextIds.archive, stores });
+    }
+  }
+
+  return new FileRateStore();
+}
+
+/**
+ * RuntimeEnvironment for Node
+ * options: { storage, fetch, online, config }
+ */
+function createEnvironment(options = {}) {
+  const { RuntimeEnvironment } = loadCore();
+  const online = options.online !== false;
+
+  return new RuntimeEnvironment({
+    storage: options.storage || new MemoryStorage(),
+    fetch: options.fetch || fetch,
+    online: () => online,
+    config: options.config || {}
+  });
+}
+
+/**
+ * CurrencyConverter for Node. Rates are not fetched until loadInitialRates/fetchRates
+ * or the first conversion.
+ * options: {
+ *   cacheDir   - where settings.json and rates.json live (false: keep everything in memory)
+ *   config     - { providers, pivotCurrency, consensus, validation }, as window.currencyConvConfig in the page
+ *   fetch      - network layer (default: Node's fetch)
+ *   online     - false to use cached and built-in rates only
+ *   locale, roundingMode
+ * }
+ */
+function createConverter(options = {}) {
+  const { CurrencyConverter, RateStore } = loadCore();
+  const cacheDir = options.cacheDir === undefined ? DEFAULT_CACHE_DIR : options.cacheDir;
+
+  if (cacheDir) fs.mkdirSync(cacheDir, { recursive: true });
+
+  const environment = createEnvironment({
+    storage: cacheDir ? new FileStorage(path.join(cacheDir, 'settings.json')) : null,
+    fetch: options.fetch,
+    online: options.online,
+    config: options.config
+  });
+  const rateStore = cacheDir ? createFileRateStore(path.join(cacheDir, 'rates.json')) : new RateStore();
+
+  const converter = new CurrencyConverter({
+    environment,
+    rateStore,
+    providers: options.config?.providers,
+    pivotCurrency: options.config?.pivotCurrency,
+    locale: options.locale || 'en-US',
+    autoLoad: false
+  });
+  // For this converter only; setRoundingMode would also save it as the default
+  if (options.roundingMode) {
+    if (!Object.values(loadCore().ROUNDING_MODES).includes(options.roundingMode)) {
+      throw new Error(`Unknown rounding mode: ${options.roundingMode}`);
+    }
+    converter.setState({ roundingMode: options.roundingMode });
+  }
+
+  return converter;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Ignoring unreadable ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write through a temporary file so a crash never leaves half a file behind
+ */
+function writeJson(file, value) {
+  const temporary = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(value));
+  fs.renameSync(temporary, file);
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  loadCore,
+  createEnvironment,
+  createConverter,
+  createFileRateStore,
+  FileStorage,
+  MemoryStorage
+};
@@ -0,0 +1,394 @@
+/**
+ * Self-hosted rate proxy
+ * Fetches the configured bases from the upstream providers on a schedule (one
+ * ExchangeRateAPIService, with the app's failover and throttling), keeps every
+ * snapshot in a file rate store and serves the same snapshot to every client:
+ *
+ *   GET /latest/:base             newest snapshot; other bases are rebased from a scheduled one
+ *   GET /historical/:date/:base   rates published for a past date, fetched once and kept
+ *   GET /convert?amount=100&from=USD&to=EUR[&date=YYYY-MM-DD][&rounding=half-even]
+ *   GET /status                   snapshot ages, request counts and rejected upstream payloads
+ *
+ * JSON responses carry an ETag and answer If-None-Match with 304, so clients can
+ * revalidate between refreshes for free. Point the app at it with
+ * { type: 'proxy', url: 'https://rates.example.com' } in currencyConvConfig.providers.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { DEFAULT_CACHE_DIR, loadCore, createEnvironment, createFileRateStore, FileStorage } = require('./core');
+
+const DEFAULT_SERVER_OPTIONS = {
+  port: 8787,
+  host: '0.0.0.0',
+  bases: ['USD'],
+  refreshMinutes: 60,
+  retryMinutes: 5,
+  corsOrigin: '*'
+};
+
+// Results the proxy may serve: fetched upstream now, or a table fetched upstream earlier.
+// The app's built-in fallback rates are not, or every client would show them as live
+const SNAPSHOT_SOURCES = ['api', 'cache', 'offline_cache', 'error_fallback_cache'];
+
+class RateServer {
+  /**
+   * options: {
+   *   port, host, corsOrigin
+   *   bases          - currencies fetched upstream on every refresh (the first also backs rebasing)
+   *   refreshMinutes - minutes between scheduled refreshes
+   *   retryMinutes   - minutes before retrying a refresh that left a base without fresh rates
+   *   cacheDir       - where snapshots and settings are kept (false: memory only)
+   *   config         - { providers }, as window.currencyConvConfig in the page
+   *   fetch, log
+   * }
+   */
+  constructor(options = {}) {
+    const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    this.options = { ...DEFAULT_SERVER_OPTIONS, ...defined };
+    this.bases = this.options.bases.map(base => base.toUpperCase());
+    this.refreshInterval = this.options.refreshMinutes * 60 * 1000;
+    this.retryInterval = Math.min(this.options.retryMinutes * 60 * 1000, this.refreshInterval);
+    this.log = this.options.log || ((message) => console.log(`${new Date().toISOString()} ${message}`));
+
+    this.core = loadCore();
+    this.stats = { upstreamRequests: 0, requests: 0, notModified: 0, lastRefresh: null, nextRefresh: null };
+    const cacheDir = this.options.cacheDir === undefined ? path.join(DEFAULT_CACHE_DIR, 'proxy') : this.options.cacheDir;
+    if (cacheDir) fs.mkdirSync(cacheDir, { recursive: true });
+
+    const upstreamFetch = this.options.fetch || fetch;
+    this.rateStore = cacheDir ? createFileRateStore(path.join(cacheDir, 'rates.json')) : new this.core.RateStore();
+    this.apiService = new this.core.ExchangeRateAPIService({
+      environment: createEnvironment({
+        storage: cacheDir ? new FileStorage(path.join(cacheDir, 'settings.json')) : null,
+        fetch: (...args) => {
+          this.stats.upstreamRequests++;
+          return upstreamFetch(...args);
+        },
+        config: this.options.config
+      }),
+      rateStore: this.rateStore,
+      providers: this.options.config?.providers
+    });
+
+    this.snapshots = new Map(); // base -> { table, body, etag }
+    this.historical = new Map(); // `${date}_${base}` -> pending lookup
+    this.timer = null;
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        this.log(`Request failed: ${error.stack || error.message}`);
+        if (!response.headersSent) this.sendError(response, 500, 'Internal error');
+      });
+    });
+  }
+
+  /**
+   * Restore the stored snapshots, start listening, then refresh and keep refreshing
+   */
+  async start() {
+    for (const base of this.bases) {
+      const table = await this.rateStore.getLastKnownGood(base);
+      if (table) this.setSnapshot(base, this.apiService.buildRatesResult(table, 'cache'));
+    }
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    const oldest = Math.min(...this.bases.map(base => this.snapshotAge(base)));
+    const firstRefresh = Math.max(0, this.refreshInterval - (isFinite(oldest) ? oldest : this.refreshInterval));
+    this.scheduleRefresh(firstRefresh);
+    return this.server.address();
+  }
+
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await new Promise(resolve => {
+      this.server.close(resolve);
+      this.server.closeIdleConnections?.();
+    });
+  }
+
+  scheduleRefresh(delay) {
+    clearTimeout(this.timer);
+    this.stats.nextRefresh = new Date(Date.now() + delay).toISOString();
+    this.timer = setTimeout(async () => {
+      const refreshed = await this.refresh();
+      if (this.timer) this.scheduleRefresh(refreshed ? this.refreshInterval : this.retryInterval);
+    }, delay);
+  }
+
+  /**
+   * Fetch every scheduled base upstream; a failed fetch keeps serving the previous snapshot.
+   * Resolves false when some base got no upstream rates, so the next attempt comes sooner
+   */
+  async refresh() {
+    let refreshed = true;
+    for (const base of this.bases) {
+      const result = await this.apiService.getExchangeRates(base, true);
+      const usable = result.base === base && SNAPSHOT_SOURCES.includes(result.source);
+      if (result.source !== 'api') refreshed = false;
+
+      if (usable && (result.source === 'api' || !this.snapshots.has(base))) {
+        this.setSnapshot(base, result);
+        this.log(`${base}: ${Object.keys(result.rates).length} rates from ${result.provider} (${result.source})`);
+      } else if (this.snapshots.has(base)) {
+        this.log(`${base}: refresh failed, still serving the snapshot fetched ${this.snapshots.get(base).table.fetchedAt}`);
+      } else {
+        this.log(`${base}: refresh failed and no snapshot is stored yet`);
+      }
+    }
+    this.stats.lastRefresh = new Date().toISOString();
+    return refreshed;
+  }
+
+  setSnapshot(base, result) {
+    const table = {
+      base: result.base,
+      rates: result.rates,
+      provider: result.provider,
+      publishedAt: result.publishedAt,
+      fetchedAt: result.fetchedAt,
+      source: result.source,
+      consensus: result.consensus || null
+    };
+    this.snapshots.set(base, { table, ...this.serialize(table) });
+  }
+
+  snapshotAge(base) {
+    const snapshot = this.snapshots.get(base);
+    return snapshot?.table.fetchedAt ? Date.now() - new Date(snapshot.table.fetchedAt).getTime() : Infinity;
+  }
+
+  /**
+   * The snapshot for a base: scheduled, or rebased from a scheduled table that quotes it
+   */
+  getLatest(base) {
+    if (this.snapshots.has(base)) return this.snapshots.get(base);
+
+    const { Money } = this.core;
+    const source = [...this.snapshots.values()].find(snapshot => snapshot.table.rates[base]);
+    if (!source) return null;
+
+    const pivot = source.table.rates[base];
+    const rates = {};
+    Object.entries(source.table.rates).forEach(([code, rate]) => {
+      rates[code] = Money.crossRate(pivot, rate).toNumber();
+    });
+    const table = { ...source.table, base, rates: { ...rates, [base]: 1 }, rebasedFrom: source.table.base };
+    return { table, ...this.serialize(table) };
+  }
+
+  /**
+   * Historical rates through the API service's permanent cache; one upstream lookup per date and base
+   */
+  getHistorical(date, base) {
+    const key = `${date}_${base}`;
+    if (!this.historical.has(key)) {
+      const lookup = this.apiService.getHistoricalRates(base, date)
+        .finally(() => this.historical.delete(key));
+      this.historical.set(key, lookup);
+    }
+    return this.historical.get(key);
+  }
+
+  async handle(request, response) {
+    this.stats.requests++;
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, { ...this.corsHeaders(), 'Access-Control-Max-Age': '86400' });
+      response.end();
+      return;
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      this.sendError(response, 405, 'Method not allowed', { Allow: 'GET, HEAD, OPTIONS' });
+      return;
+    }
+
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      return this.sendError(response, 400, 'Malformed URL');
+    }
+
+    if (parts[0] === 'latest' && parts.length === 2) {
+      const base = this.readCurrency(parts[1]);
+      if (!base) return this.sendError(response, 400, `Invalid currency "${parts[1]}"`);
+
+      const snapshot = this.getLatest(base);
+      if (!snapshot) return this.sendNoRates(response, base);
+      return this.send(request, response, snapshot, 'no-cache');
+    }
+
+    if (parts[0] === 'historical' && parts.length === 3) {
+      const date = this.readDate(parts[1]);
+      const base = this.readCurrency(parts[2]);
+      if (!date) return this.sendError(response, 400, `Invalid date "${parts[1]}" (use a past YYYY-MM-DD)`);
+      if (!base) return this.sendError(response, 400, `Invalid currency "${parts[2]}"`);
+
+      const result = await this.getHistorical(date, base);
+      if (!result.success) return this.sendError(response, 502, result.error);
+
+      const { base: tableBase, date: tableDate, requestedDate, rates, provider, publishedAt, fetchedAt } = result;
+      const body = { base: tableBase, date: tableDate, requestedDate, rates, provider, publishedAt, fetchedAt };
+      // Published rates for a closed day never change
+      const final = tableDate < new Date().toISOString().slice(0, 10);
+      return this.send(request, response, this.serialize(body), final ? 'public, max-age=86400' : 'no-cache');
+    }
+
+    if (parts[0] === 'convert' && parts.length === 1) {
+      return this.handleConvert(request, response, url.searchParams);
+    }
+
+    if (parts[0] === 'status' && parts.length === 1) {
+      return this.send(request, response, this.serialize(await this.status()), 'no-store');
+    }
+
+    this.sendError(response, 404, 'Not found');
+  }
+
+  async handleConvert(request, response, params) {
+    const { Money, ROUNDING_MODES } = this.core;
+    const amount = (params.get('amount') || '').trim();
+    const from = this.readCurrency(params.get('from'));
+    const to = this.readCurrency(params.get('to'));
+    const date = params.has('date') ? this.readDate(params.get('date')) : null;
+    const roundingMode = params.get('rounding') || ROUNDING_MODES.HALF_UP;
+
+    if (!/^\d+(\.\d+)?$/.test(amount) || Number(amount) <= 0) return this.sendError(response, 400, 'amount must be a positive number');
+    if (!from || !to) return this.sendError(response, 400, 'from and to must be currency codes');
+    if (params.has('date') && !date) return this.sendError(response, 400, 'date must be a past YYYY-MM-DD');
+    if (!Object.values(ROUNDING_MODES).includes(roundingMode)) return this.sendError(response, 400, `Unknown rounding mode: ${roundingMode}`);
+
+    let table;
+    if (date) {
+      table = await this.getHistorical(date, this.bases[0]);
+      if (!table.success) return this.sendError(response, 502, table.error);
+    } else {
+      table = this.getLatest(from)?.table;
+      if (!table) return this.sendNoRates(response, from);
+    }
+
+    const quote = (code) => (code === table.base ? 1 : table.rates[code]);
+    if (!quote(from) || !quote(to)) {
+      return this.sendError(response, 404, `No ${from}/${to} rate${date ? ` published for ${date}` : ''}`);
+    }
+
+    const rate = Money.crossRate(quote(from), quote(to));
+    const body = {
+      amount,
+      from,
+      to,
+      date: date ? table.date : null,
+      rate: rate.toString(),
+      convertedAmount: Money.convert(amount, rate, to, roundingMode).toString(),
+      roundingMode,
+      provider: table.provider || null,
+      publishedAt: table.publishedAt || null,
+      fetchedAt: table.fetchedAt || null
+    };
+    return this.send(request, response, this.serialize(body), 'no-cache');
+  }
+
+  /**
+   * Snapshot ages, request counts and the latest upstream payloads that failed validation
+   */
+  async status() {
+    const rejected = await this.apiService.getRejectedPayloads();
+    return {
+      bases: this.bases,
+      refreshMinutes: this.options.refreshMinutes,
+      lastRefresh: this.stats.lastRefresh,
+      nextRefresh: this.stats.nextRefresh,
+      snapshots: this.bases.map(base => {
+        const table = this.snapshots.get(base)?.table;
+        return table
+          ? { base, provider: table.provider, source: table.source, fetchedAt: table.fetchedAt, ageSeconds: Math.round(this.snapshotAge(base) / 1000) }
+          : { base, provider: null, source: null, fetchedAt: null, ageSeconds: null };
+      }),
+      upstreamRequests: this.stats.upstreamRequests,
+      requests: this.stats.requests,
+      notModified: this.stats.notModified,
+      rejected: rejected.map(({ payload, ...rejection }) => rejection)
+    };
+  }
+
+  readCurrency(text) {
+    const code = (text || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+  }
+
+  readDate(text) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text || '') || isNaN(new Date(`${text}T00:00:00Z`))) return null;
+    return text <= new Date().toISOString().slice(0, 10) ? text : null;
+  }
+
+  /**
+   * JSON body and its ETag
+   */
+  serialize(value) {
+    const body = JSON.stringify(value);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 20)}"`;
+    return { body, etag };
+  }
+
+  corsHeaders() {
+    return {
+      'Access-Control-Allow-Origin': this.options.corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+      'Access-Control-Allow-Headers': 'Accept, Cache-Control, If-None-Match',
+      'Access-Control-Expose-Headers': 'ETag'
+    };
+  }
+
+  send(request, response, { body, etag }, cacheControl) {
+    const headers = {
+      ...this.corsHeaders(),
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': cacheControl,
+      ETag: etag
+    };
+
+    const ifNoneMatch = request.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === etag || tag === '*')) {
+      this.stats.notModified++;
+      response.writeHead(304, headers);
+      response.end();
+      return;
+    }
+
+    response.writeHead(200, { ...headers, 'Content-Length': Buffer.byteLength(body) });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * 503 while a scheduled base (or any base, before the first snapshot) waits for upstream rates,
+   * 404 for a base no snapshot quotes
+   */
+  sendNoRates(response, base) {
+    if (this.snapshots.size === 0 || this.bases.includes(base)) {
+      const retryAfter = Math.max(1, Math.round(this.retryInterval / 1000));
+      return this.sendError(response, 503, `No upstream rates for ${base} yet`, { 'Retry-After': String(retryAfter) });
+    }
+    return this.sendError(response, 404, `No rates for ${base}`);
+  }
+
+  sendError(response, status, message, headers = {}) {
+    const body = JSON.stringify({ error: message });
+    response.writeHead(status, {
+      ...this.corsHeaders(),
+      ...headers,
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    });
+    response.end(body);
+  }
+}
+
+module.exports = { DEFAULT_SERVER_OPTIONS, RateServer };
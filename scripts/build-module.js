@@ -0,0 +1,81 @@
+/**
+ * Generates dist/currency-converter.mjs, the converter packaged as an ES module
+ * The core scripts (catalog, decimal money, providers, rate store, API service,
+ * converter, amount parser, UI text) and the <currency-converter> element are joined
+ * into one module scope; their window/self export lines become named exports, so
+ * importing the module defines the element without adding page globals.
+ *
+ * Usage: node scripts/build-module.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'dist', 'currency-converter.mjs');
+
+// In dependency order, as index.html loads them
+const SOURCES = [
+  'js/currencyData.js',
+  'js/translations.js',
+  'js/i18n.js',
+  'js/money.js',
+  'js/rateProvenance.js',
+  'js/rateValidation.js',
+  'js/rateProviders.js',
+  'js/rateConsensus.js',
+  'js/indexedStore.js',
+  'js/rateStore.js',
+  'js/environment.js',
+  'js/apiService.js',
+  'js/currencyConverter.js',
+  'js/amountParser.js',
+  'js/converterWidget.js'
+];
+
+const EXPORT_LINE = /^(?:window|self)\.(\w+) = (\w+);$/;
+const EXPORT_COMMENT = /^\/\/ Export for /;
+
+/**
+ * Source without its global export block, plus the names it exported
+ */
+function stripExports(source, file) {
+  const names = [];
+  const lines = source.split('\n').filter(line => {
+    const match = EXPORT_LINE.exec(line.trim());
+    if (match) {
+      if (match[1] !== match[2]) {
+        throw new Error(`${file}: export ${match[1]} is not named after ${match[2]}`);
+      }
+      names.push(match[1]);
+      return false;
+    }
+    return !EXPORT_COMMENT.test(line.trim());
+  });
+
+  return { code: lines.join('\n').trimEnd(), names };
+}
+
+function build() {
+  const exported = [];
+  const parts = SOURCES.map(file => {
+    const { code, names } = stripExports(fs.readFileSync(path.join(ROOT, file), 'utf8'), file);
+    exported.push(...names);
+    return `// ---- ${file} ----\n\n${code}\n`;
+  });
+
+  const duplicates = exported.filter((name, index) => exported.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    throw new Error(`Exported more than once: ${duplicates.join(', ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT,
+    '// Generated by scripts/build-module.js - do not edit by hand\n\n' +
+    parts.join('\n') +
+    `\nexport {\n${exported.map(name => `  ${name}`).join(',\n')}\n};\n`);
+
+  console.log(`dist/currency-converter.mjs: ${SOURCES.length} sources, ${exported.length} exports`);
+}
+
+build();
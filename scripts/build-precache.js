@@ -0,0 +1,72 @@
+/**
+ * Generates precache-manifest.js for the service worker
+ * Lists the app shell (index.html plus every local script and stylesheet it loads)
+ * with a content hash per file and an overall version, so any deployed change
+ * produces a new service worker cache and an update prompt.
+ *
+ * Usage: node scripts/build-precache.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// Files the shell needs that index.html does not reference directly,
+// and the embed page with the module it loads (npm run build writes dist/ first)
+const EXTRA_FILES = [
+  '/manifest.webmanifest',
+  '/embed.html',
+  '/dist/currency-converter.mjs',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/icon-maskable-512.png',
+  '/icons/apple-touch-icon.png'
+];
+
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Local scripts and stylesheets referenced by index.html, in page order
+ */
+function shellAssets(html) {
+  const pattern = /<(?:script[^>]*\ssrc|link[^>]*rel="stylesheet"[^>]*\shref)="([^"]+)"/g;
+  const urls = [];
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const url = match[1];
+    if (!/^(https?:)?\/\//.test(url)) {
+      urls.push(`/${url.replace(/^\.?\//, '')}`);
+    }
+  }
+  return urls;
+}
+
+function build() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const urls = [...new Set(['/index.html', ...shellAssets(html), ...EXTRA_FILES])];
+
+  const files = urls.map(url => {
+    const file = path.join(ROOT, url);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Precache file not found: ${url}`);
+    }
+    return { url, revision: hash(fs.readFileSync(file)) };
+  });
+
+  const version = hash(files.map(file => `${file.url}@${file.revision}`).join('\n'));
+  const manifest = { version, files };
+
+  fs.writeFileSync(OUTPUT,
+    '// Generated by scripts/build-precache.js - do not edit by hand\n' +
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`);
+
+  console.log(`precache-manifest.js: ${files.length} files, version ${version}`);
+}
+
+build();
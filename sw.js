@@ -1,45 +1,80 @@
 
-const CACHE_NAME = 'currencyconv-v2-enhanced';
+importScripts('/precache-manifest.js', '/js/indexedStore.js', '/js/rateStore.js', '/js/rateValidation.js', '/js/rateProviders.js', '/js/translations.js', '/js/i18n.js', '/js/rateAlerts.js', '/js/backgroundSync.js');
+
+// The app shell cache is versioned by the generated precache manifest
+// (scripts/build-precache.js), so every deploy installs a fresh copy
+const STATIC_CACHE_PREFIX = 'currencyconv-static-';
+const STATIC_CACHE_NAME = `${STATIC_CACHE_PREFIX}${self.PRECACHE_MANIFEST.version}`;
 const API_CACHE_NAME = 'currencyconv-api-v2';
-const STATIC_CACHE_NAME = 'currencyconv-static-v2';
-
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/js/apiService.js',
-  '/js/currencyConverter.js',
-  '/js/ui.js',
-  '/css/enhanced-styles.css'
-];
-
-const apiUrls = [
-  'https://api.exchangerate-api.com',
-  'https://open.er-api.com'
-];
-
-// Install event - cache static assets
+const APP_SHELL_URL = '/index.html';
+
+const precacheUrls = self.PRECACHE_MANIFEST.files.map(file => file.url);
+
+// Rate endpoints the API cache answers for: the built-in providers plus the page's
+// configured chain (RATE_PROVIDERS message), kept in the rate store across restarts
+const PROVIDER_CONFIG_META_KEY = 'rateProviders';
+let apiScopes = providerScopes([]);
+new RateStore().getMeta(PROVIDER_CONFIG_META_KEY)
+  .then(providerConfig => {
+    if (providerConfig) apiScopes = providerScopes(providerConfig);
+  })
+  .catch(error => console.log('Provider config restore failed:', error.message));
+
+// Install event - precache the app shell. The new worker then waits until the page
+// accepts the update (SKIP_WAITING message) instead of replacing the running version.
 self.addEventListener('install', function(event) {
   event.waitUntil(
     Promise.all([
-      caches.open(STATIC_CACHE_NAME).then(function(cache) {
-        return cache.addAll(urlsToCache);
-      }),
+      precacheAppShell(),
       caches.open(API_CACHE_NAME) // Initialize API cache
-    ]).then(() => {
-      return self.skipWaiting();
-    })
+    ])
   );
 });
 
+// Cache every manifest file, reusing unchanged revisions from the previous version
+async function precacheAppShell() {
+  const cache = await caches.open(STATIC_CACHE_NAME);
+  
+  await Promise.all(self.PRECACHE_MANIFEST.files.map(async function({ url, revision }) {
+    const previous = await findPrecached(url, revision);
+    if (previous) {
+      return cache.put(url, previous);
+    }
+    
+    const response = await fetch(new Request(url, { cache: 'reload' }));
+    if (!response.ok) {
+      throw new Error(`Precache failed for ${url}: HTTP ${response.status}`);
+    }
+    
+    const headers = new Headers(response.headers);
+    headers.set('sw-precache-revision', revision);
+    return cache.put(url, new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers: headers
+    }));
+  }));
+}
+
+async function findPrecached(url, revision) {
+  const cacheNames = (await caches.keys()).filter(name => name.startsWith(STATIC_CACHE_PREFIX));
+  
+  for (const cacheName of cacheNames) {
+    const response = await (await caches.open(cacheName)).match(url);
+    if (response && response.headers.get('sw-precache-revision') === revision) {
+      return response;
+    }
+  }
+  return null;
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', function(event) {
   event.waitUntil(
     caches.keys().then(function(cacheNames) {
       return Promise.all(
         cacheNames.map(function(cacheName) {
-          if (cacheName !== STATIC_CACHE_NAME && 
-              cacheName !== API_CACHE_NAME && 
-              cacheName !== CACHE_NAME) {
+          if (cacheName !== STATIC_CACHE_NAME && cacheName !== API_CACHE_NAME) {
             return caches.delete(cacheName);
           }
         })
@@ -54,9 +89,26 @@ self.addEventListener('activate', function(event) {
 self.addEventListener('fetch', function(event) {
   const url = new URL(event.request.url);
   
-  // Handle API requests with network-first strategy
+  // Handle API requests with stale-while-revalidate
   if (isApiRequest(url)) {
-    event.respondWith(handleApiRequest(event.request));
+    event.respondWith(handleApiRequest(event));
+    return;
+  }
+  
+  // Other origins (ads, analytics) go straight to the network
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+  
+  if (url.pathname === '/manifest.webmanifest') {
+    event.respondWith(handleManifestRequest(event.request));
+    return;
+  }
+  
+  // App routes, including deep links like /100-usd-to-eur, get the app shell;
+  // other pages (embed.html in its iframe) are served as themselves
+  if (event.request.mode === 'navigate' && isAppRoute(url.pathname)) {
+    event.respondWith(handleNavigationRequest(event.request));
     return;
   }
   
@@ -64,71 +116,64 @@ self.addEventListener('fetch', function(event) {
   event.respondWith(handleStaticRequest(event.request));
 });
 
+// The shell itself and extensionless paths are app routes
+function isAppRoute(pathname) {
+  return pathname === APP_SHELL_URL || !/\.\w+$/.test(pathname);
+}
+
 // Check if request is to exchange rate API
 function isApiRequest(url) {
-  return apiUrls.some(apiUrl => url.href.includes(apiUrl.replace('https://', '')));
+  return apiScopes.some(scope => url.href.startsWith(scope));
+}
+
+// URL prefixes of a provider chain and the defaults; an endpoint at the site root
+// would claim the app's own files, so that one is left to the network
+function providerScopes(providerConfig) {
+  const scopes = rateProviderRegistry
+    .create([...providerConfig, ...DEFAULT_PROVIDER_CONFIG])
+    .flatMap(provider => provider.cacheScopes);
+  
+  return [...new Set(scopes)].filter(scope => scope !== `${self.location.origin}/`);
 }
 
-// Handle API requests with network-first, cache fallback
-async function handleApiRequest(request) {
+// Handle API requests with stale-while-revalidate: answer from cache at once, refresh
+// stale entries in the background and tell open pages when newer rates land.
+// Latest-rates payloads are validated first, so a bad one never replaces a cached entry.
+// Responses carry sw-cache-status (fresh|stale|network) and sw-cache-timestamp.
+async function handleApiRequest(event) {
+  const request = event.request;
   const cache = await caches.open(API_CACHE_NAME);
+  const cachedResponse = request.cache === 'reload' ? null : await cache.match(request);
   
-  try {
-    // Try network first
-    const networkResponse = await fetch(request);
-    
-    if (networkResponse.ok) {
-      // Clone response for caching
-      const responseClone = networkResponse.clone();
-      
-      // Cache with TTL (5 minutes)
-      const headers = new Headers(responseClone.headers);
-      headers.set('sw-cache-timestamp', Date.now().toString());
-      headers.set('sw-cache-ttl', (5 * 60 * 1000).toString()); // 5 minutes
-      
-      const cachedResponse = new Response(responseClone.body, {
-        status: responseClone.status,
-        statusText: responseClone.statusText,
-        headers: headers
-      });
-      
-      cache.put(request, cachedResponse);
-      return networkResponse;
+  if (cachedResponse) {
+    const age = Date.now() - parseInt(cachedResponse.headers.get('sw-cache-timestamp') || '0', 10);
+    if (age < RATE_STORE_POLICY.freshTtl) {
+      return withCacheStatus(cachedResponse, 'fresh');
     }
     
-    throw new Error('Network response not ok');
-    
+    event.waitUntil(
+      validatorFor(request.url)
+        .then(accept => fetchAndCacheRates(request, cache, accept))
+        .then(() => notifyClients({ type: 'RATES_UPDATED', url: request.url, fetchedAt: new Date().toISOString() }))
+        .catch(error => {
+          console.log('Rate revalidation failed:', error.message);
+          return recordRejection(error);
+        })
+    );
+    return withCacheStatus(cachedResponse, 'stale');
+  }
+  
+  try {
+    return await fetchAndCacheRates(request, cache, await validatorFor(request.url));
   } catch (error) {
-    // Network failed, try cache
-    const cachedResponse = await cache.match(request);
+    await recordRejection(error);
     
-    if (cachedResponse) {
-      // Check if cache is still valid
-      const cacheTimestamp = cachedResponse.headers.get('sw-cache-timestamp');
-      const cacheTTL = cachedResponse.headers.get('sw-cache-ttl');
-      
-      if (cacheTimestamp && cacheTTL) {
-        const age = Date.now() - parseInt(cacheTimestamp);
-        const ttl = parseInt(cacheTTL);
-        
-        if (age < ttl) {
-          return cachedResponse;
-        }
-      }
-      
-      // Return stale cache with warning header
-      const staleResponse = cachedResponse.clone();
-      const headers = new Headers(staleResponse.headers);
-      headers.set('sw-cache-stale', 'true');
-      
-      return new Response(staleResponse.body, {
-        status: staleResponse.status,
-        statusText: staleResponse.statusText,
-        headers: headers
-      });
+    // Forced refreshes still fall back to whatever is cached
+    const staleResponse = await cache.match(request);
+    if (staleResponse) {
+      return withCacheStatus(staleResponse, 'stale');
     }
     
-    // No cache available, return error response
     return new Response(JSON.stringify({
       error: 'Network unavailable and no cached data',
       offline: true
@@ -139,77 +184,245 @@ async function handleApiRequest(request) {
   }
 }
 
-// Handle static requests with cache-first strategy
-async function handleStaticRequest(request) {
-  const cache = await caches.open(STATIC_CACHE_NAME);
-  const cachedResponse = await cache.match(request);
+// Fetch rates from the network, store them with their fetch time and return a tagged copy.
+// accept(response) may throw to keep a payload out of the cache
+async function fetchAndCacheRates(request, cache, accept = null) {
+  const networkResponse = await fetch(request);
+  if (!networkResponse.ok) {
+    throw new Error(`HTTP ${networkResponse.status}`);
+  }
   
-  if (cachedResponse) {
-    return cachedResponse;
+  const body = await networkResponse.blob();
+  const headers = new Headers(networkResponse.headers);
+  headers.set('sw-cache-timestamp', Date.now().toString());
+  
+  const init = { status: networkResponse.status, statusText: networkResponse.statusText, headers };
+  if (accept) {
+    await accept(new Response(body, init));
   }
+  await cache.put(request, new Response(body, init));
+  
+  return withCacheStatus(new Response(body, init), 'network');
+}
+
+// Copy a response, adding the freshness header the page reads
+function withCacheStatus(response, status) {
+  const headers = new Headers(response.headers);
+  headers.set('sw-cache-status', status);
+  
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: headers
+  });
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// Serve the precached app shell; offline it boots with archived rates from the rate store
+async function handleNavigationRequest(request) {
+  const cache = await caches.open(STATIC_CACHE_NAME);
+  const appShell = await cache.match(APP_SHELL_URL);
+  
+  return appShell || fetch(request);
+}
+
+// Serve the web app manifest with the user's favorite pairs as shortcuts
+// (saved by the page's InstallPrompt under the 'appShortcuts' meta key)
+async function handleManifestRequest(request) {
+  const response = await handleStaticRequest(request);
   
   try {
-    const networkResponse = await fetch(request);
-    
-    if (networkResponse.ok) {
-      cache.put(request, networkResponse.clone());
+    const pairs = await new RateStore().getMeta('appShortcuts');
+    if (!pairs || pairs.length === 0) {
+      return response;
     }
     
-    return networkResponse;
+    const manifest = await response.clone().json();
+    manifest.shortcuts = pairs.map(({ from, to }) => ({
+      name: `${from} to ${to}`,
+      short_name: `${from}/${to}`,
+      url: `/${from.toLowerCase()}-to-${to.toLowerCase()}`,
+      icons: [{ src: '/icons/icon-192.png', sizes: '192x192' }]
+    }));
+    
+    return new Response(JSON.stringify(manifest), {
+      headers: { 'Content-Type': 'application/manifest+json' }
+    });
   } catch (error) {
-    // Return offline page or basic error for navigation requests
-    if (request.mode === 'navigate') {
-      return new Response(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Offline - CurrencyConv</title>
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <style>
-            body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
-            .offline-message { max-width: 400px; margin: 0 auto; }
-          </style>
-        </head>
-        <body>
-          <div class="offline-message">
-            <h1>You're Offline</h1>
-            <p>Please check your internet connection and try again.</p>
-            <button onclick="window.location.reload()">Retry</button>
-          </div>
-        </body>
-        </html>
-      `, {
-        status: 200,
-        headers: { 'Content-Type': 'text/html' }
-      });
+    return response;
+  }
+}
+
+// Handle static requests: precached files cache-first, everything else network-first
+async function handleStaticRequest(request) {
+  const cache = await caches.open(STATIC_CACHE_NAME);
+  const url = new URL(request.url);
+  
+  if (precacheUrls.includes(url.pathname)) {
+    const precached = await cache.match(url.pathname);
+    if (precached) {
+      return precached;
+    }
+  }
+  
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cachedResponse = await caches.match(request, { ignoreSearch: true });
+    if (cachedResponse) {
+      return cachedResponse;
     }
-    
     throw error;
   }
 }
 
-// Background sync for updating cache when online
+// Background sync: once when connectivity returns, and periodically where supported
 self.addEventListener('sync', function(event) {
-  if (event.tag === 'background-sync-rates') {
-    event.waitUntil(updateExchangeRates());
+  if (event.tag === BACKGROUND_SYNC_TAGS.ONE_OFF) {
+    event.waitUntil(syncWatchedRates({ periodic: false }));
   }
 });
 
-// Update exchange rates in background
-async function updateExchangeRates() {
-  try {
-    const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
-    if (response.ok) {
-      const cache = await caches.open(API_CACHE_NAME);
-      cache.put('https://api.exchangerate-api.com/v4/latest/USD', response.clone());
+self.addEventListener('periodicsync', function(event) {
+  if (event.tag === BACKGROUND_SYNC_TAGS.PERIODIC) {
+    event.waitUntil(syncWatchedRates({ periodic: true }));
+  }
+});
+
+// Refresh every watched base, then check alerts and report the outcome to open pages
+async function syncWatchedRates({ periodic }) {
+  const result = await new BackgroundRateSync().run(fetchRateTable, { periodic });
+  if (result.skipped) return;
+  
+  for (const table of result.tables) {
+    await checkRateAlerts(table);
+  }
+  await notifyClients({ type: 'BACKGROUND_SYNC_COMPLETE', status: result.status });
+  
+  // A failed one-off sync rejects so the browser retries it later
+  if (!periodic && result.tables.length === 0) {
+    throw new Error(result.status.error || 'Background sync failed');
+  }
+}
+
+// Fetch one base through the page's provider chain, keeping the API cache in step.
+// Tables are validated with the page's thresholds; a rejected payload is recorded and never cached
+async function fetchRateTable(base, providerConfig, validation) {
+  const cache = await caches.open(API_CACHE_NAME);
+  const previous = await new RateStore().getLastKnownGood(base);
+  const options = RateValidator.options(validation);
+  const providers = rateProviderRegistry.create(providerConfig || DEFAULT_PROVIDER_CONFIG, { validation: options })
+    .filter(provider => provider.supports(base));
+  let lastError = new Error(`No rate provider supports ${base}`);
+  
+  for (const provider of providers) {
+    try {
+      const url = provider.buildLatestUrl(base);
+      const validate = acceptRates(provider, base, previous, options);
+      let table;
+      await fetchAndCacheRates(new Request(url, { headers: provider.getHeaders() }), cache, async function(response) {
+        table = await validate(response);
+      });
+      await notifyClients({ type: 'RATES_UPDATED', url: url, fetchedAt: new Date().toISOString() });
+      
+      return { ...table, fetchedAt: new Date().toISOString() };
+    } catch (error) {
+      lastError = error;
+      await recordRejection(error);
+    }
+  }
+  
+  throw lastError;
+}
+
+// fetchAndCacheRates check for one provider's latest table: the page's validation, then
+// the jump check against the last known good table. Resolves with the table
+function acceptRates(provider, base, previous, options) {
+  return async function(response) {
+    const table = provider.withProvider(provider.checked(await provider.readBody(response), base));
+    try {
+      RateValidator.checkJumps(table, previous, options);
+    } catch (error) {
+      error.provider = table.provider;
+      throw error;
+    }
+    return table;
+  };
+}
+
+// Validation for a request the page made: latest-rates URLs of the watched (or default)
+// provider chain are checked like background sync tables; history and time series are not
+async function validatorFor(url) {
+  const { providers: providerConfig, validation } = await new BackgroundRateSync().getWatchList();
+  const options = RateValidator.options(validation);
+  const providers = [
+    ...(providerConfig ? rateProviderRegistry.create(providerConfig, { validation: options }) : []),
+    ...rateProviderRegistry.create(DEFAULT_PROVIDER_CONFIG, { validation: options })
+  ];
+  const codes = [...new Set(url.match(/[A-Z]{3}/g) || [])];
+  
+  for (const provider of providers) {
+    const base = codes.find(code => {
+      try {
+        return provider.buildLatestUrl(code) === url;
+      } catch (error) {
+        return false; // No latest endpoint
+      }
+    });
+    if (base) {
+      return acceptRates(provider, base, await new RateStore().getLastKnownGood(base), options);
     }
-  } catch (error) {
-    console.log('Background sync failed:', error);
   }
+  return null;
 }
 
+// Keep a rejected payload for inspection (the page lists them with getRejectedPayloads)
+async function recordRejection(error) {
+  if (!(error instanceof RateValidationError)) return;
+  
+  console.log('Rate payload rejected:', error.message);
+  await new RateStore().putRejected(RateValidator.describeRejection(error));
+}
+
+// Evaluate saved rate alerts (worded in the page's locale) and tell open pages about any that fired
+async function checkRateAlerts(table) {
+  const { locale } = await new BackgroundRateSync().getWatchList();
+  const fired = await new RateAlertManager(undefined, new I18n(I18N_MESSAGES, locale)).evaluate(table);
+  if (fired.length === 0) return;
+  
+  await notifyClients({ type: 'ALERTS_TRIGGERED', alerts: fired });
+}
+
+// Focus (or open) the app when an alert notification is clicked
+self.addEventListener('notificationclick', function(event) {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+  
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const client = clients.find(candidate => 'focus' in candidate);
+      return client ? client.focus() : self.clients.openWindow(url);
+    })
+  );
+});
+
 // Message handling for cache management
 self.addEventListener('message', function(event) {
+  // The page accepted a waiting update ("New version - reload")
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+  
+  // The page's provider chain, so custom providers get the offline cache too
+  if (event.data && event.data.type === 'RATE_PROVIDERS') {
+    apiScopes = providerScopes(event.data.providers);
+    event.waitUntil(new RateStore().putMeta(PROVIDER_CONFIG_META_KEY, event.data.providers));
+  }
+  
   if (event.data && event.data.type === 'CLEAR_CACHE') {
     event.waitUntil(
       Promise.all([
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core');
+
+const { AmountParser } = loadCore();
+
+const amount = (locale, input) => new AmountParser(locale).parse(input).amount;
+
+test('a lone three-digit group follows the locale', () => {
+  assert.equal(amount('en-US', '1,299'), '1299');
+  assert.equal(amount('de-DE', '1,299'), '1.299');
+  assert.equal(amount('en-US', '1.299'), '1.299');
+  assert.equal(amount('de-DE', '1.299'), '1299');
+});
+
+test('grouped numbers parse the same in every locale', () => {
+  ['en-US', 'de-DE', 'fr-FR'].forEach(locale => {
+    assert.equal(amount(locale, '1,299.50'), '1299.5');
+    assert.equal(amount(locale, '1.299,50'), '1299.5');
+    assert.equal(amount(locale, '1 299'), '1299');
+    assert.equal(amount(locale, '1,234,567'), '1234567');
+  });
+});
+
+test('native digits and separators are read', () => {
+  assert.equal(amount('ar-EG', '١٬٢٩٩٫٥'), '1299.5');
+  assert.equal(amount('fa-IR', '۲۵۰'), '250');
+});
+
+test('suffixes and arithmetic', () => {
+  assert.equal(amount('en-US', '2k'), '2000');
+  assert.equal(amount('en-US', '1.5m'), '1500000');
+  assert.equal(amount('en-US', '45 + 12%'), '50.4');
+  assert.equal(amount('en-US', '(120 - 15) / 3'), '35');
+});
+
+test('inline currencies select from and to', () => {
+  const result = new AmountParser('en-US').parse('100 EUR in JPY');
+  assert.equal(result.ok, true);
+  assert.equal(result.amount, '100');
+  assert.equal(result.from, 'EUR');
+  assert.equal(result.to, 'JPY');
+});
+
+test('failures carry an error code', () => {
+  const parser = new AmountParser('en-US');
+  assert.equal(parser.parse('').empty, true);
+  assert.equal(parser.parse('5 / 0').code, 'divideByZero');
+  assert.equal(parser.parse('(5 + 1').code, 'missingParen');
+  assert.equal(parser.parse('5 -').code, 'incomplete');
+  assert.equal(parser.parse('2 - 5').code, 'negative');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, createConverter } = require('../node/core');
+
+const { BatchConverter } = loadCore();
+
+const RATES = { base: 'USD', rates: { USD: 1, EUR: 0.8, GBP: 0.75, JPY: 150 } };
+const respond = (body) => ({ ok: true, headers: { get: () => null }, json: async () => body });
+
+async function createBatch() {
+  const converter = createConverter({ cacheDir: false, fetch: async () => respond(RATES) });
+  await converter.loadInitialRates();
+  return new BatchConverter(converter);
+}
+
+test('detects delimiter, header mapping and decimal comma', async () => {
+  const batch = await createBatch();
+  const parsed = batch.parse('Betrag;Von;Nach\n"1.234,50";USD;EUR\n10,00;eur;gbp\n');
+
+  assert.equal(parsed.delimiter, ';');
+  assert.equal(parsed.decimalSeparator, ',');
+  assert.equal(parsed.hasHeader, true);
+  assert.equal(parsed.rows.length, 2);
+  assert.equal(JSON.stringify(parsed.mapping), JSON.stringify({ amount: 0, from: 1, to: 2 }));
+});
+
+test('converts valid rows and reports invalid ones by line', async () => {
+  const batch = await createBatch();
+  const parsed = batch.parse('amount,from,to\n100,USD,EUR\n-5,USD,EUR\n20,EUR,GBP\n1,USD,XYZ\n');
+  const conversion = await batch.convert(parsed);
+
+  assert.equal(conversion.converted, 2);
+  assert.equal(conversion.results[0].convertedValue.toString(), '80.00');
+  assert.equal(conversion.results[2].convertedValue.toString(), '18.75');
+  assert.equal(conversion.invalid.map(result => result.line).join(), '3,5');
+  assert.match(conversion.invalid[0].error, /amount must be greater than zero/);
+  assert.match(conversion.invalid[1].error, /no rate available for XYZ/);
+});
+
+test('writes the enriched CSV in the input format', async () => {
+  const batch = await createBatch();
+  const parsed = batch.parse('Betrag;Von;Nach\n"1.234,50";USD;EUR\n');
+  const lines = batch.toCsv(parsed, await batch.convert(parsed)).trim().split('\r\n');
+
+  assert.equal(lines[0], 'Betrag;Von;Nach;rate;converted_amount;rate_timestamp;source;error');
+  assert.match(lines[1], /^1\.234,50;USD;EUR;0,800000000000;987,60;[^;]+;api;$/);
+});
+
+test('refuses to convert without the required columns', async () => {
+  const batch = await createBatch();
+  const parsed = { ...batch.parse('amount,from,to\n1,USD,EUR\n'), mapping: { amount: 0, from: 1 } };
+
+  await assert.rejects(batch.convert(parsed), /Map the amount, from and to columns/);
+});
+
+test('flags amounts written with the other decimal separator', async () => {
+  const batch = await createBatch();
+  const parsed = batch.parse('amount,from,to\n1.50,USD,EUR\n2.25,USD,EUR\n"12,5",USD,EUR\n"1,250.00",USD,EUR\n');
+  const conversion = await batch.convert(parsed);
+
+  assert.equal(parsed.decimalSeparator, '.');
+  assert.equal(conversion.converted, 3);
+  assert.equal(conversion.results[3].convertedValue.toString(), '1000.00');
+  assert.equal(conversion.invalid.map(result => result.line).join(), '4');
+  assert.match(conversion.invalid[0].error, /does not use the file's decimal separator "\."/);
+});
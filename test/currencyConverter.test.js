@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createConverter } = require('../node/core');
+
+const RATES = { base: 'USD', rates: { USD: 1, EUR: 0.8, GBP: 0.75, JPY: 150 } };
+const respond = (body) => ({ ok: true, headers: { get: () => null }, json: async () => body });
+
+function countingConverter(options = {}) {
+  const calls = [];
+  const converter = createConverter({
+    cacheDir: false,
+    fetch: async (url) => {
+      calls.push(url);
+      return respond(RATES);
+    },
+    ...options
+  });
+  return { converter, calls };
+}
+
+test('convertToMany before rates load resolves every target from one load', async () => {
+  const { converter, calls } = countingConverter();
+  const results = await converter.convertToMany('100', 'USD', ['EUR', 'GBP', 'JPY']);
+
+  assert.equal(results.map(result => result.convertedValue.toString()).join(), '80.00,75.00,15000');
+  assert.ok(results.every(result => result.error === null));
+  assert.equal(calls.length, 1);
+});
+
+test('debounced fetches all resolve with the one result', async () => {
+  const { converter, calls } = countingConverter();
+  const results = await Promise.all([converter.fetchRates('USD'), converter.fetchRates('USD')]);
+
+  assert.equal(results.length, 2);
+  assert.equal(calls.length, 1);
+});
+
+test('cross rates after the active table is replaced by another base use that base', async () => {
+  const tables = {
+    USD: { base: 'USD', rates: { USD: 1, EUR: 0.8, GBP: 0.75 } },
+    EUR: { base: 'EUR', rates: { EUR: 1, USD: 1.25, GBP: 0.9375, TRY: 40 } }
+  };
+  const converter = createConverter({
+    cacheDir: false,
+    fetch: async (url) => respond(tables[url.match(/[A-Z]{3}$/)[0]])
+  });
+  await converter.loadInitialRates();
+  await converter.fetchRates('EUR', true);
+
+  assert.equal(converter.state.base, 'EUR');
+  const dollarsToPounds = await converter.convertCurrency('100', 'USD', 'GBP');
+  assert.equal(dollarsToPounds.exchangeRateValue.toString(), '0.750000000000');
+  assert.equal(dollarsToPounds.convertedValue.toString(), '75.00');
+
+  const poundsToLira = await converter.convertCurrency('100', 'GBP', 'TRY');
+  assert.equal(poundsToLira.exchangeRateValue.toString(), '42.666666666667');
+  assert.equal(poundsToLira.rateBase, 'EUR');
+  assert.equal(poundsToLira.convertedValue.toString(), '4266.67');
+});
+
+test('a missing rate returns its message code and params', async () => {
+  const { converter } = countingConverter();
+  const result = await converter.convertCurrency('100', 'USD', 'XYZ');
+
+  assert.equal(result.error, 'No USD/XYZ rate available');
+  assert.equal(result.code, 'converter.error.noRate');
+  assert.equal(JSON.stringify(result.params), JSON.stringify({ from: 'USD', to: 'XYZ' }));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, createConverter } = require('../node/core');
+
+const { Decimal, Money, ROUNDING_MODES } = loadCore();
+
+test('decimal arithmetic is exact', () => {
+  assert.equal(Decimal.from(0.1).add(0.2).toString(), '0.3');
+  assert.equal(Decimal.from('1.10').multiply('3').toString(), '3.30');
+  assert.equal(Decimal.from('1e3').toString(), '1000');
+  assert.throws(() => Decimal.from('1,5'), /Invalid decimal value/);
+});
+
+test('half-up rounds ties away from zero', () => {
+  assert.equal(Money.round('2.345', 'USD', ROUNDING_MODES.HALF_UP).toString(), '2.35');
+  assert.equal(Money.round('-2.345', 'USD', ROUNDING_MODES.HALF_UP).toString(), '-2.35');
+  assert.equal(Money.round('2.344', 'USD', ROUNDING_MODES.HALF_UP).toString(), '2.34');
+});
+
+test('half-even rounds ties to the even neighbour', () => {
+  assert.equal(Money.round('2.345', 'USD', ROUNDING_MODES.HALF_EVEN).toString(), '2.34');
+  assert.equal(Money.round('2.355', 'USD', ROUNDING_MODES.HALF_EVEN).toString(), '2.36');
+  assert.equal(Money.round('2.3451', 'USD', ROUNDING_MODES.HALF_EVEN).toString(), '2.35');
+});
+
+test('truncate drops extra digits toward zero', () => {
+  assert.equal(Money.round('2.349', 'USD', ROUNDING_MODES.TRUNCATE).toString(), '2.34');
+  assert.equal(Money.round('-2.349', 'USD', ROUNDING_MODES.TRUNCATE).toString(), '-2.34');
+});
+
+test('rounding follows the currency minor unit', () => {
+  assert.equal(Money.round('156.5', 'JPY', ROUNDING_MODES.HALF_EVEN).toString(), '156');
+  assert.equal(Money.round('156.5', 'JPY', ROUNDING_MODES.HALF_UP).toString(), '157');
+  assert.equal(Money.round('1.2345', 'KWD', ROUNDING_MODES.HALF_EVEN).toString(), '1.234');
+  assert.equal(Money.round('3', 'EUR').toString(), '3.00');
+});
+
+test('convert multiplies exactly before rounding once', () => {
+  assert.equal(Money.convert('100', '0.845', 'EUR').toString(), '84.50');
+  assert.equal(Money.convert('0.015', '1', 'EUR', ROUNDING_MODES.HALF_EVEN).toString(), '0.02');
+  assert.equal(Money.crossRate('0.8', '150').toString(), '187.500000000000');
+});
+
+test('unknown rounding modes are refused', () => {
+  assert.throws(() => Money.round('2.345', 'USD', 'ceiling'), /Unknown rounding mode/);
+});
+
+test('the converter rounds results with its rounding mode', async () => {
+  const converter = createConverter({
+    cacheDir: false,
+    roundingMode: ROUNDING_MODES.TRUNCATE,
+    fetch: async () => ({ ok: true, headers: { get: () => null }, json: async () => ({ base: 'USD', rates: { USD: 1, EUR: 0.8 } }) })
+  });
+  const result = await converter.convertCurrency('1.999', 'USD', 'EUR');
+
+  assert.equal(result.convertedValue.toString(), '1.59');
+});
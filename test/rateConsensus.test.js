@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core');
+
+const { RateConsensus } = loadCore();
+
+const result = (providerId, rates) => ({ base: 'USD', provider: providerId, providerId, rates: { USD: 1, ...rates } });
+
+test('a source far from the median is left out as an outlier', () => {
+  const combined = RateConsensus.combine([
+    result('a', { EUR: 0.9, TRY: 34.1 }),
+    result('b', { EUR: 0.902, TRY: 34.3 }),
+    result('c', { EUR: 0.901, TRY: 55.1 })
+  ], 'USD');
+
+  assert.equal(combined.rates.TRY, 34.2);
+  assert.equal(combined.rates.EUR, 0.901);
+  assert.equal(combined.consensus.outliers.length, 1);
+
+  const [outlier] = combined.consensus.outliers;
+  assert.equal(outlier.currency, 'TRY');
+  assert.equal(outlier.providerId, 'c');
+  assert.equal(outlier.median, 34.3);
+  assert.equal(outlier.deviationPercent, 60.6414);
+  assert.equal(combined.consensus.disputed.length, 0);
+  assert.equal(combined.consensus.confirmed, true);
+});
+
+test('tolerancePercent decides what counts as an outlier', () => {
+  const results = [result('a', { EUR: 0.9 }), result('b', { EUR: 0.91 }), result('c', { EUR: 0.93 })];
+
+  assert.equal(RateConsensus.combine(results, 'USD').consensus.outliers.length, 1);
+  assert.equal(RateConsensus.combine(results, 'USD', { tolerancePercent: 5 }).consensus.outliers.length, 0);
+});
+
+test('two sources far apart are disputed and no midpoint is invented', () => {
+  const combined = RateConsensus.combine([result('a', { EUR: 0.9, TRY: 32 }), result('b', { EUR: 0.9, TRY: 320 })], 'USD');
+
+  assert.equal('TRY' in combined.rates, false);
+  assert.equal(combined.rates.EUR, 0.9);
+  assert.equal(combined.consensus.disputed.join(), 'TRY');
+  assert.equal(combined.consensus.retained.length, 0);
+  assert.equal(combined.consensus.spreads.TRY, 163.6364);
+});
+
+test('a disputed currency keeps its last known good rate', () => {
+  const results = [result('a', { TRY: 32 }), result('b', { TRY: 320 })];
+
+  const kept = RateConsensus.combine(results, 'USD', {}, { base: 'USD', rates: { USD: 1, TRY: 34.2 } });
+  assert.equal(kept.rates.TRY, 34.2);
+  assert.equal(kept.consensus.retained.join(), 'TRY');
+
+  const otherBase = RateConsensus.combine(results, 'USD', {}, { base: 'EUR', rates: { EUR: 1, TRY: 40 } });
+  assert.equal('TRY' in otherBase.rates, false);
+});
+
+test('fewer sources than minSources are unconfirmed', () => {
+  const combined = RateConsensus.combine([result('a', { EUR: 0.9 })], 'USD');
+
+  assert.equal(combined.consensus.confirmed, false);
+  assert.equal(combined.rates.EUR, 0.9);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core');
+
+const { ExchangeRateApiProvider, OpenErApiProvider, FrankfurterProvider, EcbXmlProvider,
+  JsonMappingProvider, RateProxyProvider, rateProviderRegistry } = loadCore();
+
+const ECB_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref">
+  <Cube>
+    <Cube time='2026-10-16'>
+      <Cube currency='USD' rate='1.1650'/>
+      <Cube currency='JPY' rate='174.75'/>
+      <Cube currency='GBP' rate='0.8700'/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>`;
+
+const respond = (body, headers = {}) => ({
+  ok: true,
+  headers: { get: name => headers[name] ?? null },
+  json: async () => body,
+  text: async () => body
+});
+
+test('built-in adapters normalize their response shapes', () => {
+  const exchangeRate = new ExchangeRateApiProvider().normalize(
+    { base: 'USD', rates: { USD: 1, EUR: 0.86 }, time_last_updated: 1760572800 }, 'USD');
+  assert.equal(exchangeRate.base, 'USD');
+  assert.equal(exchangeRate.rates.EUR, 0.86);
+  assert.equal(exchangeRate.publishedAt, '2025-10-16T00:00:00.000Z');
+
+  const openEr = new OpenErApiProvider().normalize(
+    { result: 'success', base_code: 'USD', conversion_rates: { USD: 1, EUR: 0.86 } }, 'USD');
+  assert.equal(openEr.base, 'USD');
+  assert.equal(openEr.rates.EUR, 0.86);
+  assert.throws(() => new OpenErApiProvider().normalize({ result: 'error', 'error-type': 'unsupported-code' }, 'XYZ'), /unsupported-code/);
+
+  const frankfurter = new FrankfurterProvider().normalize({ base: 'USD', date: '2026-10-16', rates: { EUR: 0.86 } }, 'USD');
+  assert.equal(frankfurter.rates.USD, 1);
+  assert.equal(frankfurter.publishedAt, '2026-10-16T16:00:00Z');
+});
+
+test('the ECB XML feed is parsed and rebased to the requested currency', () => {
+  const provider = new EcbXmlProvider();
+  const euro = provider.normalize(ECB_XML, 'EUR');
+  assert.equal(euro.rates.USD, 1.165);
+  assert.equal(euro.date, '2026-10-16');
+
+  const dollar = provider.normalize(ECB_XML, 'USD');
+  assert.equal(dollar.base, 'USD');
+  assert.equal(dollar.rates.USD, 1);
+  assert.equal(dollar.rates.JPY.toFixed(4), '150.0000');
+  assert.equal(dollar.rates.EUR.toFixed(6), '0.858369');
+  assert.throws(() => provider.normalize('<html></html>', 'EUR'), /Invalid ECB XML/);
+});
+
+test('JSON mapping reads nested paths, arrays and a fixed response base', () => {
+  const nested = new JsonMappingProvider({ url: 'https://rates.test/latest?base={base}', ratesPath: 'data.rates', timestampPath: 'data.asOf' });
+  assert.equal(nested.buildLatestUrl('USD'), 'https://rates.test/latest?base=USD');
+
+  const table = nested.normalize({ data: { rates: { EUR: '0.86', GBP: 0.75 }, asOf: 1760572800 } }, 'USD');
+  assert.equal(table.rates.EUR, 0.86);
+  assert.equal(table.rates.USD, 1);
+  assert.equal(table.publishedAt, '2025-10-16T00:00:00.000Z');
+
+  const list = new JsonMappingProvider({
+    url: 'https://rates.test/eur', ratesPath: 'quotes', codeField: 'ccy', rateField: 'mid', responseBase: 'EUR'
+  });
+  const rebased = list.normalize({ quotes: [{ ccy: 'USD', mid: '1.25' }, { ccy: 'GBP', mid: '0.85' }] }, 'USD');
+  assert.equal(rebased.base, 'USD');
+  assert.equal(rebased.rates.EUR, 0.8);
+  assert.equal(rebased.rates.GBP.toFixed(4), '0.6800');
+
+  assert.throws(() => nested.normalize({ data: {} }, 'USD'), /No rates found at "data.rates"/);
+  assert.throws(() => new JsonMappingProvider({}), /requires a url/);
+});
+
+test('the proxy provider keeps the upstream source and consensus visible', async () => {
+  const urls = [];
+  const provider = new RateProxyProvider({
+    url: 'https://rates.test/',
+    name: 'Office proxy',
+    fetch: async (url) => {
+      urls.push(url);
+      return respond({ base: 'USD', rates: { USD: 1, EUR: 0.86 }, provider: 'ExchangeRate-API', publishedAt: '2026-10-16T00:00:00Z', consensus: { confirmed: true } });
+    }
+  });
+
+  const result = await provider.fetchLatest('USD');
+  assert.equal(urls[0], 'https://rates.test/latest/USD');
+  assert.equal(result.provider, 'ExchangeRate-API via Office proxy');
+  assert.equal(result.providerId, 'proxy');
+  assert.equal(result.publishedAt, '2026-10-16T00:00:00Z');
+  assert.equal(result.consensus.confirmed, true);
+
+  await provider.fetchHistorical('USD', '2026-01-02');
+  assert.equal(urls[1], 'https://rates.test/historical/2026-01-02/USD');
+});
+
+test('the registry orders enabled providers and skips unusable configs', () => {
+  const providers = rateProviderRegistry.create([
+    { type: 'frankfurter', priority: 5 },
+    { type: 'nope' },
+    { type: 'json' },
+    { type: 'exchangerate-api', enabled: false },
+    { type: 'proxy', url: 'https://rates.test', priority: 1 }
+  ]);
+
+  assert.equal(providers.map(provider => provider.id).join(), 'proxy,frankfurter');
+});
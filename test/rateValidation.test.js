@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core');
+
+const { RateValidator, RateValidationError } = loadCore();
+
+const HOUR = 60 * 60 * 1000;
+const table = (rates, base = 'USD') => ({ base, rates: { [base]: 1, ...rates }, publishedAt: '2026-10-16T16:00:00Z' });
+
+test('a well-formed table passes', () => {
+  const good = table({ EUR: 0.9, JPY: 150 });
+  assert.equal(RateValidator.validate(good, 'USD'), good);
+});
+
+test('schema, base and rate problems are rejected with their reason', () => {
+  const reasonOf = (candidate) => {
+    try {
+      RateValidator.validate(candidate, 'USD');
+    } catch (error) {
+      assert.ok(error instanceof RateValidationError);
+      return error.reason;
+    }
+    return null;
+  };
+
+  assert.equal(reasonOf({ base: 'USD', rates: [] }), 'schema');
+  assert.equal(reasonOf(table({ eur: 0.9 })), 'schema');
+  assert.equal(reasonOf(table({ USD: 1.1 }, 'EUR')), 'base');
+  assert.equal(reasonOf(table({ EUR: -0.9 })), 'rates');
+  assert.equal(reasonOf(table({ EUR: 'abc' })), 'rates');
+});
+
+test('minRates sets how many quoted currencies are required', () => {
+  const small = table({ EUR: 0.9 });
+  assert.doesNotThrow(() => RateValidator.validate(small, 'USD'));
+  assert.throws(() => RateValidator.validate(small, 'USD', { minRates: 2 }), /1 rate quoted, at least 2 expected/);
+});
+
+test('jumps beyond maxJumpPercent within the window are quarantined', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const previous = { ...table({ EUR: 0.9 }), fetchedAt: new Date(now - HOUR).toISOString() };
+
+  assert.doesNotThrow(() => RateValidator.checkJumps(table({ EUR: 1.3 }), previous, {}, now));
+  assert.throws(() => RateValidator.checkJumps(table({ EUR: 1.4 }), previous, {}, now), error => error.reason === 'jump');
+  assert.throws(() => RateValidator.checkJumps(table({ EUR: 1 }), previous, { maxJumpPercent: 10 }, now), /EUR moved 11.1111%/);
+});
+
+test('older tables and a zero limit do not block a jump', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const previous = { ...table({ EUR: 0.9 }), fetchedAt: new Date(now - 73 * HOUR).toISOString() };
+  const moved = table({ EUR: 9 });
+
+  assert.equal(RateValidator.checkJumps(moved, previous, {}, now), moved);
+  assert.equal(RateValidator.checkJumps(moved, { ...previous, fetchedAt: new Date(now).toISOString() }, { maxJumpPercent: 0 }, now), moved);
+  assert.throws(() => RateValidator.checkJumps(moved, previous, { jumpWindowHours: 100 }, now), RateValidationError);
+});